@@ -1,28 +1,57 @@
 import Stripe from 'stripe';
 
+// STRIPE_API_URL points the client at another API server, e.g. stripe-mock or
+// the fake server the tests start (tests/helpers/stripeServer.js)
+const apiUrl = process.env.STRIPE_API_URL ? new URL(process.env.STRIPE_API_URL) : null;
+
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2023-10-16', // Use the latest API version
+  ...(apiUrl && {
+    host: apiUrl.hostname,
+    port: apiUrl.port,
+    protocol: apiUrl.protocol.replace(':', ''),
+  }),
 });
 
-export const createPaymentIntent = async (amount, currency = 'usd') => {
+export const createPaymentIntent = async (amount, currency = 'usd', options = {}) => {
   try {
     const paymentIntent = await stripe.paymentIntents.create({
       amount: Math.round(amount * 100), // Convert to cents
       currency: currency,
+      metadata: options.metadata,
+    }, {
+      // Lets a retried call for the same order reuse its intent instead of creating another
+      idempotencyKey: options.idempotencyKey,
     });
 
-    return paymentIntent.client_secret;
+    return paymentIntent;
   } catch (error) {
     console.error('Payment Intent Creation Error:', error);
     throw error;
   }
 };
 
-export const processRefund = async (paymentIntentId, amount) => {
+export const retrievePaymentIntent = async (paymentIntentId) => {
+  return stripe.paymentIntents.retrieve(paymentIntentId);
+};
+
+export const cancelPaymentIntent = async (paymentIntentId) => {
+  try {
+    return await stripe.paymentIntents.cancel(paymentIntentId);
+  } catch (error) {
+    console.error('Payment Intent Cancellation Error:', error);
+    throw error;
+  }
+};
+
+export const processRefund = async (paymentIntentId, amount, options = {}) => {
   try {
     const refund = await stripe.refunds.create({
       payment_intent: paymentIntentId,
       amount: Math.round(amount * 100), // Convert to cents
+      metadata: options.metadata,
+    }, {
+      idempotencyKey: options.idempotencyKey,
     });
 
     return refund;
@@ -32,4 +61,13 @@ export const processRefund = async (paymentIntentId, amount) => {
   }
 };
 
+// Verify the Stripe-Signature header against the raw request body and parse the event
+export const constructWebhookEvent = (rawBody, signature) => {
+  return stripe.webhooks.constructEvent(
+    rawBody,
+    signature,
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+};
+
 export default stripe;
\ No newline at end of file
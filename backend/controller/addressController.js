@@ -0,0 +1,65 @@
+import User from '../models/userModel.js';
+import asyncHandler from 'express-async-handler';
+import {
+  addAddress as addBookAddress,
+  updateAddress as updateBookAddress,
+  removeAddress
+} from '../utils/addresses.js';
+
+const findUser = async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  return user;
+};
+
+// @desc    Get the logged in user's address book
+// @route   GET /api/users/addresses
+const getAddresses = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  res.json(user.addresses);
+});
+
+// @desc    Save a new address; the first one becomes the default for both kinds
+// @route   POST /api/users/addresses
+const addAddress = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  const address = addBookAddress(user, req.body);
+  await user.save();
+
+  res.status(201).json(address);
+});
+
+// @desc    Update a saved address, including its default flags
+// @route   PUT /api/users/addresses/:id
+const updateAddress = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  const address = updateBookAddress(user, req.params.id, req.body);
+  await user.save();
+
+  res.json(address);
+});
+
+// @desc    Delete a saved address; orders keep their own copy
+// @route   DELETE /api/users/addresses/:id
+const deleteAddress = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+
+  removeAddress(user, req.params.id);
+  await user.save();
+
+  res.json({ message: 'Address removed' });
+});
+
+export {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress
+};
@@ -1,50 +1,39 @@
 import User from '../models/userModel.js';
-import { generateToken } from '../middleware/authMiddleware.js';
 import asyncHandler from 'express-async-handler';
-import { sendPasswordResetEmail } from '../utils/sendEmail.js';
-import crypto from 'crypto';
+import {
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} from '../utils/sessions.js';
+import {
+  resendEmailVerification,
+  verifyEmailToken
+} from '../utils/emailVerification.js';
+import {
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  completeLoginChallenge
+} from '../utils/twoFactor.js';
+import {
+  toAccountResponse,
+  openAccountSession,
+  registerAccount,
+  authenticate,
+  updateProfile,
+  changePassword as changeAccountPassword,
+  requestPasswordReset,
+  resetPasswordWithToken
+} from '../utils/accounts.js';
 
 // @desc    Register a new user
 // @route   POST /api/users/register
 const registerUser = asyncHandler(async (req, res) => {
-  const { 
-    firstName, 
-    lastName, 
-    email, 
-    password, 
-    phoneNumber 
-  } = req.body;
-
-  // Check if user already exists
-  const userExists = await User.findOne({ email });
-
-  if (userExists) {
-    res.status(400);
-    throw new Error('User already exists');
-  }
-
-  // Create new user
-  const user = await User.create({
-    firstName,
-    lastName,
-    email,
-    password,
-    phoneNumber
-  });
+  const user = await registerAccount(req.body);
 
-  if (user) {
-    res.status(201).json({
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      phoneNumber: user.phoneNumber,
-      token: generateToken(user._id)
-    });
-  } else {
-    res.status(400);
-    throw new Error('Invalid user data');
-  }
+  res.status(201).json(await openAccountSession(user, req));
 });
 
 // @desc    Authenticate user & get token
@@ -52,155 +41,166 @@ const registerUser = asyncHandler(async (req, res) => {
 const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Find user by email
-  const user = await User.findOne({ email });
-
-  // Check if user exists and password matches
-  if (user && (await user.comparePassword(password))) {
-    res.json({
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      token: generateToken(user._id)
-    });
-  } else {
-    res.status(401);
-    throw new Error('Invalid email or password');
+  const { user, challengeToken } = await authenticate(email, password, req.ip);
+
+  // With two-factor on, the password only earns a challenge for the second step
+  if (challengeToken) {
+    return res.json({ twoFactorRequired: true, challengeToken });
   }
+
+  res.json(await openAccountSession(user, req));
+});
+
+// @desc    Complete a two-factor login with an authenticator or backup code
+// @route   POST /api/users/login/2fa
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const user = await completeLoginChallenge(challengeToken, code, req.ip);
+
+  res.json(await openAccountSession(user, req));
 });
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
 const getUserProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id).select('-password');
+  const user = await User.findById(req.user._id);
 
   if (user) {
-    res.json(user);
+    res.json(toAccountResponse(user));
   } else {
     res.status(404);
     throw new Error('User not found');
   }
 });
 
-// @desc    Update user profile
+// @desc    Update user profile; a new password needs currentPassword
 // @route   PUT /api/users/profile
 const updateUserProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
+  const user = await updateProfile(req.user._id, req.body, req.sessionId);
 
-  if (user) {
-    // Update fields that are provided
-    user.firstName = req.body.firstName || user.firstName;
-    user.lastName = req.body.lastName || user.lastName;
-    user.email = req.body.email || user.email;
-    user.phoneNumber = req.body.phoneNumber || user.phoneNumber;
-
-    // Update address if provided
-    if (req.body.address) {
-      user.address = {
-        street: req.body.address.street || user.address.street,
-        city: req.body.address.city || user.address.city,
-        state: req.body.address.state || user.address.state,
-        postalCode: req.body.address.postalCode || user.address.postalCode,
-        country: req.body.address.country || user.address.country
-      };
-    }
-
-    // Handle password update
-    if (req.body.password) {
-      user.password = req.body.password;
-    }
-
-    const updatedUser = await user.save();
-
-    res.json({
-      _id: updatedUser._id,
-      firstName: updatedUser.firstName,
-      lastName: updatedUser.lastName,
-      email: updatedUser.email,
-      phoneNumber: updatedUser.phoneNumber,
-      address: updatedUser.address
-    });
-  } else {
-    res.status(404);
-    throw new Error('User not found');
-  }
+  res.json(toAccountResponse(user));
+});
+
+// @desc    Change user password while logged in
+// @route   PUT /api/users/change-password
+const changePassword = asyncHandler(async (req, res) => {
+  await changeAccountPassword(req.user._id, req.body, req.sessionId);
+
+  res.json({ message: 'Password changed successfully' });
 });
 
 // @desc    Initiate password reset
 // @route   POST /api/users/forgot-password
 const forgotPassword = asyncHandler(async (req, res) => {
-  const { email } = req.body;
+  const message = await requestPasswordReset(req.body.email);
 
-  // Find user by email
-  const user = await User.findOne({ email });
-
-  if (!user) {
-    res.status(404);
-    throw new Error('No user found with this email');
-  }
-
-  // Generate password reset token
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  
-  // Hash token and set expiry
-  user.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
-  user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
-
-  await user.save();
-
-  // Send password reset email
-  try {
-    await sendPasswordResetEmail(user, resetToken);
-    
-    res.status(200).json({
-      message: 'Password reset email sent'
-    });
-  } catch (error) {
-    // Reset token fields if email sending fails
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-    await user.save();
-
-    res.status(500);
-    throw new Error('Email could not be sent');
-  }
+  res.json({ message });
 });
 
 // @desc    Reset password
 // @route   PUT /api/users/reset-password/:token
 const resetPassword = asyncHandler(async (req, res) => {
-  // Hash token from URL
-  const resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(req.params.token)
-    .digest('hex');
-
-  // Find user with matching token and valid expiry
-  const user = await User.findOne({
-    resetPasswordToken,
-    resetPasswordExpire: { $gt: Date.now() }
-  });
-
-  if (!user) {
-    res.status(400);
-    throw new Error('Invalid or expired reset token');
-  }
+  await resetPasswordWithToken(req.params.token, req.body.password);
 
-  // Set new password
-  user.password = req.body.password;
-  user.resetPasswordToken = undefined;
-  user.resetPasswordExpire = undefined;
+  res.json({ message: 'Password reset successful' });
+});
 
-  await user.save();
+// @desc    Verify email address
+// @route   POST /api/users/verify-email/:token
+const verifyEmail = asyncHandler(async (req, res) => {
+  await verifyEmailToken(req.params.token);
+  res.json({ message: 'Email address verified' });
+});
+
+// @desc    Send the verification email again
+// @route   POST /api/users/verify-email/resend (mount before verify-email/:token)
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  await resendEmailVerification(user);
+  res.json({ message: `Verification email sent to ${user.email}` });
+});
+
+// @desc    Start two-factor enrolment; returns the secret and otpauth URI for a QR code
+// @route   POST /api/users/2fa/setup
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  res.json(await beginTwoFactorSetup(req.user._id));
+});
+
+// @desc    Confirm two-factor enrolment with a first code; returns the backup codes
+// @route   POST /api/users/2fa/confirm
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const backupCodes = await confirmTwoFactorSetup(req.user._id, req.body.code);
+
+  // Sessions opened with the password alone are closed
+  await revokeUserSessions(req.user._id, 'two_factor_enabled', { except: req.sessionId });
+
+  res.json({ message: 'Two-factor authentication enabled', backupCodes });
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/users/2fa/disable
+const turnOffTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  await disableTwoFactor(req.user._id, { password, code });
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/users/2fa/backup-codes
+const createBackupCodes = asyncHandler(async (req, res) => {
+  const backupCodes = await regenerateBackupCodes(req.user._id, req.body.code);
+  res.json({ backupCodes });
+});
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/users/refresh
+const refreshToken = asyncHandler(async (req, res) => {
+  res.json(await rotateRefreshToken(req.body.refreshToken, req));
+});
+
+// @desc    Log out the current session
+// @route   POST /api/users/logout
+const logoutUser = asyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, 'logout', req.user._id);
+  res.json({ message: 'Logged out' });
+});
+
+// @desc    Log out every session of the current user
+// @route   POST /api/users/logout-all
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const count = await revokeUserSessions(req.user._id, 'logout_all');
+  res.json({ message: `Logged out of ${count} sessions` });
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/users/sessions
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+
+  res.json(sessions.map((session) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    isCurrent: session._id.equals(req.sessionId)
+  })));
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/users/sessions/:id
+const deleteSession = asyncHandler(async (req, res) => {
+  const session = await revokeSession(req.params.id, 'revoked', req.user._id);
+
+  if (!session) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
 
-  res.status(200).json({
-    message: 'Password reset successful'
-  });
+  res.json({ message: 'Session revoked' });
 });
 
 export {
@@ -208,6 +208,19 @@ export {
   loginUser,
   getUserProfile,
   updateUserProfile,
+  changePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  turnOffTwoFactor,
+  createBackupCodes,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+import asyncHandler from 'express-async-handler';
+import {
+  getCartToken,
+  findCart,
+  findOrCreateCart,
+  saveCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  revalidateCart,
+  mergeAnonymousCart
+} from '../utils/cart.js';
+import { placeOrder } from '../utils/orderPlacement.js';
+
+// Cart routes work for logged-in users (optionalAuth) and for anonymous visitors,
+// who identify their cart with the X-Cart-Token header returned on first add.
+// Items of products sold in variants are addressed with ?variant=<variantId>.
+
+const emptyCart = {
+  items: [],
+  itemsPrice: 0,
+  totalQuantity: 0,
+  canCheckout: false
+};
+
+// @desc    Get current cart with live prices and stock
+// @route   GET /api/cart
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+
+  res.json(cart ? await revalidateCart(cart) : emptyCart);
+});
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+const addItemToCart = asyncHandler(async (req, res) => {
+  const { product, variant, quantity = 1 } = req.body;
+
+  const { cart, cartToken } = await findOrCreateCart(req);
+  await addCartItem(cart, product, quantity, variant);
+  await saveCart(cart);
+
+  res.status(201).json({
+    ...(await revalidateCart(cart)),
+    cartToken
+  });
+});
+
+// @desc    Change quantity of a cart item
+// @route   PUT /api/cart/items/:productId
+const updateCartItem = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+
+  if (!cart) {
+    res.status(404);
+    throw new Error('Cart not found');
+  }
+
+  await setCartItemQuantity(cart, req.params.productId, req.body.quantity, req.query.variant);
+  await saveCart(cart);
+
+  res.json(await revalidateCart(cart));
+});
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:productId
+const deleteCartItem = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+
+  if (!cart) {
+    res.status(404);
+    throw new Error('Cart not found');
+  }
+
+  removeCartItem(cart, req.params.productId, req.query.variant);
+  await saveCart(cart);
+
+  res.json(await revalidateCart(cart));
+});
+
+// @desc    Remove all items from cart
+// @route   DELETE /api/cart
+const clearCart = asyncHandler(async (req, res) => {
+  const cart = await findCart(req);
+
+  if (cart) {
+    cart.items = [];
+    await saveCart(cart);
+  }
+
+  res.json(emptyCart);
+});
+
+// @desc    Merge the anonymous cart (X-Cart-Token) into the user's cart
+// @route   POST /api/cart/merge
+const mergeCart = asyncHandler(async (req, res) => {
+  await mergeAnonymousCart(req.user._id, getCartToken(req));
+
+  const cart = await findCart(req);
+  res.json(cart ? await revalidateCart(cart) : emptyCart);
+});
+
+// @desc    Convert the user's cart into an order
+// @route   POST /api/cart/checkout
+const checkoutCart = asyncHandler(async (req, res) => {
+  const {
+    shippingAddress,
+    shippingAddressId,
+    billingAddressId,
+    paymentMethod,
+    shippingMethod,
+    couponCodes,
+    quote: clientQuote
+  } = req.body;
+
+  const cart = await findCart(req);
+
+  if (!cart || cart.items.length === 0) {
+    res.status(400);
+    throw new Error('Cart is empty');
+  }
+
+  const { order, clientSecret } = await placeOrder({
+    user: req.user,
+    orderItems: cart.items.map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity
+    })),
+    shippingAddress,
+    shippingAddressId,
+    billingAddressId,
+    paymentMethod,
+    shippingMethod,
+    couponCodes,
+    clientQuote,
+    clientTotals: req.body
+  });
+
+  cart.items = [];
+  await saveCart(cart);
+
+  res.status(201).json({
+    order,
+    clientSecret
+  });
+});
+
+export {
+  getCart,
+  addItemToCart,
+  updateCartItem,
+  deleteCartItem,
+  clearCart,
+  mergeCart,
+  checkoutCart
+};
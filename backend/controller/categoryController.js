@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import Category from '../models/categoryModel.js';
+import Product from '../models/productModel.js';
+import asyncHandler from 'express-async-handler';
+import {
+  slugify,
+  buildTree,
+  findCategory,
+  getInactiveCategoryIds,
+  getCategoryAttributes,
+  setCategoryParent
+} from '../utils/categories.js';
+import { searchProducts } from '../utils/productSearch.js';
+
+// Fields an admin may set directly; parent and ancestors go through setCategoryParent
+const categoryFields = [
+  'name',
+  'slug',
+  'description',
+  'sortOrder',
+  'attributes',
+  'aliases',
+  'returnWindowDays',
+  'isActive'
+];
+
+const pickCategoryFields = (body) => Object.fromEntries(
+  categoryFields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+// @desc    Get the active category tree
+// @route   GET /api/categories/tree
+const getCategoryTree = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ isActive: true });
+  res.json(buildTree(categories));
+});
+
+// @desc    Get all categories as a flat list (admin)
+// @route   GET /api/categories
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({}).sort({ sortOrder: 1, name: 1 });
+  res.json(categories);
+});
+
+// @desc    Get a category with its breadcrumb, children and specification template
+// @route   GET /api/categories/:slug
+const getCategory = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.slug);
+
+  // Below an inactive parent counts as inactive too
+  if ((await getInactiveCategoryIds()).some((id) => id.equals(category._id))) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  const [ancestors, children, attributes] = await Promise.all([
+    Category.find({ _id: { $in: category.ancestors } }).select('name slug'),
+    Category.find({ parent: category._id, isActive: true })
+      .select('name slug sortOrder')
+      .sort({ sortOrder: 1, name: 1 }),
+    getCategoryAttributes(category)
+  ]);
+
+  // Root first, in the order of the ancestors chain
+  const breadcrumb = category.ancestors
+    .map((id) => ancestors.find((ancestor) => ancestor._id.equals(id)))
+    .filter(Boolean);
+
+  res.json({
+    category,
+    breadcrumb,
+    children,
+    attributes
+  });
+});
+
+// @desc    Get products in a category and all of its subcategories
+// @route   GET /api/categories/:slug/products
+// Accepts the same query parameters as GET /api/products
+const getCategoryProducts = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.slug);
+
+  // Below an inactive parent counts as inactive too
+  if ((await getInactiveCategoryIds()).some((id) => id.equals(category._id))) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  res.json(await searchProducts({
+    ...req.query,
+    category: category._id.toString()
+  }));
+});
+
+// @desc    Create a category (admin)
+// @route   POST /api/categories
+const createCategory = asyncHandler(async (req, res) => {
+  const category = new Category(pickCategoryFields(req.body));
+
+  if (!category.slug && category.name) {
+    category.slug = slugify(category.name);
+  }
+
+  await setCategoryParent(category, req.body.parent);
+
+  const createdCategory = await category.save();
+  res.status(201).json(createdCategory);
+});
+
+// @desc    Update a category (admin); changing parent moves the whole subtree
+// @route   PUT /api/categories/:id
+const updateCategory = asyncHandler(async (req, res) => {
+  const updatedCategory = await mongoose.connection.transaction(async (session) => {
+    const category = await Category.findById(req.params.id).session(session);
+
+    if (!category) {
+      res.status(404);
+      throw new Error('Category not found');
+    }
+
+    category.set(pickCategoryFields(req.body));
+
+    if (req.body.parent !== undefined
+      && String(req.body.parent || '') !== String(category.parent || '')) {
+      await setCategoryParent(category, req.body.parent, session);
+    }
+
+    return category.save({ session });
+  });
+
+  res.json(updatedCategory);
+});
+
+// @desc    Delete a category (admin); only empty leaf categories can be removed
+// @route   DELETE /api/categories/:id
+const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    res.status(404);
+    throw new Error('Category not found');
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    res.status(400);
+    throw new Error('Move or delete the subcategories first');
+  }
+
+  if (await Product.exists({ category: category._id })) {
+    res.status(400);
+    throw new Error('Category still has products; deactivate it instead');
+  }
+
+  await category.deleteOne();
+  res.json({ message: 'Category removed' });
+});
+
+export {
+  getCategoryTree,
+  getCategories,
+  getCategory,
+  getCategoryProducts,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
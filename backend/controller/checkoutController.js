@@ -0,0 +1,43 @@
+import asyncHandler from 'express-async-handler';
+import { buildOrderQuote, signQuote } from '../utils/pricing.js';
+import { findCart } from '../utils/cart.js';
+import { resolveOrderAddresses } from '../utils/addresses.js';
+
+// @desc    Shipping options, tax and totals for an address and cart
+// @route   POST /api/checkout/quote
+// Prices the given orderItems, or the request's cart when none are sent. The
+// address is a typed shippingAddress or a saved shippingAddressId.
+const getCheckoutQuote = asyncHandler(async (req, res) => {
+  const { shippingMethod, couponCodes } = req.body;
+  const { shippingAddress } = resolveOrderAddresses(req.user, req.body);
+
+  let { orderItems } = req.body;
+
+  if (!orderItems) {
+    const cart = await findCart(req);
+
+    if (!cart || cart.items.length === 0) {
+      res.status(400);
+      throw new Error('Cart is empty');
+    }
+
+    orderItems = cart.items.map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity
+    }));
+  }
+
+  const quote = await buildOrderQuote(orderItems, {
+    couponCodes,
+    user: req.user,
+    shippingAddress,
+    shippingMethod
+  });
+
+  res.json(signQuote(quote));
+});
+
+export {
+  getCheckoutQuote
+};
@@ -0,0 +1,146 @@
+import Coupon from '../models/couponModel.js';
+import CouponRedemption from '../models/couponRedemptionModel.js';
+import asyncHandler from 'express-async-handler';
+
+// Fields an admin may set on a coupon; usedCount is only changed by redemptions
+const couponFields = [
+  'code',
+  'name',
+  'description',
+  'type',
+  'value',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'appliesTo',
+  'minOrderValue',
+  'usageLimit',
+  'perUserLimit',
+  'startsAt',
+  'endsAt',
+  'stackable',
+  'autoApply',
+  'priority',
+  'isActive'
+];
+
+const pickCouponFields = (body) => Object.fromEntries(
+  couponFields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+const validateCoupon = (coupon, res) => {
+  if (!coupon.code && !coupon.autoApply) {
+    res.status(400);
+    throw new Error('A coupon needs a code unless it is applied automatically');
+  }
+
+  if (coupon.type === 'percentage' && coupon.value > 100) {
+    res.status(400);
+    throw new Error('Percentage discount cannot exceed 100');
+  }
+
+  if (coupon.type === 'buy_x_get_y' && (!coupon.buyQuantity || !coupon.getQuantity)) {
+    res.status(400);
+    throw new Error('Buy X get Y coupons need buyQuantity and getQuantity');
+  }
+
+  if (coupon.startsAt && coupon.endsAt && coupon.startsAt > coupon.endsAt) {
+    res.status(400);
+    throw new Error('Coupon cannot end before it starts');
+  }
+};
+
+// @desc    Get all coupons (admin)
+// @route   GET /api/coupons
+const getCoupons = asyncHandler(async (req, res) => {
+  const pageSize = 10;
+  const page = Number(req.query.pageNumber) || 1;
+
+  const count = await Coupon.countDocuments({});
+  const coupons = await Coupon.find({})
+    .limit(pageSize)
+    .skip(pageSize * (page - 1))
+    .sort({ createdAt: -1 });
+
+  res.json({
+    coupons,
+    page,
+    pages: Math.ceil(count / pageSize)
+  });
+});
+
+// @desc    Get coupon by ID with its redemptions (admin)
+// @route   GET /api/coupons/:id
+const getCouponById = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+    .populate('user', 'firstName lastName email')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  res.json({ coupon, redemptions });
+});
+
+// @desc    Create a coupon (admin)
+// @route   POST /api/coupons
+const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = new Coupon(pickCouponFields(req.body));
+
+  validateCoupon(coupon, res);
+
+  const createdCoupon = await coupon.save();
+  res.status(201).json(createdCoupon);
+});
+
+// @desc    Update a coupon (admin)
+// @route   PUT /api/coupons/:id
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  coupon.set(pickCouponFields(req.body));
+  validateCoupon(coupon, res);
+
+  const updatedCoupon = await coupon.save();
+  res.json(updatedCoupon);
+});
+
+// @desc    Delete a coupon (admin); coupons already used are deactivated instead
+// @route   DELETE /api/coupons/:id
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  if (await CouponRedemption.exists({ coupon: coupon._id })) {
+    coupon.isActive = false;
+    await coupon.save();
+    return res.json({ message: 'Coupon deactivated' });
+  }
+
+  await coupon.deleteOne();
+  res.json({ message: 'Coupon removed' });
+});
+
+export {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
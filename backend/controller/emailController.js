@@ -0,0 +1,109 @@
+import EmailMessage from '../models/emailMessageModel.js';
+import asyncHandler from 'express-async-handler';
+import { resendEmail as requeueEmail } from '../utils/emailOutbox.js';
+import {
+  SUPPORTED_LOCALES,
+  listEmailTemplates,
+  previewEmail
+} from '../utils/emailRenderer.js';
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// @desc    Get outgoing emails, newest first (admin; filters: status, template, to)
+// @route   GET /api/emails
+const getEmails = asyncHandler(async (req, res) => {
+  const pageSize = 10;
+  const page = Number(req.query.pageNumber) || 1;
+  const { status, template, to } = req.query;
+
+  if (status && !EMAIL_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${EMAIL_STATUSES.join(', ')}`);
+  }
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (template) filter.template = template;
+  if (to) filter.to = String(to).toLowerCase();
+
+  const count = await EmailMessage.countDocuments(filter);
+  const emails = await EmailMessage.find(filter)
+    .select('-html -text -attachments.content')
+    .limit(pageSize)
+    .skip(pageSize * (page - 1))
+    .sort({ createdAt: -1 });
+
+  res.json({
+    emails,
+    page,
+    pages: Math.ceil(count / pageSize)
+  });
+});
+
+// @desc    Get an outgoing email with its content; attachments are listed by name only (admin)
+// @route   GET /api/emails/:id
+const getEmailById = asyncHandler(async (req, res) => {
+  const email = await EmailMessage.findById(req.params.id)
+    .select('-attachments.content')
+    .populate('user', 'firstName lastName email');
+
+  if (!email) {
+    res.status(404);
+    throw new Error('Email not found');
+  }
+
+  res.json(email);
+});
+
+// @desc    Queue a failed or already sent email for delivery again (admin)
+// @route   POST /api/emails/:id/resend
+const resendEmail = asyncHandler(async (req, res) => {
+  const exists = await EmailMessage.exists({ _id: req.params.id });
+
+  if (!exists) {
+    res.status(404);
+    throw new Error('Email not found');
+  }
+
+  const email = await requeueEmail(req.params.id);
+  res.json(email);
+});
+
+// @desc    List email templates and the locales they render in (admin)
+// @route   GET /api/emails/templates
+const getEmailTemplates = asyncHandler(async (req, res) => {
+  res.json({
+    templates: listEmailTemplates(),
+    locales: SUPPORTED_LOCALES
+  });
+});
+
+// @desc    Render a template against sample data (admin; query: locale,
+//          format=html (default), text or json for subject, html and text)
+// @route   GET /api/emails/templates/:name/preview
+const previewEmailTemplate = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'html';
+
+  if (!['html', 'text', 'json'].includes(format)) {
+    res.status(400);
+    throw new Error('Format must be html, text or json');
+  }
+
+  const email = previewEmail(req.params.name, { locale: req.query.locale });
+
+  if (format === 'json') {
+    res.json(email);
+  } else if (format === 'text') {
+    res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+  } else {
+    res.type('html').send(email.html);
+  }
+});
+
+export {
+  getEmails,
+  getEmailById,
+  resendEmail,
+  getEmailTemplates,
+  previewEmailTemplate
+};
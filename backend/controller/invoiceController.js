@@ -0,0 +1,103 @@
+import Order from '../models/orderModel.js';
+import Shipment from '../models/shipmentModel.js';
+import asyncHandler from 'express-async-handler';
+import { getActorForUser } from '../utils/orderLifecycle.js';
+import { getUserPermissions } from '../utils/permissions.js';
+import { assignInvoiceNumber, assignCreditNoteNumbers } from '../utils/invoices.js';
+import { renderInvoicePdf, renderCreditNotePdf, renderPackingSlipPdf } from '../utils/invoicePdf.js';
+
+// Same rule as getOrderById: the order owner or staff with orders:read
+const findViewableOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const permissions = await getUserPermissions(req.user);
+  if (!getActorForUser(req.user, order, { permissions, staffPermission: 'orders:read' })) {
+    res.status(403);
+    throw new Error('Not authorized to view this order');
+  }
+
+  return order;
+};
+
+const sendPdf = (res, filename, pdf) => {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Cache-Control', 'private, no-store');
+  res.type('application/pdf').send(pdf);
+};
+
+// @desc    Download an order's invoice; owner or staff
+// @route   GET /api/orders/:id/invoice.pdf
+const getOrderInvoice = asyncHandler(async (req, res) => {
+  let order = await findViewableOrder(req, res);
+
+  if (!order.isPaid) {
+    res.status(400);
+    throw new Error('An invoice is issued once the order has been paid');
+  }
+
+  // Orders paid before invoices were numbered get their number on first download
+  if (!order.invoiceNumber) {
+    order = await assignInvoiceNumber(order._id);
+  }
+
+  sendPdf(res, `invoice-${order.invoiceNumber}.pdf`, await renderInvoicePdf(order));
+});
+
+// @desc    Download the credit note for one refund of an order; owner or staff
+// @route   GET /api/orders/:id/refunds/:refundId/credit-note.pdf
+const getOrderCreditNote = asyncHandler(async (req, res) => {
+  let order = await findViewableOrder(req, res);
+  let refund = order.refunds.id(req.params.refundId);
+
+  if (!refund) {
+    res.status(404);
+    throw new Error('Refund not found');
+  }
+
+  if (!refund.creditNoteNumber) {
+    order = await assignCreditNoteNumbers(order._id);
+    refund = order.refunds.id(req.params.refundId);
+  }
+
+  sendPdf(res, `credit-note-${refund.creditNoteNumber}.pdf`, await renderCreditNotePdf(order, refund));
+});
+
+// @desc    Download a packing slip for an order, or for one shipment of it
+//          (admin; query: shipment)
+// @route   GET /api/orders/:id/packing-slip.pdf
+const getOrderPackingSlip = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  let shipment;
+  if (req.query.shipment) {
+    shipment = await Shipment.findOne({ _id: req.query.shipment, order: order._id });
+
+    if (!shipment) {
+      res.status(404);
+      throw new Error('Shipment not found');
+    }
+  }
+
+  const suffix = shipment ? `-${shipment.trackingNumber}` : '';
+  sendPdf(
+    res,
+    `packing-slip-${order._id.toString().slice(-8).toUpperCase()}${suffix}.pdf`,
+    await renderPackingSlipPdf(order, { shipment })
+  );
+});
+
+export {
+  getOrderInvoice,
+  getOrderCreditNote,
+  getOrderPackingSlip
+};
@@ -1,13 +1,30 @@
 import Order from '../models/orderModel.js';
-import Product from '../models/productModel.js';
 import User from '../models/userModel.js';
 import asyncHandler from 'express-async-handler';
-import { createPaymentIntent, processRefund } from '../config/stripe.js';
-import { 
-  sendOrderConfirmationEmail, 
-  sendOrderStatusUpdateEmail,
-  sendRefundConfirmationEmail 
-} from '../utils/sendEmail.js';
+import { retrievePaymentIntent } from '../config/stripe.js';
+import { buildOrderQuote, signQuote } from '../utils/pricing.js';
+import { placeOrder } from '../utils/orderPlacement.js';
+import { resolveOrderAddresses } from '../utils/addresses.js';
+import { markOrderPaid } from '../utils/paymentEvents.js';
+import { refundOrder } from '../utils/refunds.js';
+import { getActorForUser, transitionOrder, transitionRefunds } from '../utils/orderLifecycle.js';
+import { getUserPermissions, hasPermission } from '../utils/permissions.js';
+import { markOrderDelivered } from '../utils/shipments.js';
+import { sendRefundConfirmationEmail } from '../utils/sendEmail.js';
+
+// @desc    Price a prospective order from current product data
+// @route   POST /api/orders/quote
+const getOrderQuote = asyncHandler(async (req, res) => {
+  const { shippingAddress } = resolveOrderAddresses(req.user, req.body);
+
+  const quote = await buildOrderQuote(req.body.orderItems, {
+    couponCodes: req.body.couponCodes,
+    user: req.user,
+    shippingAddress,
+    shippingMethod: req.body.shippingMethod
+  });
+  res.json(signQuote(quote));
+});
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -15,74 +32,30 @@ const addOrderItems = asyncHandler(async (req, res) => {
   const {
     orderItems,
     shippingAddress,
+    shippingAddressId,
+    billingAddressId,
     paymentMethod,
-    itemsPrice,
-    taxPrice,
-    shippingPrice,
-    totalPrice
+    shippingMethod,
+    couponCodes,
+    quote: clientQuote
   } = req.body;
 
-  // Validate order items
-  if (!orderItems || orderItems.length === 0) {
-    res.status(400);
-    throw new Error('No order items');
-  }
-
-  // Validate product availability and stock
-  for (const item of orderItems) {
-    const product = await Product.findById(item.product);
-    
-    if (!product) {
-      res.status(404);
-      throw new Error(`Product not found: ${item.product}`);
-    }
-
-    if (product.countInStock < item.quantity) {
-      res.status(400);
-      throw new Error(`Insufficient stock for product: ${product.name}`);
-    }
-  }
-
-  // Create order
-  const order = new Order({
-    orderItems: orderItems.map(item => ({
-      name: item.name,
-      quantity: item.quantity,
-      image: item.image,
-      price: item.price,
-      product: item.product
-    })),
-    user: req.user._id,
+  const { order, clientSecret } = await placeOrder({
+    user: req.user,
+    orderItems,
     shippingAddress,
+    shippingAddressId,
+    billingAddressId,
     paymentMethod,
-    itemsPrice,
-    taxPrice,
-    shippingPrice,
-    totalPrice
+    shippingMethod,
+    couponCodes,
+    clientQuote,
+    clientTotals: req.body
   });
 
-  // Update product stock
-  for (const item of orderItems) {
-    const product = await Product.findById(item.product);
-    product.countInStock -= item.quantity;
-    await product.save();
-  }
-
-  // Create payment intent
-  const paymentIntent = await createPaymentIntent(totalPrice);
-  order.paymentResult = {
-    id: paymentIntent.id,
-    status: 'pending'
-  };
-
-  const createdOrder = await order.save();
-
-  // Send confirmation email
-  await sendOrderConfirmationEmail(createdOrder, req.user);
-
   res.status(201).json({
-    order: createdOrder,
-    clientSecret: paymentIntent.client_secret
+    order,
+    clientSecret
   });
 });
 
@@ -97,8 +70,9 @@ const getOrderById = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Ensure only the order owner or admin can access the order
-  if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Ensure only the order owner or staff can access the order
+  const permissions = await getUserPermissions(req.user);
+  if (!getActorForUser(req.user, order, { permissions, staffPermission: 'orders:read' })) {
     res.status(403);
     throw new Error('Not authorized to view this order');
   }
@@ -116,19 +90,29 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  order.isPaid = true;
-  order.paidAt = Date.now();
-  order.paymentResult = {
-    id: req.body.id,
-    status: req.body.status,
-    update_time: req.body.update_time,
-    email_address: req.body.payer.email_address
-  };
+  if (order.isPaid) {
+    return res.json(order);
+  }
+
+  if (!order.paymentResult || !order.paymentResult.id) {
+    res.status(400);
+    throw new Error('Order has no payment to confirm');
+  }
+
+  // Ask Stripe rather than trusting the client; the webhook normally gets here first
+  const paymentIntent = await retrievePaymentIntent(order.paymentResult.id);
 
-  const updatedOrder = await order.save();
+  if (paymentIntent.status !== 'succeeded') {
+    res.status(400);
+    throw new Error(`Payment not completed (status: ${paymentIntent.status})`);
+  }
 
-  // Send payment confirmation email
-  await sendOrderStatusUpdateEmail(updatedOrder, req.user);
+  const updatedOrder = await markOrderPaid(order, paymentIntent);
+
+  if (updatedOrder.paymentResult.status === 'underpaid') {
+    res.status(400);
+    throw new Error('Payment is less than the order total; our staff will be in touch');
+  }
 
   res.json(updatedOrder);
 });
@@ -143,18 +127,69 @@ const updateOrderToDelivered = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  order.isDelivered = true;
-  order.deliveredAt = Date.now();
-  order.orderStatus = 'Delivered';
+  // Marks the order's parcels delivered; rejects unpaid, cancelled and
+  // not fully shipped orders. Emails the customer.
+  const updatedOrder = await markOrderDelivered(order, {
+    user: req.user._id,
+    note: req.body.note
+  });
+
+  res.json(updatedOrder);
+});
 
-  const updatedOrder = await order.save();
+// @desc    Change order status (admin)
+// @route   PUT /api/orders/:id/status
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
 
-  // Send delivery confirmation email
-  await sendOrderStatusUpdateEmail(updatedOrder, req.user);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  // Cancelling a paid order refunds it, so that needs the refund permission as well
+  if (transitionRefunds(order, status)
+    && !hasPermission(req.permissions || await getUserPermissions(req.user), 'orders:refund')) {
+    res.status(403);
+    throw new Error(`Changing this order to ${status} refunds it, which requires the orders:refund permission`);
+  }
+
+  const updatedOrder = await transitionOrder(order, status, {
+    actor: 'admin',
+    user: req.user._id,
+    note
+  });
 
   res.json(updatedOrder);
 });
 
+// @desc    Get order status history
+// @route   GET /api/orders/:id/history
+const getOrderHistory = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .select('user orderStatus statusHistory')
+    .populate('statusHistory.user', 'firstName lastName');
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const permissions = await getUserPermissions(req.user);
+  if (!getActorForUser(req.user, order, { permissions, staffPermission: 'orders:read' })) {
+    res.status(403);
+    throw new Error('Not authorized to view this order');
+  }
+
+  res.json({
+    _id: order._id,
+    orderStatus: order.orderStatus,
+    statusHistory: order.statusHistory
+  });
+});
+
 // @desc    Get logged in user orders
 // @route   GET /api/orders/myorders
 const getMyOrders = asyncHandler(async (req, res) => {
@@ -193,47 +228,26 @@ const processOrderRefund = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if order is eligible for refund
-  if (!order.isPaid || order.isRefunded) {
-    res.status(400);
-    throw new Error('Order cannot be refunded');
-  }
+  const { amount, items, reason, restock } = req.body;
 
-  try {
-    // Process refund through Stripe
-    const refundResult = await processRefund(
-      order.paymentResult.id, 
-      order.totalPrice
-    );
-
-    // Update order status
-    order.isRefunded = true;
-    order.refundedAt = Date.now();
-    order.orderStatus = 'Refunded';
-    order.refundResult = {
-      id: refundResult.id,
-      status: refundResult.status
-    };
-
-    // Restore product stock
-    for (const item of order.orderItems) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.countInStock += item.quantity;
-        await product.save();
-      }
-    }
-
-    const updatedOrder = await order.save();
-
-    // Send refund confirmation email
-    await sendRefundConfirmationEmail(updatedOrder, order.user);
-
-    res.json(updatedOrder);
-  } catch (error) {
-    res.status(500);
-    throw new Error(`Refund processing failed: ${error.message}`);
+  // Full refund when neither an amount nor items are given
+  const updatedOrder = await refundOrder(order, {
+    amount,
+    items,
+    reason,
+    restock: restock !== false,
+    actor: 'admin',
+    user: req.user._id
+  });
+
+  // Send refund confirmation email
+  const customer = await User.findById(updatedOrder.user);
+  const refund = updatedOrder.refunds[updatedOrder.refunds.length - 1];
+  if (customer) {
+    await sendRefundConfirmationEmail(updatedOrder, customer, refund);
   }
+
+  res.json(updatedOrder);
 });
 
 // @desc    Cancel an order
@@ -246,38 +260,44 @@ const cancelOrder = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if order is cancelable
-  if (order.orderStatus === 'Shipped' || order.orderStatus === 'Delivered') {
-    res.status(400);
-    throw new Error('Order cannot be canceled');
-  }
+  const permissions = await getUserPermissions(req.user);
+  const actor = getActorForUser(req.user, order, { permissions });
 
-  // Restore product stock
-  for (const item of order.orderItems) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      product.countInStock += item.quantity;
-      await product.save();
-    }
+  if (!actor) {
+    res.status(403);
+    throw new Error('Not authorized to cancel this order');
   }
 
-  // Update order status
-  order.orderStatus = 'Canceled';
-  order.canceledAt = Date.now();
+  // Customers get their own money back, but staff need the refund permission
+  if (actor === 'admin' && transitionRefunds(order, 'Cancelled')
+    && !hasPermission(permissions, 'orders:refund')) {
+    res.status(403);
+    throw new Error('Cancelling a paid order requires the orders:refund permission');
+  }
 
-  const canceledOrder = await order.save();
+  if (['Delivered', 'PartiallyRefunded'].includes(order.orderStatus)) {
+    res.status(400);
+    throw new Error('Delivered orders cannot be cancelled; request a return instead');
+  }
 
-  // Send cancellation email
-  await sendOrderStatusUpdateEmail(canceledOrder, req.user);
+  // Restores stock, refunds a paid order and emails the customer
+  const canceledOrder = await transitionOrder(order, 'Cancelled', {
+    actor,
+    user: req.user._id,
+    note: req.body.reason
+  });
 
   res.json(canceledOrder);
 });
 
 export {
+  getOrderQuote,
   addOrderItems,
   getOrderById,
   updateOrderToPaid,
   updateOrderToDelivered,
+  updateOrderStatus,
+  getOrderHistory,
   getMyOrders,
   getOrders,
   processOrderRefund,
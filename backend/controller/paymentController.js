@@ -0,0 +1,27 @@
+import asyncHandler from 'express-async-handler';
+import { constructWebhookEvent } from '../config/stripe.js';
+import { handleStripeEvent } from '../utils/paymentEvents.js';
+
+// @desc    Receive Stripe webhook events
+// @route   POST /api/payments/webhook
+// Must be mounted with express.raw({ type: 'application/json' }) ahead of
+// express.json(), since the signature is computed over the exact raw body.
+const handleStripeWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+
+  let event;
+  try {
+    event = constructWebhookEvent(req.body, signature);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Webhook signature verification failed: ${error.message}`);
+  }
+
+  const result = await handleStripeEvent(event);
+
+  res.json({ received: true, ...result });
+});
+
+export {
+  handleStripeWebhook
+};
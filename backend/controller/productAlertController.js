@@ -0,0 +1,49 @@
+import ProductAlert from '../models/productAlertModel.js';
+import asyncHandler from 'express-async-handler';
+import {
+  subscribeToAlert,
+  cancelAlert,
+  unsubscribeWithToken
+} from '../utils/productAlerts.js';
+
+// @desc    Get the logged in user's product alerts that have not been cancelled
+// @route   GET /api/alerts
+const getMyAlerts = asyncHandler(async (req, res) => {
+  const alerts = await ProductAlert.find({ user: req.user._id, status: { $ne: 'cancelled' } })
+    .populate('product', 'name image price countInStock')
+    .sort({ createdAt: -1 });
+
+  res.json(alerts);
+});
+
+// @desc    Subscribe to a back-in-stock or price-drop alert for a product
+//          (body: type, optional variant and targetPrice)
+// @route   POST /api/products/:id/alerts
+const createProductAlert = asyncHandler(async (req, res) => {
+  const { type, variant, targetPrice } = req.body;
+
+  const alert = await subscribeToAlert(req.user._id, req.params.id, { type, variant, targetPrice });
+
+  res.status(201).json(alert);
+});
+
+// @desc    Cancel one of the logged in user's alerts
+// @route   DELETE /api/alerts/:id
+const deleteAlert = asyncHandler(async (req, res) => {
+  await cancelAlert(req.user._id, req.params.id);
+  res.json({ message: 'Alert cancelled' });
+});
+
+// @desc    Unsubscribe through the link in an alert email; no login needed
+// @route   POST /api/alerts/unsubscribe/:token
+const unsubscribeAlerts = asyncHandler(async (req, res) => {
+  const count = await unsubscribeWithToken(req.params.token);
+  res.json({ message: `Unsubscribed from ${count} alerts` });
+});
+
+export {
+  getMyAlerts,
+  createProductAlert,
+  deleteAlert,
+  unsubscribeAlerts
+};
@@ -1,43 +1,35 @@
 import Product from '../models/productModel.js';
 import asyncHandler from 'express-async-handler';
+import { searchProducts } from '../utils/productSearch.js';
+import { findCategory, getInactiveCategoryIds, assertSpecifications } from '../utils/categories.js';
+import { checkProductAlerts } from '../utils/productAlerts.js';
+import { listReviews } from '../utils/reviews.js';
+import { mergeVariants } from '../utils/variants.js';
 
-// @desc    Fetch all products
+// Product responses include priceRange and inStockVariants (see productModel.js)
+
+// @desc    Search active products with filters, sorting and facet counts
 // @route   GET /api/products
+// Query parameters are documented on searchProducts in utils/productSearch.js
 const getProducts = asyncHandler(async (req, res) => {
-  // Pagination
-  const pageSize = 10;
-  const page = Number(req.query.pageNumber) || 1;
-
-  // Filtering
-  const keyword = req.query.keyword 
-    ? { 
-        name: { 
-          $regex: req.query.keyword, 
-          $options: 'i' 
-        } 
-      } 
-    : {};
-
-  const count = await Product.countDocuments({ ...keyword });
-
-  const products = await Product.find({ ...keyword })
-    .limit(pageSize)
-    .skip(pageSize * (page - 1));
-
-  res.json({
-    products, 
-    page, 
-    pages: Math.ceil(count / pageSize)
-  });
+  res.json(await searchProducts(req.query));
 });
 
 // @desc    Fetch single product
 // @route   GET /api/products/:id
 const getProductById = asyncHandler(async (req, res) => {
-  const product = await Product.findById(req.params.id);
+  // Products in an inactive category are hidden along with it
+  const product = await Product.findOne({
+    _id: req.params.id,
+    category: { $nin: await getInactiveCategoryIds() }
+  }).populate('category', 'name slug ancestors');
 
   if (product) {
-    res.json(product);
+    // Only approved reviews are public; more pages come from GET /api/products/:id/reviews
+    res.json({
+      ...product.toJSON(),
+      reviews: listReviews(product).reviews
+    });
   } else {
     res.status(404);
     throw new Error('Product not found');
@@ -54,20 +46,28 @@ const createProduct = asyncHandler(async (req, res) => {
     description,
     price,
     countInStock,
+    weight,
     image,
-    specifications
+    specifications,
+    variants
   } = req.body;
 
+  // category may be given as an id or a slug
+  const productCategory = await findCategory(category);
+  await assertSpecifications(productCategory, specifications);
+
   const product = new Product({
     name,
     brand,
-    category,
+    category: productCategory._id,
     description,
     price,
     countInStock,
+    weight,
     image,
     user: req.user._id,
-    specifications: specifications || {}
+    specifications: specifications || {},
+    variants: variants || []
   });
 
   const createdProduct = await product.save();
@@ -84,8 +84,10 @@ const updateProduct = asyncHandler(async (req, res) => {
     description,
     price,
     countInStock,
+    weight,
     image,
-    specifications
+    specifications,
+    variants
   } = req.body;
 
   const product = await Product.findById(req.params.id);
@@ -93,14 +95,25 @@ const updateProduct = asyncHandler(async (req, res) => {
   if (product) {
     product.name = name || product.name;
     product.brand = brand || product.brand;
-    product.category = category || product.category;
+    const productCategory = await findCategory(category || product.category);
+    await assertSpecifications(productCategory, specifications || product.specifications);
+
+    product.category = productCategory._id;
     product.description = description || product.description;
     product.price = price || product.price;
-    product.countInStock = countInStock || product.countInStock;
+    product.countInStock = countInStock ?? product.countInStock;
+    product.weight = weight ?? product.weight;
     product.image = image || product.image;
     product.specifications = specifications || product.specifications;
+    if (variants) {
+      mergeVariants(product, variants);
+    }
 
     const updatedProduct = await product.save();
+
+    // Restocks and price cuts fire the alerts customers set on the product
+    await checkProductAlerts([updatedProduct._id]);
+
     res.json(updatedProduct);
   } else {
     res.status(404);
@@ -122,47 +135,16 @@ const deleteProduct = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Create a review
-// @route   POST /api/products/:id/reviews
-const createProductReview = asyncHandler(async (req, res) => {
-  const { rating, comment } = req.body;
-
-  const product = await Product.findById(req.params.id);
-
-  if (product) {
-    // Check if user has already reviewed
-    const alreadyReviewed = product.reviews.find(
-      (r) => r.user.toString() === req.user._id.toString()
-    );
-
-    if (alreadyReviewed) {
-      res.status(400);
-      throw new Error('Product already reviewed');
-    }
-
-    const review = {
-      name: req.user.firstName + ' ' + req.user.lastName,
-      rating: Number(rating),
-      comment,
-      user: req.user._id
-    };
-
-    product.reviews.push(review);
-    product.numReviews = product.reviews.length;
-    product.rating = product.calculateAverageRating();
-
-    await product.save();
-    res.status(201).json({ message: 'Review added' });
-  } else {
-    res.status(404);
-    throw new Error('Product not found');
-  }
-});
-
 // @desc    Get top rated products
 // @route   GET /api/products/top
 const getTopProducts = asyncHandler(async (req, res) => {
-  const products = await Product.find({}).sort({ rating: -1 }).limit(3);
+  const products = await Product.find({
+    isActive: true,
+    category: { $nin: await getInactiveCategoryIds() }
+  })
+    .select('-reviews')
+    .sort({ rating: -1 })
+    .limit(3);
   res.json(products);
 });
 
@@ -172,6 +154,5 @@ export {
   createProduct,
   updateProduct,
   deleteProduct,
-  createProductReview,
   getTopProducts
 };
\ No newline at end of file
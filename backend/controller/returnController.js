@@ -0,0 +1,142 @@
+import Order from '../models/orderModel.js';
+import ReturnRequest from '../models/returnRequestModel.js';
+import asyncHandler from 'express-async-handler';
+import { getActorForUser } from '../utils/orderLifecycle.js';
+import { getUserPermissions, hasPermission } from '../utils/permissions.js';
+import {
+  findReturn,
+  getReturnableItems,
+  createReturnRequest,
+  cancelReturnRequest,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  resolveReturn,
+  listReturns
+} from '../utils/returns.js';
+
+const findOwnOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (getActorForUser(req.user, order) !== 'customer') {
+    res.status(403);
+    throw new Error('Not authorized to return items from this order');
+  }
+
+  return order;
+};
+
+// @desc    Get what can still be returned from an order, with the deadlines
+// @route   GET /api/orders/:id/returnable
+const getOrderReturnableItems = asyncHandler(async (req, res) => {
+  const order = await findOwnOrder(req, res);
+  res.json(await getReturnableItems(order));
+});
+
+// @desc    Request a return (body: items [{ itemId, quantity, reason, comment,
+//          photos }], preferredResolution refund or exchange)
+// @route   POST /api/orders/:id/returns
+const createOrderReturn = asyncHandler(async (req, res) => {
+  const order = await findOwnOrder(req, res);
+  const { items, preferredResolution } = req.body;
+
+  const returnRequest = await createReturnRequest(order, req.user, { items, preferredResolution });
+
+  res.status(201).json(returnRequest);
+});
+
+// @desc    Get the logged in user's returns
+// @route   GET /api/returns/mine
+const getMyReturns = asyncHandler(async (req, res) => {
+  const returns = await ReturnRequest.find({ user: req.user._id })
+    .sort({ createdAt: -1 });
+
+  res.json(returns);
+});
+
+// @desc    Get a return; owner or staff
+// @route   GET /api/returns/:id
+const getReturnById = asyncHandler(async (req, res) => {
+  const returnRequest = await findReturn(req.params.id);
+
+  const isOwner = returnRequest.user.toString() === req.user._id.toString();
+  if (!isOwner && !hasPermission(await getUserPermissions(req.user), 'returns:write')) {
+    res.status(403);
+    throw new Error('Not authorized to view this return');
+  }
+
+  res.json(returnRequest);
+});
+
+// @desc    Withdraw a return before the items are sent back
+// @route   PUT /api/returns/:id/cancel
+const cancelReturn = asyncHandler(async (req, res) => {
+  res.json(await cancelReturnRequest(req.params.id, req.user));
+});
+
+// @desc    Get returns, oldest first (admin; filter: status)
+// @route   GET /api/returns
+const getReturns = asyncHandler(async (req, res) => {
+  res.json(await listReturns(req.query));
+});
+
+// @desc    Approve a return and issue a return label (admin; body: carrier,
+//          issueLabel=false for no label, note)
+// @route   PUT /api/returns/:id/approve
+const approveOrderReturn = asyncHandler(async (req, res) => {
+  const { carrier, issueLabel, note } = req.body;
+
+  res.json(await approveReturn(req.params.id, req.user, {
+    carrier,
+    issueLabel: issueLabel !== false,
+    note
+  }));
+});
+
+// @desc    Reject a return (admin; body: reason)
+// @route   PUT /api/returns/:id/reject
+const rejectOrderReturn = asyncHandler(async (req, res) => {
+  res.json(await rejectReturn(req.params.id, req.user, { reason: req.body.reason }));
+});
+
+// @desc    Record the received items with restock or write_off per item
+//          (admin; body: items [{ itemId, receivedQuantity, disposition, note }], note)
+// @route   PUT /api/returns/:id/receive
+const receiveOrderReturn = asyncHandler(async (req, res) => {
+  const { items, note } = req.body;
+  res.json(await receiveReturn(req.params.id, req.user, { items, note }));
+});
+
+// @desc    Refund or exchange a received return (admin; body: type refund or
+//          exchange, items [{ itemId, variant }] for exchanges to another variant)
+// @route   PUT /api/returns/:id/resolve
+const resolveOrderReturn = asyncHandler(async (req, res) => {
+  const { type, items } = req.body;
+
+  // Refunds move money, so they need the refund permission as well
+  if (type === 'refund'
+    && !hasPermission(req.permissions || await getUserPermissions(req.user), 'orders:refund')) {
+    res.status(403);
+    throw new Error('Refunding a return requires the orders:refund permission');
+  }
+
+  res.json(await resolveReturn(req.params.id, req.user, { type, items }));
+});
+
+export {
+  getOrderReturnableItems,
+  createOrderReturn,
+  getMyReturns,
+  getReturnById,
+  cancelReturn,
+  getReturns,
+  approveOrderReturn,
+  rejectOrderReturn,
+  receiveOrderReturn,
+  resolveOrderReturn
+};
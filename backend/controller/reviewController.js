@@ -0,0 +1,103 @@
+import Product from '../models/productModel.js';
+import asyncHandler from 'express-async-handler';
+import { getUserPermissions, hasPermission } from '../utils/permissions.js';
+import {
+  toPublicReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  reportReview,
+  voteReview,
+  listReviews,
+  getModerationQueue
+} from '../utils/reviews.js';
+
+// @desc    Get a page of a product's approved reviews
+//          (?sort=newest|rating_desc|rating_asc|helpful, ?rating=5, ?verified=true)
+// @route   GET /api/products/:id/reviews
+const getProductReviews = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('rating reviews');
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  res.json(listReviews(product, req.query));
+});
+
+// @desc    Create a review; verified purchases go live at once, others wait for a moderator
+// @route   POST /api/products/:id/reviews
+const createProductReview = asyncHandler(async (req, res) => {
+  const review = await createReview(req.params.id, req.user, req.body);
+
+  res.status(201).json({
+    message: review.status === 'approved' ? 'Review added' : 'Review submitted for approval',
+    review: { ...toPublicReview(review), status: review.status }
+  });
+});
+
+// @desc    Edit your own review
+// @route   PUT /api/products/:id/reviews/:reviewId
+const updateProductReview = asyncHandler(async (req, res) => {
+  const review = await updateReview(req.params.id, req.params.reviewId, req.user, req.body);
+
+  res.json({ ...toPublicReview(review), status: review.status });
+});
+
+// @desc    Delete your own review, or any review with reviews:moderate
+// @route   DELETE /api/products/:id/reviews/:reviewId
+const deleteProductReview = asyncHandler(async (req, res) => {
+  const isModerator = hasPermission(await getUserPermissions(req.user), 'reviews:moderate');
+
+  await deleteReview(req.params.id, req.params.reviewId, req.user, { isModerator });
+  res.json({ message: 'Review removed' });
+});
+
+// @desc    Vote a review helpful (true), unhelpful (false) or withdraw the vote (null)
+// @route   PUT /api/products/:id/reviews/:reviewId/vote
+const voteProductReview = asyncHandler(async (req, res) => {
+  const review = await voteReview(req.params.id, req.params.reviewId, req.user, req.body.helpful);
+
+  res.json(toPublicReview(review));
+});
+
+// @desc    Report a review as abusive (body: reason, optional comment)
+// @route   POST /api/products/:id/reviews/:reviewId/report
+const reportProductReview = asyncHandler(async (req, res) => {
+  const { reason, comment } = req.body;
+
+  await reportReview(req.params.id, req.params.reviewId, req.user, { reason, comment });
+  res.status(201).json({ message: 'Thanks, a moderator will take a look' });
+});
+
+// @desc    Reviews awaiting moderation (?status=pending|rejected|reported) (admin)
+// @route   GET /api/reviews/moderation
+const getReviewModerationQueue = asyncHandler(async (req, res) => {
+  res.json(await getModerationQueue(req.query));
+});
+
+// @desc    Approve or reject a review (body: status, reason) (admin)
+// @route   PUT /api/products/:id/reviews/:reviewId/moderation
+const moderateProductReview = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const review = await moderateReview(req.params.id, req.params.reviewId, req.user, {
+    status,
+    reason
+  });
+
+  res.json(review);
+});
+
+export {
+  getProductReviews,
+  createProductReview,
+  updateProductReview,
+  deleteProductReview,
+  voteProductReview,
+  reportProductReview,
+  getReviewModerationQueue,
+  moderateProductReview
+};
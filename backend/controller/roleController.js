@@ -0,0 +1,193 @@
+import Role from '../models/roleModel.js';
+import User from '../models/userModel.js';
+import asyncHandler from 'express-async-handler';
+import { slugify } from '../utils/categories.js';
+import {
+  PERMISSIONS,
+  LOCKED_ROLES,
+  getDefaultRole,
+  clearRoleCache,
+  findRole,
+  listRoles,
+  assertNotLastSuperAdmin,
+  assertCanGrant,
+  assertCanAssignRole,
+  assertCanManageUser,
+  validatePermissions
+} from '../utils/permissions.js';
+
+// Fields an admin may set on a role; the name is fixed once created
+const roleFields = ['label', 'description', 'permissions'];
+
+const pickRoleFields = (body) => Object.fromEntries(
+  roleFields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+// @desc    List every permission a role can grant (admin)
+// @route   GET /api/roles/permissions
+const getPermissions = asyncHandler(async (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// @desc    Get all roles, built-in and custom, with their account counts (admin)
+// @route   GET /api/roles
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = await listRoles();
+  const counts = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+  const countByRole = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  res.json(roles.map((role) => ({ ...role, userCount: countByRole.get(role.name) || 0 })));
+});
+
+// @desc    Get a role (admin)
+// @route   GET /api/roles/:name
+const getRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req.params.name);
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  res.json(role);
+});
+
+// @desc    Create a custom role (admin)
+// @route   POST /api/roles
+const createRole = asyncHandler(async (req, res) => {
+  const name = slugify(req.body.name || req.body.label || '');
+  const fields = pickRoleFields(req.body);
+
+  if (!name || !fields.label) {
+    res.status(400);
+    throw new Error('A role needs a name and a label');
+  }
+
+  if (await findRole(name)) {
+    res.status(400);
+    throw new Error('A role with that name already exists');
+  }
+
+  validatePermissions(fields.permissions || []);
+  assertCanGrant(req.permissions, fields.permissions || []);
+
+  const role = await Role.create({ ...fields, name, isSystem: false });
+  clearRoleCache();
+
+  res.status(201).json(role);
+});
+
+// @desc    Update a role (admin); built-in roles are stored on first edit
+// @route   PUT /api/roles/:name
+const updateRole = asyncHandler(async (req, res) => {
+  const name = String(req.params.name).toLowerCase();
+  const existing = await findRole(name);
+
+  if (!existing) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  if (LOCKED_ROLES.includes(name)) {
+    res.status(400);
+    throw new Error('This role cannot be changed');
+  }
+
+  const fields = pickRoleFields(req.body);
+
+  if (fields.permissions) {
+    validatePermissions(fields.permissions);
+
+    if (existing.permissions.includes('*') && !fields.permissions.includes('*')) {
+      res.status(400);
+      throw new Error('A role with full access cannot be narrowed');
+    }
+
+    assertCanGrant(req.permissions, fields.permissions);
+  }
+  // Changing a role changes every account holding it
+  assertCanGrant(req.permissions, existing.permissions);
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    {
+      $set: fields,
+      $setOnInsert: {
+        name,
+        isSystem: Boolean(getDefaultRole(name)),
+        ...(fields.label ? {} : { label: existing.label })
+      }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+  clearRoleCache();
+
+  res.json(role);
+});
+
+// @desc    Delete a custom role (admin); it must not be assigned to anyone.
+//          Deleting a stored built-in role restores its default permissions.
+// @route   DELETE /api/roles/:name
+const deleteRole = asyncHandler(async (req, res) => {
+  const name = String(req.params.name).toLowerCase();
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  assertCanGrant(req.permissions, role.permissions);
+
+  if (!role.isSystem && await User.exists({ role: name })) {
+    res.status(400);
+    throw new Error('Role is still assigned to users');
+  }
+
+  await role.deleteOne();
+  clearRoleCache();
+
+  res.json({ message: role.isSystem ? 'Role reset to its defaults' : 'Role removed' });
+});
+
+// @desc    Assign a role to a user (admin)
+// @route   PUT /api/users/:id/role
+const assignUserRole = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const role = String(req.body.role || '').toLowerCase();
+
+  await assertCanManageUser(req.permissions, user);
+  await assertCanAssignRole(req.permissions, role);
+  await assertNotLastSuperAdmin(user, { role });
+
+  user.role = role;
+  await user.save();
+
+  res.json({
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role
+  });
+});
+
+export {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole
+};
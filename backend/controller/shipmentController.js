@@ -0,0 +1,119 @@
+import Order from '../models/orderModel.js';
+import Shipment from '../models/shipmentModel.js';
+import asyncHandler from 'express-async-handler';
+import { listCarriers } from '../utils/carriers.js';
+import { getActorForUser } from '../utils/orderLifecycle.js';
+import { getUserPermissions } from '../utils/permissions.js';
+import {
+  createShipment,
+  recordShipmentEvent,
+  syncShipmentTracking,
+  cancelShipment,
+  getOrderTracking
+} from '../utils/shipments.js';
+
+// @desc    Get the carriers parcels can be sent with (admin)
+// @route   GET /api/shipments/carriers
+const getCarriers = asyncHandler(async (req, res) => {
+  res.json(listCarriers());
+});
+
+// @desc    Get an order's parcels and tracking; owner or staff
+// @route   GET /api/orders/:id/tracking
+const getOrderTrackingInfo = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const permissions = await getUserPermissions(req.user);
+  if (!getActorForUser(req.user, order, { permissions, staffPermission: 'orders:read' })) {
+    res.status(403);
+    throw new Error('Not authorized to view this order');
+  }
+
+  res.json(await getOrderTracking(order));
+});
+
+// @desc    Get an order's shipments with labels and the full event log (admin)
+// @route   GET /api/orders/:id/shipments
+const getOrderShipments = asyncHandler(async (req, res) => {
+  const shipments = await Shipment.find({ order: req.params.id })
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ createdAt: 1 });
+
+  res.json(shipments);
+});
+
+// @desc    Ship items of an order (admin; body: carrier, optional trackingNumber,
+//          items [{ itemId, quantity }] (default everything left), status, note)
+// @route   POST /api/orders/:id/shipments
+const createOrderShipment = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const { carrier, trackingNumber, items, status, note } = req.body;
+
+  const shipment = await createShipment(
+    order,
+    { carrier, trackingNumber, items, status, note },
+    { user: req.user._id }
+  );
+
+  res.status(201).json(shipment);
+});
+
+// @desc    Add a tracking event to a shipment (admin; body: status,
+//          description, location, occurredAt)
+// @route   POST /api/shipments/:id/events
+const addShipmentEvent = asyncHandler(async (req, res) => {
+  const { status, description, location, occurredAt } = req.body;
+
+  const shipment = await recordShipmentEvent(
+    req.params.id,
+    { status, description, location, occurredAt },
+    { user: req.user._id }
+  );
+
+  res.status(201).json(shipment);
+});
+
+// @desc    Read the latest tracking from the carrier (admin)
+// @route   POST /api/shipments/:id/sync
+const syncShipment = asyncHandler(async (req, res) => {
+  const shipment = await Shipment.findById(req.params.id);
+
+  if (!shipment) {
+    res.status(404);
+    throw new Error('Shipment not found');
+  }
+
+  res.json(await syncShipmentTracking(shipment));
+});
+
+// @desc    Cancel a shipment that has not left yet (admin; body: reason)
+// @route   DELETE /api/shipments/:id
+const deleteShipment = asyncHandler(async (req, res) => {
+  const shipment = await cancelShipment(req.params.id, {
+    user: req.user._id,
+    reason: req.body.reason
+  });
+
+  res.json(shipment);
+});
+
+export {
+  getCarriers,
+  getOrderTrackingInfo,
+  getOrderShipments,
+  createOrderShipment,
+  addShipmentEvent,
+  syncShipment,
+  deleteShipment
+};
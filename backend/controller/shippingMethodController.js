@@ -0,0 +1,85 @@
+import ShippingMethod from '../models/shippingMethodModel.js';
+import asyncHandler from 'express-async-handler';
+
+const shippingMethodFields = [
+  'code',
+  'name',
+  'description',
+  'type',
+  'rate',
+  'tiers',
+  'freeOver',
+  'zones',
+  'estimatedDays',
+  'sortOrder',
+  'isActive'
+];
+
+const pickShippingMethodFields = (body) => Object.fromEntries(
+  shippingMethodFields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+const validateShippingMethod = (method, res) => {
+  if (method.type !== 'flat' && method.tiers.length === 0) {
+    res.status(400);
+    throw new Error('Weight and value based shipping methods need at least one tier');
+  }
+};
+
+// @desc    Get all shipping methods (admin)
+// @route   GET /api/shipping-methods
+const getShippingMethods = asyncHandler(async (req, res) => {
+  const shippingMethods = await ShippingMethod.find({}).sort({ sortOrder: 1 });
+  res.json(shippingMethods);
+});
+
+// @desc    Create a shipping method (admin)
+// @route   POST /api/shipping-methods
+const createShippingMethod = asyncHandler(async (req, res) => {
+  const shippingMethod = new ShippingMethod(pickShippingMethodFields(req.body));
+
+  validateShippingMethod(shippingMethod, res);
+
+  const createdShippingMethod = await shippingMethod.save();
+  res.status(201).json(createdShippingMethod);
+});
+
+// @desc    Update a shipping method (admin)
+// @route   PUT /api/shipping-methods/:id
+const updateShippingMethod = asyncHandler(async (req, res) => {
+  const shippingMethod = await ShippingMethod.findById(req.params.id);
+
+  if (!shippingMethod) {
+    res.status(404);
+    throw new Error('Shipping method not found');
+  }
+
+  shippingMethod.set(pickShippingMethodFields(req.body));
+  validateShippingMethod(shippingMethod, res);
+
+  const updatedShippingMethod = await shippingMethod.save();
+  res.json(updatedShippingMethod);
+});
+
+// @desc    Delete a shipping method (admin)
+// @route   DELETE /api/shipping-methods/:id
+const deleteShippingMethod = asyncHandler(async (req, res) => {
+  const shippingMethod = await ShippingMethod.findById(req.params.id);
+
+  if (!shippingMethod) {
+    res.status(404);
+    throw new Error('Shipping method not found');
+  }
+
+  await shippingMethod.deleteOne();
+  res.json({ message: 'Shipping method removed' });
+});
+
+export {
+  getShippingMethods,
+  createShippingMethod,
+  updateShippingMethod,
+  deleteShippingMethod
+};
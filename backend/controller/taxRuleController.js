@@ -0,0 +1,71 @@
+import TaxRule from '../models/taxRuleModel.js';
+import asyncHandler from 'express-async-handler';
+
+const taxRuleFields = [
+  'name',
+  'country',
+  'state',
+  'rate',
+  'categoryRates',
+  'shippingTaxable',
+  'isActive'
+];
+
+const pickTaxRuleFields = (body) => Object.fromEntries(
+  taxRuleFields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+// @desc    Get all tax rules (admin)
+// @route   GET /api/tax-rules
+const getTaxRules = asyncHandler(async (req, res) => {
+  const taxRules = await TaxRule.find({}).sort({ country: 1, state: 1 });
+  res.json(taxRules);
+});
+
+// @desc    Create a tax rule (admin)
+// @route   POST /api/tax-rules
+const createTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = new TaxRule(pickTaxRuleFields(req.body));
+
+  const createdTaxRule = await taxRule.save();
+  res.status(201).json(createdTaxRule);
+});
+
+// @desc    Update a tax rule (admin)
+// @route   PUT /api/tax-rules/:id
+const updateTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findById(req.params.id);
+
+  if (!taxRule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  taxRule.set(pickTaxRuleFields(req.body));
+
+  const updatedTaxRule = await taxRule.save();
+  res.json(updatedTaxRule);
+});
+
+// @desc    Delete a tax rule (admin)
+// @route   DELETE /api/tax-rules/:id
+const deleteTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await TaxRule.findById(req.params.id);
+
+  if (!taxRule) {
+    res.status(404);
+    throw new Error('Tax rule not found');
+  }
+
+  await taxRule.deleteOne();
+  res.json({ message: 'Tax rule removed' });
+});
+
+export {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+};
@@ -1,117 +1,17 @@
 import User from '../models/userModel.js';
 import asyncHandler from 'express-async-handler';
-import { sendPasswordResetEmail, sendWelcomeEmail } from '../utils/sendEmail.js';
-import crypto from 'crypto';
-
-// @desc    Auth user & get token
-// @route   POST /api/users/login
-const authUser = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
-
-  const user = await User.findOne({ email });
-
-  if (user && (await user.matchPassword(password))) {
-    res.json({
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      token: generateToken(user._id)
-    });
-  } else {
-    res.status(401);
-    throw new Error('Invalid email or password');
-  }
-});
-
-// @desc    Register a new user
-// @route   POST /api/users
-const registerUser = asyncHandler(async (req, res) => {
-  const { 
-    firstName, 
-    lastName, 
-    email, 
-    password,
-    phoneNumber
-  } = req.body;
-
-  const userExists = await User.findOne({ email });
-
-  if (userExists) {
-    res.status(400);
-    throw new Error('User already exists');
-  }
-
-  const user = await User.create({
-    firstName,
-    lastName,
-    email,
-    password,
-    phoneNumber
-  });
-
-  if (user) {
-    // Send welcome email
-    await sendWelcomeEmail(user);
-
-    res.status(201).json({
-      _id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      token: generateToken(user._id)
-    });
-  } else {
-    res.status(400);
-    throw new Error('Invalid user data');
-  }
-});
-
-// @desc    Get user profile
-// @route   GET /api/users/profile
-const getUserProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id).select('-password');
-
-  if (user) {
-    res.json(user);
-  } else {
-    res.status(404);
-    throw new Error('User not found');
-  }
-});
-
-// @desc    Update user profile
-// @route   PUT /api/users/profile
-const updateUserProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
-
-  if (user) {
-    user.firstName = req.body.firstName || user.firstName;
-    user.lastName = req.body.lastName || user.lastName;
-    user.email = req.body.email || user.email;
-    user.phoneNumber = req.body.phoneNumber || user.phoneNumber;
-
-    if (req.body.password) {
-      user.password = req.body.password;
-    }
-
-    const updatedUser = await user.save();
-
-    res.json({
-      _id: updatedUser._id,
-      firstName: updatedUser.firstName,
-      lastName: updatedUser.lastName,
-      email: updatedUser.email,
-      role: updatedUser.role,
-      token: generateToken(updatedUser._id)
-    });
-  } else {
-    res.status(404);
-    throw new Error('User not found');
-  }
-});
+import { revokeUserSessions } from '../utils/sessions.js';
+import { unlockLogin } from '../utils/loginProtection.js';
+import {
+  hasPermission,
+  getUserPermissions,
+  assertNotLastSuperAdmin,
+  assertCanAssignRole,
+  assertCanManageUser
+} from '../utils/permissions.js';
+
+// Account management for staff; users manage their own account through
+// authController.js
 
 // @desc    Get all users (admin)
 // @route   GET /api/users
@@ -139,7 +39,10 @@ const deleteUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
 
   if (user) {
-    await user.remove();
+    await assertCanManageUser(req.permissions || await getUserPermissions(req.user), user);
+    await assertNotLastSuperAdmin(user, { isActive: false });
+    await revokeUserSessions(user._id, 'deactivated');
+    await user.deleteOne();
     res.json({ message: 'User removed' });
   } else {
     res.status(404);
@@ -160,25 +63,48 @@ const getUserById = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Update user (admin)
+// @desc    Update user (admin); changing the role also needs roles:write
 // @route   PUT /api/users/:id
 const updateUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
 
   if (user) {
+    const granted = req.permissions || await getUserPermissions(req.user);
+    const role = req.body.role ? String(req.body.role).toLowerCase() : user.role;
+    const isActive = req.body.isActive ?? user.isActive;
+
+    await assertCanManageUser(granted, user);
+
+    if (role !== user.role) {
+      if (!hasPermission(granted, 'roles:write')) {
+        res.status(403);
+        throw new Error('Not authorized to assign roles');
+      }
+      await assertCanAssignRole(granted, role);
+    }
+
+    await assertNotLastSuperAdmin(user, { role, isActive });
+
     user.firstName = req.body.firstName || user.firstName;
     user.lastName = req.body.lastName || user.lastName;
     user.email = req.body.email || user.email;
-    user.role = req.body.role || user.role;
+    user.role = role;
+    user.isActive = isActive;
 
     const updatedUser = await user.save();
 
+    // A deactivated account loses every session at once
+    if (!updatedUser.isActive) {
+      await revokeUserSessions(updatedUser._id, 'deactivated');
+    }
+
     res.json({
       _id: updatedUser._id,
       firstName: updatedUser.firstName,
       lastName: updatedUser.lastName,
       email: updatedUser.email,
-      role: updatedUser.role
+      role: updatedUser.role,
+      isActive: updatedUser.isActive
     });
   } else {
     res.status(404);
@@ -186,115 +112,25 @@ const updateUser = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Initiate password reset
-// @route   POST /api/users/forgot-password
-const forgotPassword = asyncHandler(async (req, res) => {
-  const { email } = req.body;
-
-  const user = await User.findOne({ email });
+// @desc    Lift a login lockout (admin)
+// @route   POST /api/users/:id/unlock
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
 
   if (!user) {
     res.status(404);
-    throw new Error('No user found with this email');
-  }
-
-  // Generate password reset token
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  const passwordResetToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
-
-  const passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-
-  user.passwordResetToken = passwordResetToken;
-  user.passwordResetExpires = passwordResetExpires;
-
-  await user.save();
-
-  // Send password reset email
-  const resetURL = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-
-  try {
-    await sendPasswordResetEmail(user, resetURL);
-
-    res.status(200).json({
-      message: 'Password reset link sent to your email. Link will expire in 10 minutes.'
-    });
-  } catch (error) {
-    // Reset token fields if email sending fails
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
-    await user.save();
-
-    res.status(500);
-    throw new Error('Error sending password reset email. Please try again later.');
-  }
-});
-
-// @desc    Reset user password
-// @route   PUT /api/users/reset-password/:token
-const resetPassword = asyncHandler(async (req, res) => {
-  // Hash the token from the URL
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(req.params.token)
-    .digest('hex');
-
-  // Find user with the hashed token and ensure token hasn't expired
-  const user = await User.findOne({
-    passwordResetToken: hashedToken,
-    passwordResetExpires: { $gt: Date.now() }
-  });
-
-  // If no user found or token expired
-  if (!user) {
-    res.status(400);
-    throw new Error('Password reset token is invalid or has expired');
+    throw new Error('User not found');
   }
 
-  // Set new password
-  user.password = req.body.password;
-  user.passwordResetToken = undefined;
-  user.passwordResetExpires = undefined;
-
-  // Save the updated user
-  await user.save();
-
-  res.json({ message: 'Password reset successful. You can now log in with your new password.' });
-});
-
-// @desc    Change user password while logged in
-// @route   PUT /api/users/change-password
-const changePassword = asyncHandler(async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
-
-  // Find the user by ID
-  const user = await User.findById(req.user._id);
-
-  // Check if the current password is correct
-  if (user && (await user.matchPassword(currentPassword))) {
-    // Set the new password
-    user.password = newPassword;
-    await user.save();
-
-    res.json({ message: 'Password changed successfully' });
-  } else {
-    res.status(400);
-    throw new Error('Current password is incorrect');
-  }
+  await assertCanManageUser(req.permissions || await getUserPermissions(req.user), user);
+  await unlockLogin(user.email);
+  res.json({ message: 'Account unlocked' });
 });
 
 export {
-  authUser,
-  registerUser,
-  getUserProfile,
-  updateUserProfile,
   getUsers,
   deleteUser,
   getUserById,
   updateUser,
-  forgotPassword,
-  resetPassword,
-  changePassword
-};
\ No newline at end of file
+  unlockUser
+};
@@ -0,0 +1,111 @@
+import Product from '../models/productModel.js';
+import Wishlist from '../models/wishlistModel.js';
+import asyncHandler from 'express-async-handler';
+import { getItemKey, describeItem } from '../utils/variants.js';
+
+// Wishlist routes need a logged-in user (protect). A saved item is a product,
+// or one variant of it addressed with ?variant=<variantId>.
+
+const MAX_WISHLIST_ITEMS = 100;
+
+// Saved items with current price and stock; items of deleted products are left out
+const buildWishlistResponse = async (wishlist) => {
+  const items = wishlist ? wishlist.items : [];
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } })
+    .select('name image price countInStock variants isActive');
+  const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+  return {
+    items: items
+      .filter((item) => productById.has(item.product.toString()))
+      .map((item) => {
+        const product = productById.get(item.product.toString());
+        const variant = item.variant ? product.variants.id(item.variant) : null;
+        const details = describeItem(product, variant);
+
+        return {
+          _id: item._id,
+          product: product._id,
+          ...details,
+          available: product.isActive && (!item.variant || Boolean(variant && variant.isActive)),
+          inStock: details.countInStock > 0,
+          priceWhenAdded: item.priceWhenAdded,
+          priceDropped: item.priceWhenAdded !== undefined && details.price < item.priceWhenAdded,
+          addedAt: item.createdAt
+        };
+      })
+  };
+};
+
+// @desc    Get the logged in user's wishlist with live prices and stock
+// @route   GET /api/wishlist
+const getWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.findOne({ user: req.user._id });
+  res.json(await buildWishlistResponse(wishlist));
+});
+
+// @desc    Save a product, or one of its variants, to the wishlist
+// @route   POST /api/wishlist/items
+const addToWishlist = asyncHandler(async (req, res) => {
+  const { product: productId, variant: variantId } = req.body;
+
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isActive) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+
+  if (variantId && (!variant || !variant.isActive)) {
+    res.status(404);
+    throw new Error(`Variant not found for product: ${product.name}`);
+  }
+
+  const wishlist = await Wishlist.findOne({ user: req.user._id })
+    || new Wishlist({ user: req.user._id, items: [] });
+
+  const key = getItemKey(product._id, variantId);
+  const saved = wishlist.items.some((item) => getItemKey(item.product, item.variant) === key);
+
+  if (!saved) {
+    if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+      res.status(400);
+      throw new Error(`A wishlist holds at most ${MAX_WISHLIST_ITEMS} items`);
+    }
+
+    wishlist.items.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      priceWhenAdded: describeItem(product, variant).price
+    });
+    await wishlist.save();
+  }
+
+  res.status(saved ? 200 : 201).json(await buildWishlistResponse(wishlist));
+});
+
+// @desc    Remove an item from the wishlist
+// @route   DELETE /api/wishlist/items/:productId
+const removeFromWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.findOne({ user: req.user._id });
+  const key = getItemKey(req.params.productId, req.query.variant);
+  const item = wishlist && wishlist.items.find((i) => getItemKey(i.product, i.variant) === key);
+
+  if (!item) {
+    res.status(404);
+    throw new Error('Item not in wishlist');
+  }
+
+  item.deleteOne();
+  await wishlist.save();
+
+  res.json(await buildWishlistResponse(wishlist));
+});
+
+export {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist
+};
@@ -0,0 +1,77 @@
+// Building blocks for email HTML. Values interpolated with the html tag are
+// escaped unless they are already SafeHtml (the result of another html`` or raw()).
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Render one interpolated value: lists are joined, null/undefined/false print nothing
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+};
+
+const html = (strings, ...values) => new SafeHtml(
+  strings.reduce((acc, string, i) => acc + string + (i < values.length ? renderValue(values[i]) : ''), '')
+);
+
+// Mark trusted markup so html`` does not escape it
+const raw = (value) => new SafeHtml(String(value));
+
+const TEXT_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+// Plain-text alternative of an email body: links become "label (url)", list
+// items and table rows get a line each, block elements end paragraphs
+const htmlToText = (markup) => String(markup)
+  .replace(/<(style|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  // Source whitespace is layout only, as in a browser
+  .replace(/\s+/g, ' ')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    return text && text !== href ? `${text} (${href})` : href;
+  })
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<\/(td|th)>/gi, '  ')
+  .replace(/<\/tr>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|ul|ol|table|address)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => TEXT_ENTITIES[entity])
+  .split('\n')
+  .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+export {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw,
+  htmlToText
+};
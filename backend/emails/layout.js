@@ -0,0 +1,80 @@
+import { html } from './html.js';
+
+// Shared layout and partials. Each takes the render context ({ t, money, store })
+// the renderer passes to templates.
+
+const LINK_STYLE = 'color: #007bff;';
+const MUTED_STYLE = 'color: #777;';
+
+const layout = ({ t, store }, { preheader, body, footer }) => html`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${store.name}</title>
+  </head>
+  <body style="margin: 0; padding: 0;">
+    ${preheader && html`<div style="display: none; max-height: 0; overflow: hidden;">${preheader}</div>`}
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 16px;">
+      ${body}
+      <hr style="border: none; border-top: 1px solid #eee; margin-top: 32px;">
+      <p><small style="${MUTED_STYLE}">${t('layout.footer', { store: store.name })}</small></p>
+      ${footer}
+    </div>
+  </body>
+</html>`;
+
+const greeting = ({ t }, user) => html`<p>${t('layout.greeting', { name: user.firstName })}</p>`;
+
+const button = (url, label) => html`
+  <p><a href="${url}" style="${LINK_STYLE}">${label}</a></p>`;
+
+const mutedLink = (url, label) => html`<small><a href="${url}" style="${MUTED_STYLE}">${label}</a></small>`;
+
+// Item lines with quantity and line total
+const itemTable = ({ t, money }, items) => html`
+  <table style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <th style="text-align: left;">${t('order.items')}</th>
+      <th style="text-align: right;">${t('order.quantity')}</th>
+      <th style="text-align: right;">${t('order.total')}</th>
+    </tr>
+    ${items.map((item) => html`
+    <tr>
+      <td>${item.name}</td>
+      <td style="text-align: right;">${item.quantity}</td>
+      <td style="text-align: right;">${item.price !== undefined && money(item.price * item.quantity)}</td>
+    </tr>`)}
+  </table>`;
+
+const orderTotals = ({ t, money }, order) => html`
+  <table style="width: 100%; margin-top: 8px;">
+    <tr><td>${t('order.subtotal')}</td><td style="text-align: right;">${money(order.itemsPrice)}</td></tr>
+    ${order.discountPrice > 0 && html`
+    <tr><td>${t('order.discount')}</td><td style="text-align: right;">-${money(order.discountPrice)}</td></tr>`}
+    <tr><td>${t('order.shipping')}</td><td style="text-align: right;">${money(order.shippingPrice)}</td></tr>
+    <tr><td>${t('order.tax')}</td><td style="text-align: right;">${money(order.taxPrice)}</td></tr>
+    <tr><td><strong>${t('order.total')}</strong></td><td style="text-align: right;"><strong>${money(order.totalPrice)}</strong></td></tr>
+  </table>`;
+
+const addressBlock = ({ t }, address) => address && html`
+  <p><strong>${t('order.shippingAddress')}</strong></p>
+  <address>
+    ${address.recipientName && html`${address.recipientName}<br>`}
+    ${address.street}<br>
+    ${address.city}${address.state && html`, ${address.state}`} ${address.postalCode}<br>
+    ${address.country}
+  </address>`;
+
+const orderLink = ({ t, store }, order) => button(`${store.url}/order/${order._id}`, t('order.view'));
+
+export {
+  layout,
+  greeting,
+  button,
+  mutedLink,
+  itemTable,
+  orderTotals,
+  addressBlock,
+  orderLink
+};
@@ -0,0 +1,106 @@
+// English email copy. Placeholders like {name} are filled in by the renderer;
+// values are escaped when they reach HTML, so copy must not contain markup.
+export default {
+  'layout.greeting': 'Hi {name},',
+  'layout.footer': 'You are receiving this email because of your account at {store}.',
+  'layout.unsubscribeAll': 'Unsubscribe from all product alerts',
+
+  'order.number': 'Order number',
+  'order.items': 'Items',
+  'order.quantity': 'Qty',
+  'order.subtotal': 'Subtotal',
+  'order.discount': 'Discount',
+  'order.shipping': 'Shipping',
+  'order.tax': 'Tax',
+  'order.total': 'Total',
+  'order.shippingAddress': 'Shipping address',
+  'order.view': 'View your order',
+
+  'orderStatus.Pending': 'Pending',
+  'orderStatus.Processing': 'Processing',
+  'orderStatus.Shipped': 'Shipped',
+  'orderStatus.Delivered': 'Delivered',
+  'orderStatus.Cancelled': 'Cancelled',
+  'orderStatus.PartiallyRefunded': 'Partially refunded',
+  'orderStatus.Refunded': 'Refunded',
+
+  'orderConfirmation.subject': 'Order confirmation - order #{orderNumber}',
+  'orderConfirmation.heading': 'Thank you for your order!',
+  'orderConfirmation.intro': 'We have received your order and will let you know when it ships.',
+
+  'orderStatusUpdate.subject': 'Your order #{orderNumber} is now {status}',
+  'orderStatusUpdate.heading': 'Order update',
+  'orderStatusUpdate.intro': 'The status of your order changed to: {status}.',
+  'orderStatusUpdate.Processing': 'Your payment was received and we are preparing your order.',
+  'orderStatusUpdate.Delivered': 'Your order has been delivered. We hope you enjoy it!',
+  'orderStatusUpdate.Cancelled': 'Your order has been cancelled. Any payment taken will be refunded.',
+  'orderStatusUpdate.invoiceAttached': 'Your invoice {invoiceNumber} is attached to this email.',
+
+  'orderShipped.subject': 'Your order #{orderNumber} has shipped',
+  'orderShipped.heading': 'Your order is on its way',
+  'orderShipped.intro': 'Good news: the following items have shipped with {carrier}.',
+  'orderShipped.trackingNumber': 'Tracking number',
+  'orderShipped.track': 'Track your parcel',
+
+  'refund.subject': 'Refund of {amount} for order #{orderNumber}',
+  'refund.heading': 'Your refund is on its way',
+  'refund.intro': 'We have refunded {amount} to your original payment method.',
+  'refund.reason': 'Reason',
+  'refund.items': 'Refunded items',
+  'refund.totalRefunded': 'Total refunded for this order: {amount}',
+  'refund.timing': 'Depending on your bank, it can take 5-10 business days to appear on your statement.',
+
+  'return.number': 'Return number',
+
+  'returnRequested.subject': 'We received your return request {rma}',
+  'returnRequested.heading': 'Return request received',
+  'returnRequested.intro': 'We have received your request to return the items below from order #{orderNumber}. We will let you know once it has been reviewed.',
+
+  'returnApproved.subject': 'Your return {rma} is approved',
+  'returnApproved.heading': 'Return approved',
+  'returnApproved.intro': 'Your return has been approved. Please pack the items below and write {rma} on the parcel.',
+  'returnApproved.label': 'Print your prepaid return label',
+  'returnApproved.tracking': 'Return tracking number',
+  'returnApproved.noLabel': 'Please send the parcel back with a carrier of your choice.',
+
+  'returnRejected.subject': 'Update on your return request {rma}',
+  'returnRejected.heading': 'We could not accept your return',
+  'returnRejected.intro': 'Unfortunately we cannot accept your return request for order #{orderNumber}.',
+  'returnRejected.reason': 'Reason',
+
+  'returnReceived.subject': 'We received your returned items ({rma})',
+  'returnReceived.heading': 'Your return has arrived',
+  'returnReceived.intro': 'We have received and inspected the items below and will send your refund or replacement shortly.',
+
+  'returnCompleted.subject': 'Your return {rma} is complete',
+  'returnCompleted.heading': 'Return complete',
+  'returnCompleted.refund': 'We have refunded {amount} to your original payment method.',
+  'returnCompleted.exchange': 'Your replacement is on its way as order #{orderNumber}. We will email you the tracking once it ships.',
+
+  'welcome.subject': 'Welcome to {store}',
+  'welcome.heading': 'Welcome, {name}!',
+  'welcome.intro': 'Thanks for creating an account. You can now save addresses, track orders and keep a wishlist.',
+  'welcome.shop': 'Start shopping',
+
+  'passwordReset.subject': 'Password reset request',
+  'passwordReset.heading': 'Password reset request',
+  'passwordReset.intro': 'You have requested a password reset. Use the button below to choose a new password.',
+  'passwordReset.button': 'Reset password',
+  'passwordReset.ignore': 'If you did not request a password reset, please ignore this email.',
+  'passwordReset.expiry': 'This link will expire in {minutes} minutes.',
+
+  'verification.subject': 'Verify your email address',
+  'verification.heading': 'Confirm your email address',
+  'verification.intro': 'Please confirm that {email} is your email address.',
+  'verification.button': 'Verify email',
+  'verification.ignore': 'If you did not create an account, please ignore this email.',
+  'verification.expiry': 'This link will expire in {hours} hours.',
+
+  'productAlert.subjectOne': '{name} {change}',
+  'productAlert.subjectMany': '{count} items you are watching have updates',
+  'productAlert.heading': 'Good news, {name}!',
+  'productAlert.backInStock': 'is back in stock',
+  'productAlert.priceDrop': 'dropped from {previousPrice} to {price}',
+  'productAlert.stop': 'Stop this alert',
+  'productAlert.once': 'Alerts fire once; subscribe again from the product page to keep watching.'
+};
@@ -0,0 +1,105 @@
+// Spanish email copy; keys missing here fall back to English
+export default {
+  'layout.greeting': 'Hola {name}:',
+  'layout.footer': 'Recibes este correo por tu cuenta en {store}.',
+  'layout.unsubscribeAll': 'Cancelar todas las alertas de productos',
+
+  'order.number': 'Número de pedido',
+  'order.items': 'Artículos',
+  'order.quantity': 'Cant.',
+  'order.subtotal': 'Subtotal',
+  'order.discount': 'Descuento',
+  'order.shipping': 'Envío',
+  'order.tax': 'Impuestos',
+  'order.total': 'Total',
+  'order.shippingAddress': 'Dirección de envío',
+  'order.view': 'Ver tu pedido',
+
+  'orderStatus.Pending': 'Pendiente',
+  'orderStatus.Processing': 'En preparación',
+  'orderStatus.Shipped': 'Enviado',
+  'orderStatus.Delivered': 'Entregado',
+  'orderStatus.Cancelled': 'Cancelado',
+  'orderStatus.PartiallyRefunded': 'Reembolsado parcialmente',
+  'orderStatus.Refunded': 'Reembolsado',
+
+  'orderConfirmation.subject': 'Confirmación del pedido #{orderNumber}',
+  'orderConfirmation.heading': '¡Gracias por tu pedido!',
+  'orderConfirmation.intro': 'Hemos recibido tu pedido y te avisaremos cuando se envíe.',
+
+  'orderStatusUpdate.subject': 'Tu pedido #{orderNumber} ahora está: {status}',
+  'orderStatusUpdate.heading': 'Actualización del pedido',
+  'orderStatusUpdate.intro': 'El estado de tu pedido ha cambiado a: {status}.',
+  'orderStatusUpdate.Processing': 'Hemos recibido tu pago y estamos preparando tu pedido.',
+  'orderStatusUpdate.Delivered': 'Tu pedido ha sido entregado. ¡Esperamos que lo disfrutes!',
+  'orderStatusUpdate.Cancelled': 'Tu pedido ha sido cancelado. Se reembolsará cualquier pago realizado.',
+  'orderStatusUpdate.invoiceAttached': 'Adjuntamos tu factura {invoiceNumber} a este correo.',
+
+  'orderShipped.subject': 'Tu pedido #{orderNumber} ha sido enviado',
+  'orderShipped.heading': 'Tu pedido está en camino',
+  'orderShipped.intro': 'Buenas noticias: los siguientes artículos se han enviado con {carrier}.',
+  'orderShipped.trackingNumber': 'Número de seguimiento',
+  'orderShipped.track': 'Seguir tu paquete',
+
+  'refund.subject': 'Reembolso de {amount} del pedido #{orderNumber}',
+  'refund.heading': 'Tu reembolso está en camino',
+  'refund.intro': 'Hemos reembolsado {amount} a tu método de pago original.',
+  'refund.reason': 'Motivo',
+  'refund.items': 'Artículos reembolsados',
+  'refund.totalRefunded': 'Total reembolsado de este pedido: {amount}',
+  'refund.timing': 'Según tu banco, puede tardar de 5 a 10 días hábiles en aparecer en tu extracto.',
+
+  'return.number': 'Número de devolución',
+
+  'returnRequested.subject': 'Hemos recibido tu solicitud de devolución {rma}',
+  'returnRequested.heading': 'Solicitud de devolución recibida',
+  'returnRequested.intro': 'Hemos recibido tu solicitud para devolver los siguientes artículos del pedido #{orderNumber}. Te avisaremos cuando la hayamos revisado.',
+
+  'returnApproved.subject': 'Tu devolución {rma} ha sido aprobada',
+  'returnApproved.heading': 'Devolución aprobada',
+  'returnApproved.intro': 'Tu devolución ha sido aprobada. Empaqueta los siguientes artículos y escribe {rma} en el paquete.',
+  'returnApproved.label': 'Imprimir tu etiqueta de devolución prepagada',
+  'returnApproved.tracking': 'Número de seguimiento de la devolución',
+  'returnApproved.noLabel': 'Envía el paquete con el transportista que prefieras.',
+
+  'returnRejected.subject': 'Novedades sobre tu solicitud de devolución {rma}',
+  'returnRejected.heading': 'No hemos podido aceptar tu devolución',
+  'returnRejected.intro': 'Lamentablemente no podemos aceptar tu solicitud de devolución del pedido #{orderNumber}.',
+  'returnRejected.reason': 'Motivo',
+
+  'returnReceived.subject': 'Hemos recibido los artículos devueltos ({rma})',
+  'returnReceived.heading': 'Tu devolución ha llegado',
+  'returnReceived.intro': 'Hemos recibido y revisado los siguientes artículos y pronto te enviaremos el reembolso o el reemplazo.',
+
+  'returnCompleted.subject': 'Tu devolución {rma} se ha completado',
+  'returnCompleted.heading': 'Devolución completada',
+  'returnCompleted.refund': 'Hemos reembolsado {amount} a tu método de pago original.',
+  'returnCompleted.exchange': 'Tu reemplazo está en camino como pedido #{orderNumber}. Te enviaremos el seguimiento cuando se envíe.',
+
+  'welcome.subject': 'Te damos la bienvenida a {store}',
+  'welcome.heading': '¡Bienvenido/a, {name}!',
+  'welcome.intro': 'Gracias por crear una cuenta. Ahora puedes guardar direcciones, seguir tus pedidos y crear una lista de deseos.',
+  'welcome.shop': 'Empezar a comprar',
+
+  'passwordReset.subject': 'Solicitud de restablecimiento de contraseña',
+  'passwordReset.heading': 'Restablecer contraseña',
+  'passwordReset.intro': 'Has solicitado restablecer tu contraseña. Usa el botón de abajo para elegir una nueva.',
+  'passwordReset.button': 'Restablecer contraseña',
+  'passwordReset.ignore': 'Si no lo has solicitado, ignora este correo.',
+  'passwordReset.expiry': 'Este enlace caduca en {minutes} minutos.',
+
+  'verification.subject': 'Verifica tu dirección de correo',
+  'verification.heading': 'Confirma tu dirección de correo',
+  'verification.intro': 'Confirma que {email} es tu dirección de correo.',
+  'verification.button': 'Verificar correo',
+  'verification.ignore': 'Si no has creado una cuenta, ignora este correo.',
+  'verification.expiry': 'Este enlace caduca en {hours} horas.',
+
+  'productAlert.subjectOne': '{name} {change}',
+  'productAlert.subjectMany': '{count} artículos que sigues tienen novedades',
+  'productAlert.heading': '¡Buenas noticias, {name}!',
+  'productAlert.backInStock': 'vuelve a estar disponible',
+  'productAlert.priceDrop': 'ha bajado de {previousPrice} a {price}',
+  'productAlert.stop': 'Cancelar esta alerta',
+  'productAlert.once': 'Las alertas se envían una vez; suscríbete de nuevo desde la página del producto para seguir atento.'
+};
@@ -0,0 +1,401 @@
+import { html } from './html.js';
+import {
+  greeting,
+  button,
+  mutedLink,
+  itemTable,
+  orderTotals,
+  addressBlock,
+  orderLink
+} from './layout.js';
+
+// Email templates by name. render(data, context) returns the subject, the body
+// markup for the shared layout and optionally a footer, preheader and headers;
+// sample() returns data for the admin preview. Copy comes from locales/ via t().
+
+// Orders are referred to by the last 8 characters of their id
+const orderNumber = (order) => String(order._id).slice(-8).toUpperCase();
+
+const SAMPLE_USER = {
+  _id: '64b000000000000000000001',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com'
+};
+
+const sampleOrder = (orderStatus = 'Processing') => ({
+  _id: '64b0000000000000000000a1',
+  orderItems: [
+    { _id: '64b0000000000000000000b1', name: 'Analytical Engine T-shirt', price: 24, quantity: 2 },
+    { _id: '64b0000000000000000000b2', name: 'Punch card notebook <A5>', price: 9.5, quantity: 1 }
+  ],
+  shippingAddress: {
+    recipientName: 'Ada Lovelace',
+    street: '12 St James\'s Square',
+    city: 'London',
+    postalCode: 'SW1Y 4JH',
+    country: 'GB'
+  },
+  itemsPrice: 57.5,
+  discountPrice: 5,
+  shippingPrice: 4.99,
+  taxPrice: 10.5,
+  totalPrice: 67.99,
+  amountRefunded: 24,
+  orderStatus
+});
+
+const sampleReturn = (status) => {
+  const order = sampleOrder('Delivered');
+
+  return {
+    user: SAMPLE_USER,
+    order,
+    returnRequest: {
+      rmaNumber: 'RMA-1F2E3D4C',
+      status,
+      items: [{
+        orderItem: order.orderItems[0]._id,
+        name: order.orderItems[0].name,
+        quantity: 1,
+        receivedQuantity: 1,
+        reason: 'damaged'
+      }],
+      rejectionReason: 'The return window for this item has closed',
+      returnLabel: {
+        carrier: 'fake',
+        trackingNumber: 'FK1234567890',
+        labelUrl: 'https://example.com/labels/fake/FK1234567890.pdf'
+      },
+      resolution: { type: 'refund', amount: 28.57 }
+    }
+  };
+};
+
+const templates = {
+  order_confirmation: {
+    sample: () => ({ user: SAMPLE_USER, order: sampleOrder('Pending') }),
+    render: ({ user, order }, context) => {
+      const { t } = context;
+
+      return {
+        subject: t('orderConfirmation.subject', { orderNumber: orderNumber(order) }),
+        preheader: t('orderConfirmation.intro'),
+        body: html`
+          <h2>${t('orderConfirmation.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('orderConfirmation.intro')}</p>
+          <p>${t('order.number')}: <strong>${orderNumber(order)}</strong></p>
+          ${itemTable(context, order.orderItems)}
+          ${orderTotals(context, order)}
+          ${addressBlock(context, order.shippingAddress)}
+          ${orderLink(context, order)}`
+      };
+    }
+  },
+
+  // invoiceNumber: set when the invoice PDF is attached
+  order_status_update: {
+    sample: () => ({ user: SAMPLE_USER, order: sampleOrder('Processing'), invoiceNumber: 'INV-000042' }),
+    render: ({ user, order, invoiceNumber }, context) => {
+      const { t } = context;
+      const status = t(`orderStatus.${order.orderStatus}`);
+      const detailKey = `orderStatusUpdate.${order.orderStatus}`;
+      const detail = t(detailKey);
+
+      return {
+        subject: t('orderStatusUpdate.subject', { orderNumber: orderNumber(order), status }),
+        preheader: t('orderStatusUpdate.intro', { status }),
+        body: html`
+          <h2>${t('orderStatusUpdate.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('orderStatusUpdate.intro', { status })}</p>
+          ${detail !== detailKey && html`<p>${detail}</p>`}
+          <p>${t('order.number')}: <strong>${orderNumber(order)}</strong></p>
+          ${invoiceNumber && html`<p>${t('orderStatusUpdate.invoiceAttached', { invoiceNumber })}</p>`}
+          ${orderLink(context, order)}`
+      };
+    }
+  },
+
+  // shipment: { carrier, trackingNumber, trackingUrl, items: [{ name, quantity }] }
+  order_shipped: {
+    sample: () => ({
+      user: SAMPLE_USER,
+      order: sampleOrder('Shipped'),
+      shipment: {
+        carrier: 'Royal Mail',
+        trackingNumber: 'RM123456785GB',
+        trackingUrl: 'https://example.com/track/RM123456785GB',
+        items: [{ name: 'Analytical Engine T-shirt', quantity: 2 }]
+      }
+    }),
+    render: ({ user, order, shipment }, context) => {
+      const { t } = context;
+
+      return {
+        subject: t('orderShipped.subject', { orderNumber: orderNumber(order) }),
+        preheader: t('orderShipped.intro', { carrier: shipment.carrier }),
+        body: html`
+          <h2>${t('orderShipped.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('orderShipped.intro', { carrier: shipment.carrier })}</p>
+          ${itemTable(context, shipment.items)}
+          <p>${t('orderShipped.trackingNumber')}: <strong>${shipment.trackingNumber}</strong></p>
+          ${shipment.trackingUrl && button(shipment.trackingUrl, t('orderShipped.track'))}
+          ${addressBlock(context, order.shippingAddress)}
+          ${orderLink(context, order)}`
+      };
+    }
+  },
+
+  refund_confirmation: {
+    sample: () => {
+      const order = sampleOrder('PartiallyRefunded');
+      return {
+        user: SAMPLE_USER,
+        order,
+        refund: {
+          amount: 24,
+          reason: 'Item arrived damaged',
+          items: [{ orderItem: order.orderItems[0]._id, quantity: 1 }]
+        }
+      };
+    },
+    render: ({ user, order, refund }, context) => {
+      const { t, money } = context;
+      const amount = money(refund.amount);
+
+      const items = (refund.items || []).map((refundItem) => {
+        const orderItem = order.orderItems
+          .find((item) => String(item._id) === String(refundItem.orderItem));
+        return { name: orderItem ? orderItem.name : '', quantity: refundItem.quantity };
+      });
+
+      return {
+        subject: t('refund.subject', { amount, orderNumber: orderNumber(order) }),
+        preheader: t('refund.intro', { amount }),
+        body: html`
+          <h2>${t('refund.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('refund.intro', { amount })}</p>
+          <p>${t('order.number')}: <strong>${orderNumber(order)}</strong></p>
+          ${refund.reason && html`<p>${t('refund.reason')}: ${refund.reason}</p>`}
+          ${items.length > 0 && html`
+          <p><strong>${t('refund.items')}</strong></p>
+          ${itemTable(context, items)}`}
+          <p>${t('refund.totalRefunded', { amount: money(order.amountRefunded) })}</p>
+          <p>${t('refund.timing')}</p>
+          ${orderLink(context, order)}`
+      };
+    }
+  },
+
+  return_requested: {
+    sample: () => sampleReturn('requested'),
+    render: ({ user, order, returnRequest }, context) => {
+      const { t } = context;
+      const rma = returnRequest.rmaNumber;
+
+      return {
+        subject: t('returnRequested.subject', { rma }),
+        body: html`
+          <h2>${t('returnRequested.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('returnRequested.intro', { orderNumber: orderNumber(order) })}</p>
+          <p>${t('return.number')}: <strong>${rma}</strong></p>
+          ${itemTable(context, returnRequest.items)}`
+      };
+    }
+  },
+
+  return_approved: {
+    sample: () => sampleReturn('approved'),
+    render: ({ user, returnRequest }, context) => {
+      const { t } = context;
+      const rma = returnRequest.rmaNumber;
+      const label = returnRequest.returnLabel;
+
+      return {
+        subject: t('returnApproved.subject', { rma }),
+        body: html`
+          <h2>${t('returnApproved.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('returnApproved.intro', { rma })}</p>
+          ${itemTable(context, returnRequest.items)}
+          ${label && label.labelUrl
+            ? html`
+          ${button(label.labelUrl, t('returnApproved.label'))}
+          <p>${t('returnApproved.tracking')}: <strong>${label.trackingNumber}</strong></p>`
+            : html`<p>${t('returnApproved.noLabel')}</p>`}`
+      };
+    }
+  },
+
+  return_rejected: {
+    sample: () => sampleReturn('rejected'),
+    render: ({ user, order, returnRequest }, context) => {
+      const { t } = context;
+
+      return {
+        subject: t('returnRejected.subject', { rma: returnRequest.rmaNumber }),
+        body: html`
+          <h2>${t('returnRejected.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('returnRejected.intro', { orderNumber: orderNumber(order) })}</p>
+          <p>${t('returnRejected.reason')}: ${returnRequest.rejectionReason}</p>`
+      };
+    }
+  },
+
+  return_received: {
+    sample: () => sampleReturn('received'),
+    render: ({ user, returnRequest }, context) => {
+      const { t } = context;
+      const rma = returnRequest.rmaNumber;
+
+      return {
+        subject: t('returnReceived.subject', { rma }),
+        body: html`
+          <h2>${t('returnReceived.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('returnReceived.intro')}</p>
+          <p>${t('return.number')}: <strong>${rma}</strong></p>
+          ${itemTable(context, returnRequest.items
+            .filter((item) => item.receivedQuantity > 0)
+            .map(({ name, receivedQuantity }) => ({ name, quantity: receivedQuantity })))}`
+      };
+    }
+  },
+
+  return_completed: {
+    sample: () => sampleReturn('completed'),
+    render: ({ user, returnRequest }, context) => {
+      const { t, money } = context;
+      const { resolution } = returnRequest;
+
+      return {
+        subject: t('returnCompleted.subject', { rma: returnRequest.rmaNumber }),
+        body: html`
+          <h2>${t('returnCompleted.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${resolution.type === 'exchange'
+            ? t('returnCompleted.exchange', { orderNumber: orderNumber({ _id: resolution.exchangeOrder }) })
+            : t('returnCompleted.refund', { amount: money(resolution.amount) })}</p>`
+      };
+    }
+  },
+
+  welcome: {
+    sample: () => ({ user: SAMPLE_USER }),
+    render: ({ user }, context) => {
+      const { t, store } = context;
+
+      return {
+        subject: t('welcome.subject', { store: store.name }),
+        preheader: t('welcome.intro'),
+        body: html`
+          <h2>${t('welcome.heading', { name: user.firstName })}</h2>
+          <p>${t('welcome.intro')}</p>
+          ${button(store.url, t('welcome.shop'))}`
+      };
+    }
+  },
+
+  password_reset: {
+    sample: () => ({
+      user: SAMPLE_USER,
+      resetUrl: 'https://example.com/reset-password/sample-token',
+      expiresMinutes: 10
+    }),
+    render: ({ user, resetUrl, expiresMinutes }, context) => {
+      const { t } = context;
+
+      return {
+        subject: t('passwordReset.subject'),
+        body: html`
+          <h2>${t('passwordReset.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('passwordReset.intro')}</p>
+          ${button(resetUrl, t('passwordReset.button'))}
+          <p>${t('passwordReset.ignore')}</p>
+          <p>${t('passwordReset.expiry', { minutes: expiresMinutes })}</p>`
+      };
+    }
+  },
+
+  email_verification: {
+    sample: () => ({
+      user: SAMPLE_USER,
+      verifyUrl: 'https://example.com/verify-email/sample-token',
+      expiresHours: 24
+    }),
+    render: ({ user, verifyUrl, expiresHours }, context) => {
+      const { t } = context;
+
+      return {
+        subject: t('verification.subject'),
+        body: html`
+          <h2>${t('verification.heading')}</h2>
+          ${greeting(context, user)}
+          <p>${t('verification.intro', { email: user.email })}</p>
+          ${button(verifyUrl, t('verification.button'))}
+          <p>${t('verification.ignore')}</p>
+          <p>${t('verification.expiry', { hours: expiresHours })}</p>`
+      };
+    }
+  },
+
+  // items: [{ type, name, url, price, previousPrice, unsubscribeUrl }]
+  product_alert: {
+    sample: () => ({
+      user: SAMPLE_USER,
+      items: [
+        {
+          type: 'back_in_stock',
+          name: 'Difference Engine kit',
+          url: 'https://example.com/product/1',
+          unsubscribeUrl: 'https://example.com/alerts/unsubscribe/a.1'
+        },
+        {
+          type: 'price_drop',
+          name: 'Brass gear set',
+          url: 'https://example.com/product/2',
+          previousPrice: 40,
+          price: 32,
+          unsubscribeUrl: 'https://example.com/alerts/unsubscribe/a.2'
+        }
+      ],
+      unsubscribeAllUrl: 'https://example.com/alerts/unsubscribe/u.1'
+    }),
+    render: ({ user, items, unsubscribeAllUrl }, context) => {
+      const { t, money } = context;
+
+      const describe = (item) => (item.type === 'back_in_stock'
+        ? t('productAlert.backInStock')
+        : t('productAlert.priceDrop', { previousPrice: money(item.previousPrice), price: money(item.price) }));
+
+      return {
+        subject: items.length === 1
+          ? t('productAlert.subjectOne', { name: items[0].name, change: describe(items[0]) })
+          : t('productAlert.subjectMany', { count: items.length }),
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeAllUrl}>`
+        },
+        body: html`
+          <h2>${t('productAlert.heading', { name: user.firstName })}</h2>
+          <ul>
+            ${items.map((item) => html`
+            <li>
+              <a href="${item.url}" style="color: #007bff;">${item.name}</a> ${describe(item)}
+              <br>${mutedLink(item.unsubscribeUrl, t('productAlert.stop'))}
+            </li>`)}
+          </ul>
+          <p>${t('productAlert.once')}</p>`,
+        footer: html`<p>${mutedLink(unsubscribeAllUrl, t('layout.unsubscribeAll'))}</p>`
+      };
+    }
+  }
+};
+
+export default templates;
@@ -1,7 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
 import asyncHandler from 'express-async-handler';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
+import { getUserPermissions, hasPermission } from '../utils/permissions.js';
 
+// Access tokens are short-lived and tied to a session (see utils/sessions.js); a
+// token whose session was revoked, or whose user was deactivated, is refused.
 const protect = asyncHandler(async (req, res, next) => {
   let token;
 
@@ -17,20 +22,33 @@ const protect = asyncHandler(async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Find user by ID from token, exclude password
-      req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        res.status(401);
-        throw new Error('Not authorized, user not found');
-      }
+      const session = decoded.sid && await Session.exists({
+        _id: decoded.sid,
+        user: decoded.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
 
-      next();
+      // Find user by ID from token, exclude password
+      req.user = session && await User.findById(decoded.id).select('-password');
+      req.sessionId = decoded.sid;
     } catch (error) {
       console.error(error);
       res.status(401);
       throw new Error('Not authorized, token failed');
     }
+
+    if (!req.user) {
+      res.status(401);
+      throw new Error('Not authorized, session expired');
+    }
+
+    if (!req.user.isActive) {
+      res.status(401);
+      throw new Error('Not authorized, account is disabled');
+    }
+
+    return next();
   }
 
   if (!token) {
@@ -39,25 +57,53 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-// Admin middleware to check user role
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    return protect(req, res, next);
+  }
+
+  next();
+});
+
+// Allow the request only when the user's role grants every listed permission,
+// e.g. requirePermission('orders:refund'). Use after protect. The resolved
+// permissions are left on req.permissions. When REQUIRE_ADMIN_2FA is set, staff
+// must enrol in two-factor authentication before using these routes.
+const requirePermission = (...permissions) => asyncHandler(async (req, res, next) => {
+  const granted = req.user ? await getUserPermissions(req.user) : [];
+
+  if (!req.user || !permissions.every((permission) => hasPermission(granted, permission))) {
     res.status(403);
-    throw new Error('Not authorized as an admin');
+    throw new Error('Not authorized for this action');
   }
-};
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+  if (isTwoFactorRequired(req.user) && !req.user.twoFactor.enabled) {
+    res.status(403);
+    throw new Error('Two-factor authentication is required for staff accounts');
+  }
+
+  req.permissions = granted;
+  next();
+});
+
+// Super admins only; prefer requirePermission for anything more specific
+const admin = requirePermission('*');
+
+// Generate a short-lived access token for a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m'
   });
 };
 
 export { 
   protect, 
+  optionalAuth,
   admin, 
+  requirePermission,
   generateToken 
 };
\ No newline at end of file
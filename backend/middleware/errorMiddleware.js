@@ -5,8 +5,8 @@ const notFound = (req, res, next) => {
   };
   
   const errorHandler = (err, req, res, next) => {
-    // Determine status code (use existing status or default to 500)
-    const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+    // Determine status code (AppError status, then existing status, default to 500)
+    const statusCode = err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
     
     // Set response status
     res.status(statusCode);
@@ -0,0 +1,81 @@
+import asyncHandler from 'express-async-handler';
+import { getRateLimitStore } from '../utils/rateLimitStores.js';
+
+// Allow `max` requests per key within `windowMs`, answering 429 beyond that.
+// Limits can be overridden per name with RATE_LIMIT_<NAME>_MAX and
+// RATE_LIMIT_<NAME>_WINDOW_MINUTES, e.g. RATE_LIMIT_LOGIN_MAX=20.
+//   keyGenerator - what to count by; the client IP by default
+//   store        - see utils/rateLimitStores.js; RATE_LIMIT_STORE picks the default
+const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  store,
+  message = 'Too many requests, please try again later'
+}) => {
+  const envName = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+  return asyncHandler(async (req, res, next) => {
+    const limit = Number(process.env[`RATE_LIMIT_${envName}_MAX`] ?? max);
+    const windowMinutes = process.env[`RATE_LIMIT_${envName}_WINDOW_MINUTES`];
+    const window = windowMinutes ? Number(windowMinutes) * 60 * 1000 : windowMs;
+
+    const { count, resetAt } = await (store || getRateLimitStore())
+      .increment(`${name}:${keyGenerator(req)}`, window);
+
+    const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 0);
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(limit - count, 0)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (count > limit) {
+      res.set('Retry-After', String(retryAfter));
+      res.status(429);
+      throw new Error(message);
+    }
+
+    next();
+  });
+};
+
+// Route limiters:
+//   loginLimiter          - POST /api/users/login and /api/users/login/2fa
+//   registerLimiter       - POST /api/users/register
+//   forgotPasswordLimiter - POST /api/users/forgot-password
+//   reviewLimiter         - POST /api/products/:id/reviews and its report route
+const loginLimiter = createRateLimiter({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login attempts, please try again later'
+});
+
+const registerLimiter = createRateLimiter({
+  name: 'register',
+  windowMs: 60 * 60 * 1000,
+  max: 10
+});
+
+const forgotPasswordLimiter = createRateLimiter({
+  name: 'forgot-password',
+  windowMs: 60 * 60 * 1000,
+  max: 5
+});
+
+// Counted per user, so use after protect
+const reviewLimiter = createRateLimiter({
+  name: 'review',
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => (req.user ? req.user._id.toString() : req.ip)
+});
+
+export {
+  createRateLimiter,
+  loginLimiter,
+  registerLimiter,
+  forgotPasswordLimiter,
+  reviewLimiter
+};
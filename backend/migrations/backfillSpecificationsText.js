@@ -0,0 +1,52 @@
+// Fill in specificationsText on products saved before it existed, so keyword
+// search matches their specifications too.
+//
+//   MONGODB_URI=... node backend/migrations/backfillSpecificationsText.js [--dry-run]
+//
+// The text is built the way the product's pre('validate') hook builds it.
+// Running it again only touches products that still have no text.
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/productModel.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const flattenSpecifications = (specifications) => Object.entries(specifications || {})
+  .map(([key, value]) => `${key} ${value}`)
+  .join(' ');
+
+const migrate = async () => {
+  // The raw collection skips the hooks and validation of products that are
+  // otherwise untouched, and reads the field the model leaves out by default
+  const cursor = Product.collection.find(
+    { specificationsText: { $exists: false } },
+    { projection: { specifications: 1 } }
+  );
+
+  let count = 0;
+  for await (const product of cursor) {
+    const specificationsText = flattenSpecifications(product.specifications);
+
+    count += 1;
+    if (!dryRun) {
+      await Product.collection.updateOne(
+        { _id: product._id },
+        { $set: { specificationsText } }
+      );
+    }
+  }
+
+  console.log(`${count} products backfilled`);
+};
+
+await connectDB();
+
+try {
+  await migrate();
+  console.log(dryRun ? 'Dry run complete, nothing was written' : 'Specifications text backfilled');
+} catch (error) {
+  console.error('Specifications text backfill failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
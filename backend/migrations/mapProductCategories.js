@@ -0,0 +1,151 @@
+// Map the free-form category strings on products (and on coupons and tax rules)
+// onto the Category tree, creating categories that do not exist yet.
+//
+//   MONGODB_URI=... node backend/migrations/mapProductCategories.js [--dry-run]
+//
+// A string matches a category by name, slug or alias, case-insensitively, so
+// "Phones" and "phones" land in the same category. Add "smartphones" to the
+// aliases of Phones before running to fold it in too. Strings written as paths,
+// e.g. "Audio > Headphones > Wireless", create the intermediate categories.
+// Running it again only touches documents that still hold strings.
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Category from '../models/categoryModel.js';
+import Product from '../models/productModel.js';
+import Coupon from '../models/couponModel.js';
+import TaxRule from '../models/taxRuleModel.js';
+import { slugify } from '../utils/categories.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const normalize = (text) => String(text).trim().toLowerCase();
+
+const matchesName = (category, name) => normalize(category.name) === normalize(name)
+  || category.slug === slugify(name)
+  || category.aliases.includes(normalize(name));
+
+const createCategoryResolver = async () => {
+  const categories = await Category.find({});
+  const resolved = new Map();
+
+  const findOrCreateChild = async (parent, name) => {
+    const parentId = parent ? parent._id.toString() : '';
+    const siblings = categories.filter((c) => String(c.parent || '') === parentId);
+    // Top-level strings also match categories an admin already placed deeper in the tree
+    const existing = siblings.find((c) => matchesName(c, name))
+      || (!parent && categories.find((c) => matchesName(c, name)));
+
+    if (existing) return existing;
+
+    let slug = slugify(name);
+    if (categories.some((c) => c.slug === slug)) {
+      slug = `${parent ? parent.slug : 'category'}-${slug}`;
+    }
+
+    const category = new Category({
+      name: name.trim(),
+      slug,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : []
+    });
+
+    console.log(`Creating category ${slug}`);
+    if (!dryRun) await category.save();
+
+    categories.push(category);
+    return category;
+  };
+
+  return async (value) => {
+    const key = normalize(value);
+    if (resolved.has(key)) return resolved.get(key);
+
+    const names = String(value).split('>').map((name) => name.trim()).filter(Boolean);
+    let category = null;
+
+    for (const name of names) {
+      category = await findOrCreateChild(category, name);
+    }
+
+    // Remember the original spelling so later lookups and searches find it
+    if (names.length === 1 && !matchesName(category, value)) {
+      category.aliases.push(key);
+      if (!dryRun) await category.save();
+    }
+
+    resolved.set(key, category);
+    return category;
+  };
+};
+
+const migrate = async () => {
+  const resolveCategory = await createCategoryResolver();
+
+  // The raw collections are used because the models no longer accept strings
+  const strings = await Product.collection.distinct('category', {
+    category: { $type: 'string' }
+  });
+
+  for (const value of strings) {
+    const category = await resolveCategory(value);
+    const filter = { category: value };
+    const count = await Product.collection.countDocuments(filter);
+
+    console.log(`"${value}" -> ${category.slug} (${count} products)`);
+    if (!dryRun) {
+      await Product.collection.updateMany(filter, { $set: { category: category._id } });
+    }
+  }
+
+  const coupons = await Coupon.collection
+    .find({ 'appliesTo.categories': { $type: 'string' } })
+    .toArray();
+
+  for (const coupon of coupons) {
+    const ids = [];
+    for (const value of coupon.appliesTo.categories) {
+      ids.push(typeof value === 'string' ? (await resolveCategory(value))._id : value);
+    }
+
+    console.log(`Coupon ${coupon.code || coupon.name}: ${ids.length} categories`);
+    if (!dryRun) {
+      await Coupon.collection.updateOne(
+        { _id: coupon._id },
+        { $set: { 'appliesTo.categories': ids } }
+      );
+    }
+  }
+
+  const taxRules = await TaxRule.collection
+    .find({ 'categoryRates.category': { $type: 'string' } })
+    .toArray();
+
+  for (const rule of taxRules) {
+    const categoryRates = [];
+    for (const entry of rule.categoryRates) {
+      categoryRates.push({
+        ...entry,
+        category: typeof entry.category === 'string'
+          ? (await resolveCategory(entry.category))._id
+          : entry.category
+      });
+    }
+
+    console.log(`Tax rule ${rule.name}: ${categoryRates.length} category rates`);
+    if (!dryRun) {
+      await TaxRule.collection.updateOne({ _id: rule._id }, { $set: { categoryRates } });
+    }
+  }
+};
+
+await connectDB();
+
+try {
+  await migrate();
+  console.log(dryRun ? 'Dry run complete, nothing was written' : 'Categories migrated');
+} catch (error) {
+  console.error('Category migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,117 @@
+// Move the single embedded user.address into the address book, as the default
+// shipping and billing address.
+//
+//   MONGODB_URI=... node backend/migrations/moveUserAddresses.js [--dry-run]
+//
+// Countries must become ISO codes; common English names are mapped. Addresses
+// are checked like any saved address (utils/addresses.js), so an unknown country
+// or a postal code that does not fit it is left in place and reported, to be
+// fixed by hand before running the script again. Running it again only touches
+// users that still have one.
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/userModel.js';
+import { validateAddress } from '../utils/addresses.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const COUNTRY_NAMES = {
+  'united states': 'US',
+  'united states of america': 'US',
+  usa: 'US',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  'great britain': 'GB',
+  england: 'GB',
+  canada: 'CA',
+  australia: 'AU',
+  'new zealand': 'NZ',
+  ireland: 'IE',
+  germany: 'DE',
+  france: 'FR',
+  italy: 'IT',
+  spain: 'ES',
+  netherlands: 'NL',
+  india: 'IN',
+  japan: 'JP'
+};
+
+const toCountryCode = (value) => {
+  const country = String(value || '').trim();
+  if (/^[a-z]{2}$/i.test(country)) return country.toUpperCase();
+  return COUNTRY_NAMES[country.toLowerCase()] || null;
+};
+
+const migrate = async () => {
+  // The raw collection is used because the model no longer has the field
+  const users = await User.collection
+    .find({ address: { $exists: true } })
+    .toArray();
+
+  let moved = 0;
+
+  for (const user of users) {
+    const { address } = user;
+    const hasAddress = address && address.street && address.city;
+
+    if (!hasAddress) {
+      if (!dryRun) {
+        await User.collection.updateOne({ _id: user._id }, { $unset: { address: '' } });
+      }
+      continue;
+    }
+
+    const country = toCountryCode(address.country);
+
+    if (!country) {
+      console.log(`${user.email}: unknown country "${address.country}", skipped`);
+      continue;
+    }
+
+    const now = new Date();
+    const saved = {
+      _id: new mongoose.Types.ObjectId(),
+      label: 'Home',
+      recipientName: `${user.firstName} ${user.lastName}`.trim(),
+      phoneNumber: user.phoneNumber,
+      line1: address.street,
+      city: address.city,
+      state: address.state,
+      postalCode: address.postalCode,
+      country,
+      isDefaultShipping: !(user.addresses || []).some((a) => a.isDefaultShipping),
+      isDefaultBilling: !(user.addresses || []).some((a) => a.isDefaultBilling),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      validateAddress(saved);
+    } catch (error) {
+      console.log(`${user.email}: ${error.message}, skipped`);
+      continue;
+    }
+
+    moved += 1;
+    if (!dryRun) {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $push: { addresses: saved }, $unset: { address: '' } }
+      );
+    }
+  }
+
+  console.log(`${moved} of ${users.length} addresses moved`);
+};
+
+await connectDB();
+
+try {
+  await migrate();
+  console.log(dryRun ? 'Dry run complete, nothing was written' : 'Addresses migrated');
+} catch (error) {
+  console.error('Address migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
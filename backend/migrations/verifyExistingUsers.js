@@ -0,0 +1,52 @@
+// Mark accounts created before email verification existed as verified, so that
+// REQUIRE_VERIFIED_EMAIL_FOR_ORDERS does not stop existing customers ordering.
+//
+//   MONGODB_URI=... node backend/migrations/verifyExistingUsers.js [--dry-run] [--created-before=2026-01-31]
+//
+// By default only users saved without the emailVerified field are touched. Once
+// the verification release has been running, saved users carry the field
+// as false; --created-before also takes in every account created before that
+// date. Accounts with a verification link pending, e.g. after changing their
+// email, are left to finish it. Running it again changes nothing new.
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/userModel.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const createdBeforeArg = process.argv.find((arg) => arg.startsWith('--created-before='));
+const createdBefore = createdBeforeArg && new Date(createdBeforeArg.split('=')[1]);
+
+if (createdBefore && Number.isNaN(createdBefore.getTime())) {
+  console.error(`Invalid date: ${createdBeforeArg}`);
+  process.exit(1);
+}
+
+const migrate = async () => {
+  const filter = createdBefore
+    ? {
+      createdAt: { $lt: createdBefore },
+      emailVerified: { $ne: true },
+      emailVerificationToken: { $exists: false }
+    }
+    : { emailVerified: { $exists: false } };
+
+  // The raw collection skips the hooks and validation of users that are otherwise untouched
+  const count = dryRun
+    ? await User.collection.countDocuments(filter)
+    : (await User.collection.updateMany(filter, { $set: { emailVerified: true } })).modifiedCount;
+
+  console.log(`${count} users marked verified`);
+};
+
+await connectDB();
+
+try {
+  await migrate();
+  console.log(dryRun ? 'Dry run complete, nothing was written' : 'Existing users verified');
+} catch (error) {
+  console.error('Existing user verification failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
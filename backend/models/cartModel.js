@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product'
+  },
+  // Required for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price when the item was added or last revalidated, used to flag price changes
+  price: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A cart belongs either to a user or to an anonymous visitor holding a cart token
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the anonymous cart token; the raw token is only ever given to the client
+  tokenHash: {
+    type: String
+  },
+  items: [cartItemSchema],
+  // Anonymous carts are removed by MongoDB once this passes
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// A specification key products in the category must (or may) fill in
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: String,
+  unit: String,
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+// A node of the category tree, e.g. Audio > Headphones > Wireless.
+// ancestors lists the chain from the root down to the parent, so a subtree is
+// found with a single query on ancestors.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: String,
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Specification template, inherited by subcategories
+  attributes: [attributeSchema],
+  // Other spellings of the category, e.g. the free-form strings used before the tree
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Days after delivery its products can be returned; 0 makes them
+  // non-returnable and null inherits the parent's window (see utils/returns.js)
+  returnWindowDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ aliases: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
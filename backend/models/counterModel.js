@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A named sequence, e.g. 'invoice', handing out consecutive numbers
+// (see utils/invoices.js)
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
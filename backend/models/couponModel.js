@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// A discount code, or an automatic promotion when autoApply is set and no code is needed
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+    required: true
+  },
+  // Percent off (0-100) for 'percentage', amount off for 'fixed'
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // 'buy_x_get_y': for every buyQuantity eligible units, getQuantity more are
+  // discounted by getDiscountPercent (cheapest units first)
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  // Restrict the discount to matching items; all empty means the whole order
+  appliesTo: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    brands: [String],
+    // Products anywhere below these categories qualify
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }]
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Total redemptions allowed across all customers; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 0
+  },
+  perUserLimit: {
+    type: Number,
+    min: 0
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Non-stackable coupons cannot be combined with any other discount
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  autoApply: {
+    type: Boolean,
+    default: false
+  },
+  // Higher priority automatic promotions are tried first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ code: 1 }, { unique: true, sparse: true });
+couponSchema.index({ autoApply: 1, isActive: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// One document per coupon used on an order; reversed when the order is
+// cancelled or fully refunded so the use no longer counts towards limits
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Coupon'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Order'
+  },
+  code: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Which of the user's perUserLimit uses of the coupon this is, from 0. The
+  // unique index stops two orders placed at once from taking the same one.
+  slot: Number,
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ order: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', slot: { $exists: true } } }
+);
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
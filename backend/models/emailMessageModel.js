@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// An email in the outbox. Code enqueues messages (utils/emailOutbox.js) and the
+// worker delivers them, retrying with backoff.
+//   pending - waiting for its next attempt at nextAttemptAt
+//   sending - claimed by a worker until lockedUntil
+//   sent    - accepted by the transport
+//   dead    - gave up after maxAttempts; an admin can resend it
+const emailMessageSchema = new mongoose.Schema({
+  // What kind of email this is, e.g. 'order_confirmation'
+  template: {
+    type: String,
+    required: true
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  headers: {
+    type: Map,
+    of: String
+  },
+  // Files sent with the message, e.g. an invoice PDF
+  attachments: [{
+    filename: String,
+    contentType: String,
+    content: Buffer
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Enqueueing the same key twice only stores one message
+  dedupeKey: String,
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  // Id the transport gave the message
+  transportMessageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+export default EmailMessage;
@@ -1,5 +1,75 @@
 import mongoose from 'mongoose';
 
+// One entry per refund issued against the order's payment
+const refundSchema = new mongoose.Schema({
+  stripeRefundId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: String,
+  status: String,
+  // Sequential number of the credit note for this refund (see utils/invoices.js)
+  creditNoteNumber: String,
+  // 'admin' for refunds issued through the API, 'stripe' for ones made on the
+  // dashboard, 'system' for payments refunded automatically (see utils/paymentEvents.js)
+  source: {
+    type: String,
+    enum: ['admin', 'stripe', 'system'],
+    default: 'admin'
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    restockedQuantity: {
+      type: Number,
+      default: 0
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// One entry per status change, written by utils/orderLifecycle.js
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  status: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: String,
+    enum: ['customer', 'admin', 'payment', 'system'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,6 +82,13 @@ const orderSchema = new mongoose.Schema({
       required: true,
       ref: 'Product'
     },
+    // Set when the product is sold in variants
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    options: {
+      type: Map,
+      of: String
+    },
     name: {
       type: String,
       required: true
@@ -27,9 +104,20 @@ const orderSchema = new mongoose.Schema({
     image: {
       type: String,
       required: true
+    },
+    // Share of the order's discounts taken off this line
+    discount: {
+      type: Number,
+      default: 0
+    },
+    refundedQuantity: {
+      type: Number,
+      default: 0
     }
   }],
   shippingAddress: {
+    recipientName: String,
+    phoneNumber: String,
     street: {
       type: String,
       required: true
@@ -38,23 +126,39 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    state: {
-      type: String,
-      required: true
-    },
-    postalCode: {
-      type: String,
-      required: true
-    },
+    // Not every country uses states or postal codes
+    state: String,
+    postalCode: String,
     country: {
       type: String,
       required: true
-    }
+    },
+    // The address book entry this was copied from, if any
+    savedAddress: mongoose.Schema.Types.ObjectId
+  },
+  billingAddress: {
+    recipientName: String,
+    phoneNumber: String,
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String,
+    savedAddress: mongoose.Schema.Types.ObjectId
   },
   paymentMethod: {
     type: String,
     required: true
   },
+  shippingMethod: {
+    code: String,
+    name: String,
+    price: Number,
+    estimatedDays: {
+      min: Number,
+      max: Number
+    }
+  },
   paymentResult: {
     id: String,
     status: String,
@@ -66,6 +170,22 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0.0
   },
+  discountPrice: {
+    type: Number,
+    default: 0.0
+  },
+  discounts: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    amount: Number
+  }],
   taxPrice: {
     type: Number,
     required: true,
@@ -87,21 +207,62 @@ const orderSchema = new mongoose.Schema({
     default: false
   },
   paidAt: Date,
+  // Sequential invoice number, assigned when the order is paid
+  invoiceNumber: String,
+  invoicedAt: Date,
   isDelivered: {
     type: Boolean,
     required: true,
     default: false
   },
   deliveredAt: Date,
+  cancelledAt: Date,
+  refunds: [refundSchema],
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  isRefunded: {
+    type: Boolean,
+    default: false
+  },
+  refundedAt: Date,
+  dispute: {
+    id: String,
+    amount: Number,
+    reason: String,
+    status: String,
+    createdAt: Date
+  },
+  // Set when a payment comes in for less than the order total. The order stays
+  // unpaid for staff to settle with the customer.
+  paymentMismatch: {
+    paymentIntentId: String,
+    amountReceived: Number,
+    amountDue: Number,
+    detectedAt: Date
+  },
+  // Set while an unpaid order holds stock; the reservation is released after this time
+  reservationExpiresAt: Date,
   orderStatus: {
     type: String,
-    enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
+    enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'PartiallyRefunded', 'Refunded'],
     default: 'Pending'
+  },
+  statusHistory: [statusHistorySchema],
+  // Set on replacement orders sent out for an exchanged return
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
   }
 }, {
   timestamps: true
 });
 
+orderSchema.index({ 'paymentResult.id': 1 });
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+orderSchema.index({ isPaid: 1, orderStatus: 1, reservationExpiresAt: 1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
\ No newline at end of file
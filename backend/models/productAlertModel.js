@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A customer's request to hear when a product (or one variant) is back in stock
+// or gets cheaper. Alerts fire once: utils/productAlerts.js marks them triggered
+// when the condition is met and the dispatcher mails them, one email per user.
+//   active    - waiting for the condition
+//   triggered - condition met, email not sent yet
+//   sent      - email sent; subscribing again re-arms the alert
+//   cancelled - unsubscribed, or the product or variant is gone
+const productAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product'
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['back_in_stock', 'price_drop']
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'triggered', 'sent', 'cancelled'],
+    default: 'active'
+  },
+  // Price drops fire below the price at subscription, or at or below targetPrice
+  referencePrice: Number,
+  targetPrice: {
+    type: Number,
+    min: 0
+  },
+  triggeredAt: Date,
+  triggeredPrice: Number,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+productAlertSchema.index({ user: 1, product: 1, variant: 1, type: 1 }, { unique: true });
+productAlertSchema.index({ product: 1, status: 1 });
+productAlertSchema.index({ status: 1, triggeredAt: 1 });
+
+const ProductAlert = mongoose.model('ProductAlert', productAlertSchema);
+
+export default ProductAlert;
@@ -1,5 +1,41 @@
 import mongoose from 'mongoose';
 
+// A customer flagging a review as abusive; see utils/reviews.js
+const reviewReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['spam', 'offensive', 'off_topic', 'fake', 'other']
+  },
+  comment: String,
+  // Set once a moderator has looked at the review
+  resolved: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const reviewVoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  helpful: {
+    type: Boolean,
+    required: true
+  }
+}, {
+  _id: false
+});
+
 const reviewSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,11 +55,72 @@ const reviewSchema = new mongoose.Schema({
   comment: {
     type: String,
     required: true
-  }
+  },
+  // The author has a delivered order containing the product
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  // Only approved reviews are shown and counted in the rating. Reviews written
+  // before moderation existed have no status and read as approved.
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
+    reason: String
+  },
+  reports: [reviewReportSchema],
+  votes: [reviewVoteSchema],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  unhelpfulCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: Date
 }, {
   timestamps: true
 });
 
+// A purchasable version of a product, e.g. "128GB / Black"
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Option name to value, e.g. { storage: '128GB', colour: 'Black' }
+  options: {
+    type: Map,
+    of: String
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  images: [String],
+  countInStock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -35,8 +132,9 @@ const productSchema = new mongoose.Schema({
     required: true
   },
   category: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Category'
   },
   description: {
     type: String,
@@ -56,11 +154,25 @@ const productSchema = new mongoose.Schema({
     type: Map,
     of: String
   },
+  // Specification keys and values flattened for the text index; kept in sync on save
+  specificationsText: {
+    type: String,
+    select: false
+  },
   countInStock: {
     type: Number,
     required: true,
     min: 0
   },
+  // Shipping weight in kg, used by weight-based shipping methods
+  weight: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // When a product has variants, price and countInStock are derived from them:
+  // the lowest variant price and the total variant stock
+  variants: [variantSchema],
   reviews: [reviewSchema],
   rating: {
     type: Number,
@@ -75,15 +187,69 @@ const productSchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+);
+
+// Keyword search for the catalog; names weigh most, descriptions least
+productSchema.index(
+  { name: 'text', brand: 'text', specificationsText: 'text', description: 'text' },
+  {
+    name: 'ProductTextIndex',
+    weights: { name: 10, brand: 5, specificationsText: 2, description: 1 }
+  }
+);
+
+productSchema.index({ isActive: 1, category: 1, brand: 1, price: 1 });
+productSchema.index({ 'reviews.status': 1 });
+productSchema.index({ 'reviews.reports.resolved': 1 });
+
+const getActiveVariants = (product) => (product.variants || []).filter((v) => v.isActive);
+
+productSchema.pre('validate', function() {
+  this.specificationsText = this.specifications
+    ? [...this.specifications].map(([key, value]) => `${key} ${value}`).join(' ')
+    : '';
+
+  if (this.variants.length === 0) return;
+
+  const skus = this.variants.map((v) => v.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+
+  const active = getActiveVariants(this);
+  this.countInStock = active.reduce((acc, v) => acc + v.countInStock, 0);
+  if (active.length > 0) {
+    this.price = Math.min(...active.map((v) => v.price));
+  }
 });
 
-// Method to calculate average rating
+// Lowest and highest price a customer can pay for the product
+productSchema.virtual('priceRange').get(function() {
+  const prices = getActiveVariants(this).map((v) => v.price);
+  if (prices.length === 0) {
+    return { min: this.price, max: this.price };
+  }
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+});
+
+productSchema.virtual('inStockVariants').get(function() {
+  return getActiveVariants(this).filter((v) => v.countInStock > 0);
+});
+
+// Method to calculate average rating over the approved reviews
 productSchema.methods.calculateAverageRating = function() {
-  if (this.reviews.length === 0) return 0;
-  
-  const totalRating = this.reviews.reduce((acc, review) => acc + review.rating, 0);
-  return Number((totalRating / this.reviews.length).toFixed(1));
+  const approved = this.reviews.filter((review) => review.status === 'approved');
+  if (approved.length === 0) return 0;
+
+  const totalRating = approved.reduce((acc, review) => acc + review.rating, 0);
+  return Number((totalRating / approved.length).toFixed(1));
 };
 
 const Product = mongoose.model('Product', productSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// A counter for one rate limit key (e.g. an IP on the login route) within its
+// current window; used by the MongoDB rate limit store in utils/rateLimitStores.js
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the current window; MongoDB removes the counter once it passes
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+// One entry per status change of a return
+const returnHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A customer's request to send items of a delivered order back (an RMA).
+//   requested - waiting for staff to approve or reject it
+//   approved  - the customer can send the items, with the return label if any
+//   rejected  - refused; rejectionReason says why
+//   received  - staff received and inspected the items
+//   completed - refunded or exchanged
+//   cancelled - withdrawn by the customer before the items arrived
+// See utils/returns.js for the workflow.
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    reason: {
+      type: String,
+      enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'],
+      required: true
+    },
+    comment: String,
+    // URLs of photos the customer took of the item
+    photos: [String],
+    // Filled in when the parcel is inspected
+    receivedQuantity: Number,
+    // restock - back into sellable stock; write_off - not resellable
+    disposition: {
+      type: String,
+      enum: ['restock', 'write_off']
+    },
+    inspectionNote: String
+  }],
+  // What the customer would like: their money back or the same items again
+  preferredResolution: {
+    type: String,
+    enum: ['refund', 'exchange'],
+    default: 'refund'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'completed', 'cancelled'],
+    default: 'requested'
+  },
+  rejectionReason: String,
+  returnLabel: {
+    carrier: String,
+    trackingNumber: String,
+    trackingUrl: String,
+    labelUrl: String,
+    issuedAt: Date
+  },
+  resolution: {
+    type: {
+      type: String,
+      enum: ['refund', 'exchange']
+    },
+    // Refund entry on the order, for refunds
+    refund: mongoose.Schema.Types.ObjectId,
+    amount: Number,
+    // Replacement order, for exchanges
+    exchangeOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    resolvedAt: Date
+  },
+  history: [returnHistorySchema]
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1, status: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: 1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
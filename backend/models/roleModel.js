@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A named set of permissions that staff accounts are given through user.role.
+// The permission catalogue and the built-in roles live in utils/permissions.js;
+// built-in roles are stored here once an admin edits them.
+const roleSchema = new mongoose.Schema({
+  // Referenced by user.role, e.g. 'catalog-manager'
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Permission names such as 'orders:refund'; '*' grants everything
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Built-in roles cannot be deleted or renamed
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
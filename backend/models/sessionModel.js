@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// One login on one device. The refresh token is rotated on every use and only
+// its SHA-256 is stored; access tokens carry the session id so revoking the
+// session cuts them off too.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back on every refresh; MongoDB removes the session once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'logout_all',
+      'revoked',
+      'password_change',
+      'password_reset',
+      'two_factor_enabled',
+      'deactivated',
+      'reuse_detected'
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
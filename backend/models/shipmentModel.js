@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// Shipment statuses in the order a parcel normally moves through them.
+// 'exception' (delayed, damaged, failed delivery) can happen at any point;
+// 'cancelled' is for parcels that never went out.
+const SHIPMENT_STATUSES = [
+  'label_created',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'exception',
+  'cancelled'
+];
+
+const shipmentEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    required: true
+  },
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  // 'carrier' for events read from the carrier, 'admin' for ones staff entered
+  source: {
+    type: String,
+    enum: ['carrier', 'admin'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// One parcel of an order; an order can ship in several (see utils/shipments.js)
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Code of an adapter in utils/carriers.js
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trackingUrl: String,
+  labelUrl: String,
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'label_created'
+  },
+  events: [shipmentEventSchema],
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  // When the customer was emailed that this parcel shipped
+  notifiedAt: Date,
+  // Last time tracking was read from the carrier
+  lastSyncedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ order: 1, createdAt: 1 });
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ status: 1, lastSyncedAt: 1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+export default Shipment;
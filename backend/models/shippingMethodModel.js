@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// A delivery option offered at checkout
+//   flat   - rate per order
+//   weight - price from the tier matching the total weight (kg)
+//   value  - price from the tier matching the items total
+// Any type becomes free once the items total reaches freeOver.
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['flat', 'weight', 'value'],
+    default: 'flat'
+  },
+  rate: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Tiers cover min (inclusive) up to max (exclusive); an unset max is open-ended
+  tiers: [{
+    min: {
+      type: Number,
+      default: 0
+    },
+    max: Number,
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  freeOver: {
+    type: Number,
+    min: 0
+  },
+  // Destinations served; empty means everywhere. Empty states means the whole country.
+  zones: [{
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    states: [{
+      type: String,
+      uppercase: true,
+      trim: true
+    }]
+  }],
+  estimatedDays: {
+    min: Number,
+    max: Number
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const ShippingMethod = mongoose.model('ShippingMethod', shippingMethodSchema);
+
+export default ShippingMethod;
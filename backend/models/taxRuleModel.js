@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Sales tax for a destination. A rule with a state applies to that state only;
+// a rule without one covers the rest of the country.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Fractions, e.g. 0.0825 for 8.25%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // Overrides the base rate for products in a category and its subcategories;
+  // the rate of the most specific category wins
+  categoryRates: [{
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Category'
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1
+    }
+  }],
+  shippingTaxable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, state: 1 }, { unique: true });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+export default TaxRule;
@@ -1,6 +1,61 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// A saved address. country is an ISO 3166 alpha-2 code such as 'US'.
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true
+  },
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  line2: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -23,19 +78,24 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  address: {
-    street: String,
-    city: String,
-    state: String,
-    postalCode: String,
-    country: String
-  },
+  // Address book; see utils/addresses.js for validation and the default flags
+  addresses: [addressSchema],
   phoneNumber: {
     type: String
   },
+  // Language for emails, one of the locales in backend/emails/locales
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'en'
+  },
+  // Name of a role from utils/permissions.js or the roles collection;
+  // 'user' is a customer without staff access
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   orders: [{
@@ -45,6 +105,53 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 of the token mailed to the user; the raw token is never stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
+  // SHA-256 of the password reset token mailed to the user (see utils/accounts.js)
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication; secrets are encrypted (see utils/twoFactor.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrolment until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 of each unused backup code
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   }
 }, {
   timestamps: true
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// One document per Stripe event id, so redelivered events are applied only once.
+// A 'processing' record whose claim is older than the retry window belongs to a
+// process that died mid-event, and the next delivery takes it over.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed'],
+    default: 'processing'
+  },
+  // When the current attempt started handling the event
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
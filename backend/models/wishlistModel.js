@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Product'
+  },
+  // A specific variant, or none to save the product as a whole
+  variant: mongoose.Schema.Types.ObjectId,
+  // Price when saved, so the list can show what has dropped since
+  priceWhenAdded: Number
+}, {
+  timestamps: true
+});
+
+// Products a customer saved for later; one list per user
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true,
+    ref: 'User'
+  },
+  items: [wishlistItemSchema]
+}, {
+  timestamps: true
+});
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
@@ -0,0 +1,590 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import EmailMessage from '../models/emailMessageModel.js';
+import { generateTotp } from '../utils/totp.js';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import { createUser } from './helpers/factories.js';
+import { createTestApp } from './helpers/app.js';
+
+const PASSWORD = 'Password123!';
+
+describe('account routes', () => {
+  const app = createTestApp();
+
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  const login = async (user, password = PASSWORD) => {
+    const res = await request(app).post('/api/users/login').send({ email: user.email, password });
+    assert.equal(res.status, 200, res.body.message);
+    return res.body;
+  };
+
+  // The token from the link in the latest email of a template
+  const mailedToken = async (template, path) => {
+    const message = await EmailMessage.findOne({ template }).sort({ createdAt: -1 });
+    return message.html.match(new RegExp(`/${path}/([a-f0-9]+)`))[1];
+  };
+
+  // Turn two-factor authentication on; returns the secret and backup codes
+  const enableTwoFactor = async (token) => {
+    const setup = await request(app).post('/api/users/2fa/setup').set(bearer(token));
+    const confirm = await request(app)
+      .post('/api/users/2fa/confirm')
+      .set(bearer(token))
+      .send({ code: generateTotp(setup.body.secret) });
+
+    assert.equal(confirm.status, 200, confirm.body.message);
+    return { secret: setup.body.secret, backupCodes: confirm.body.backupCodes };
+  };
+
+  before(async () => {
+    await connectTestDatabase();
+  });
+
+  after(async () => {
+    await disconnectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+  });
+
+  describe('POST /api/users/register', () => {
+    it('creates the account, logs it in and mails the welcome and verification emails', async () => {
+      const res = await request(app).post('/api/users/register').send({
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: '  Ada@Example.com ',
+        password: PASSWORD
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.email, 'ada@example.com');
+      assert.equal(res.body.role, 'user');
+      assert.equal(res.body.emailVerified, false);
+      assert.equal(res.body.twoFactorEnabled, false);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.password, undefined);
+
+      const templates = (await EmailMessage.find()).map((message) => message.template).sort();
+      assert.deepEqual(templates, ['email_verification', 'welcome']);
+    });
+
+    it('refuses an address that is already registered', async () => {
+      const user = await createUser();
+
+      const res = await request(app).post('/api/users/register').send({
+        firstName: 'Other',
+        lastName: 'Person',
+        email: user.email.toUpperCase(),
+        password: PASSWORD
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'User already exists');
+    });
+
+    it('requires a password', async () => {
+      const res = await request(app).post('/api/users/register').send({
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: 'ada@example.com'
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(await User.countDocuments(), 0);
+    });
+  });
+
+  describe('POST /api/users/login', () => {
+    it('logs in with the right password', async () => {
+      const user = await createUser();
+
+      const body = await login(user);
+
+      assert.equal(body._id, user._id.toString());
+      assert.ok(body.token);
+      assert.equal(await Session.countDocuments({ user: user._id }), 1);
+    });
+
+    it('gives the same answer for a wrong password and an unknown address', async () => {
+      const user = await createUser();
+
+      const wrongPassword = await request(app).post('/api/users/login').send({ email: user.email, password: 'nope' });
+      const unknown = await request(app).post('/api/users/login').send({ email: 'nobody@example.com', password: 'nope' });
+
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(unknown.status, 401);
+      assert.equal(wrongPassword.body.message, unknown.body.message);
+    });
+
+    it('refuses a disabled account', async () => {
+      const user = await createUser({ isActive: false });
+
+      const res = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.message, 'Account is disabled');
+    });
+
+    it('locks the address after repeated failures, even for the right password', async () => {
+      const user = await createUser();
+
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        await request(app).post('/api/users/login').send({ email: user.email, password: 'nope' });
+      }
+      const res = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+
+      assert.equal(res.status, 429);
+    });
+  });
+
+  describe('POST /api/users/login/2fa', () => {
+    it('asks for a second factor and accepts each backup code once', async () => {
+      const user = await createUser();
+      const { backupCodes } = await enableTwoFactor((await login(user)).token);
+
+      const first = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+      assert.equal(first.body.twoFactorRequired, true);
+      assert.equal(first.body.token, undefined);
+
+      const res = await request(app)
+        .post('/api/users/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: backupCodes[0] });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+
+      const replay = await request(app)
+        .post('/api/users/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: backupCodes[0] });
+
+      assert.equal(replay.status, 401);
+    });
+
+    it('refuses a challenge token used as an access token', async () => {
+      const user = await createUser();
+      await enableTwoFactor((await login(user)).token);
+
+      const { body } = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+      const res = await request(app).get('/api/users/profile').set(bearer(body.challengeToken));
+
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET and PUT /api/users/profile', () => {
+    it('returns the account in the same shape as login', async () => {
+      const user = await createUser({ phoneNumber: '555-0100' });
+      const { token, ...session } = await login(user);
+
+      const res = await request(app).get('/api/users/profile').set(bearer(token));
+
+      assert.equal(res.status, 200);
+      for (const key of Object.keys(res.body)) {
+        assert.deepEqual(res.body[key], session[key], key);
+      }
+    });
+
+    it('requires a token', async () => {
+      const res = await request(app).get('/api/users/profile');
+
+      assert.equal(res.status, 401);
+    });
+
+    it('sends a new address for verification', async () => {
+      const user = await createUser({ emailVerified: true });
+      const { token } = await login(user);
+
+      const res = await request(app)
+        .put('/api/users/profile')
+        .set(bearer(token))
+        .send({ firstName: 'Renamed', email: 'New@Example.com' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.firstName, 'Renamed');
+      assert.equal(res.body.email, 'new@example.com');
+      assert.equal(res.body.emailVerified, false);
+      assert.equal(await EmailMessage.countDocuments({ template: 'email_verification', to: 'new@example.com' }), 1);
+    });
+
+    it('needs the current password to set a new one and keeps only this session', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      const other = await login(user);
+
+      const refused = await request(app)
+        .put('/api/users/profile')
+        .set(bearer(token))
+        .send({ password: 'NewPassword456!' });
+      assert.equal(refused.status, 400);
+
+      const res = await request(app)
+        .put('/api/users/profile')
+        .set(bearer(token))
+        .send({ password: 'NewPassword456!', currentPassword: PASSWORD });
+
+      assert.equal(res.status, 200);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(token))).status, 200);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(other.token))).status, 401);
+      await login(user, 'NewPassword456!');
+    });
+  });
+
+  describe('PUT /api/users/change-password', () => {
+    it('changes the password and logs out the other sessions', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      const other = await login(user);
+
+      const res = await request(app)
+        .put('/api/users/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: PASSWORD, newPassword: 'NewPassword456!' });
+
+      assert.equal(res.status, 200);
+      assert.equal((await request(app).get('/api/users/sessions').set(bearer(other.token))).status, 401);
+      await login(user, 'NewPassword456!');
+    });
+
+    it('refuses a wrong current password', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+
+      const res = await request(app)
+        .put('/api/users/change-password')
+        .set(bearer(token))
+        .send({ currentPassword: 'nope', newPassword: 'NewPassword456!' });
+
+      assert.equal(res.status, 400);
+      await login(user);
+    });
+  });
+
+  describe('password reset', () => {
+    it('gives the same answer for unknown addresses without sending anything', async () => {
+      const user = await createUser();
+
+      const known = await request(app).post('/api/users/forgot-password').send({ email: user.email });
+      const unknown = await request(app).post('/api/users/forgot-password').send({ email: 'nobody@example.com' });
+
+      assert.equal(known.status, 200);
+      assert.deepEqual(unknown.body, known.body);
+      assert.equal(await EmailMessage.countDocuments({ template: 'password_reset' }), 1);
+    });
+
+    it('still gives the same answer when the email cannot be queued', async (t) => {
+      const user = await createUser();
+      t.mock.method(EmailMessage, 'create', async () => {
+        throw new Error('outbox unavailable');
+      });
+      t.mock.method(console, 'error', () => {});
+
+      const res = await request(app).post('/api/users/forgot-password').send({ email: user.email });
+
+      assert.equal(res.status, 200);
+      assert.match(res.body.message, /If an account exists/);
+      assert.equal((await User.findById(user._id).select('+passwordResetToken')).passwordResetToken, undefined);
+    });
+
+    it('sets a new password with the mailed token, once, and logs out everywhere', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      await request(app).post('/api/users/forgot-password').send({ email: user.email });
+      const resetToken = await mailedToken('password_reset', 'reset-password');
+
+      const res = await request(app)
+        .put(`/api/users/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456!' });
+
+      assert.equal(res.status, 200);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(token))).status, 401);
+      await login(user, 'NewPassword456!');
+
+      const again = await request(app)
+        .put(`/api/users/reset-password/${resetToken}`)
+        .send({ password: 'Another789!' });
+      assert.equal(again.status, 400);
+    });
+
+    it('lifts a login lockout', async () => {
+      const user = await createUser();
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        await request(app).post('/api/users/login').send({ email: user.email, password: 'nope' });
+      }
+      await request(app).post('/api/users/forgot-password').send({ email: user.email });
+      const resetToken = await mailedToken('password_reset', 'reset-password');
+
+      await request(app).put(`/api/users/reset-password/${resetToken}`).send({ password: 'NewPassword456!' });
+
+      await login(user, 'NewPassword456!');
+    });
+  });
+
+  describe('email verification', () => {
+    it('verifies the address with the mailed token', async () => {
+      await request(app).post('/api/users/register').send({
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: 'ada@example.com',
+        password: PASSWORD
+      });
+      const verificationToken = await mailedToken('email_verification', 'verify-email');
+
+      const res = await request(app).post(`/api/users/verify-email/${verificationToken}`);
+
+      assert.equal(res.status, 200);
+      assert.equal((await User.findOne({ email: 'ada@example.com' })).emailVerified, true);
+      assert.equal((await request(app).post(`/api/users/verify-email/${verificationToken}`)).status, 400);
+    });
+
+    it('resends the link at most once per interval', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+
+      const first = await request(app).post('/api/users/verify-email/resend').set(bearer(token));
+      const second = await request(app).post('/api/users/verify-email/resend').set(bearer(token));
+
+      assert.equal(first.status, 200);
+      assert.equal(second.status, 429);
+      assert.equal(await EmailMessage.countDocuments({ template: 'email_verification' }), 1);
+    });
+
+    it('does not resend to a verified address', async () => {
+      const user = await createUser({ emailVerified: true });
+      const { token } = await login(user);
+
+      const res = await request(app).post('/api/users/verify-email/resend').set(bearer(token));
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    it('keeps the setup pending until a code from the new secret is confirmed', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+
+      const setup = await request(app).post('/api/users/2fa/setup').set(bearer(token));
+      assert.equal(setup.status, 200);
+      assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\//);
+
+      const wrong = await request(app).post('/api/users/2fa/confirm').set(bearer(token)).send({ code: '000000' });
+      assert.equal(wrong.status, 400);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(token))).body.twoFactorEnabled, false);
+    });
+
+    it('logs out the other sessions when turned on', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      const other = await login(user);
+
+      const { backupCodes } = await enableTwoFactor(token);
+
+      assert.equal(backupCodes.length, 10);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(token))).body.twoFactorEnabled, true);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(other.token))).status, 401);
+    });
+
+    it('replaces the backup codes', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      const { backupCodes } = await enableTwoFactor(token);
+
+      const res = await request(app)
+        .post('/api/users/2fa/backup-codes')
+        .set(bearer(token))
+        .send({ code: backupCodes[0] });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.backupCodes.length, 10);
+
+      const { body } = await request(app).post('/api/users/login').send({ email: user.email, password: PASSWORD });
+      const old = await request(app)
+        .post('/api/users/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: backupCodes[1] });
+      assert.equal(old.status, 401);
+    });
+
+    it('turns off with the password and a code', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      const { backupCodes } = await enableTwoFactor(token);
+
+      const wrongPassword = await request(app)
+        .post('/api/users/2fa/disable')
+        .set(bearer(token))
+        .send({ password: 'nope', code: backupCodes[0] });
+      assert.equal(wrongPassword.status, 400);
+
+      const res = await request(app)
+        .post('/api/users/2fa/disable')
+        .set(bearer(token))
+        .send({ password: PASSWORD, code: backupCodes[1] });
+
+      assert.equal(res.status, 200);
+      assert.ok((await login(user)).token);
+    });
+  });
+
+  describe('sessions', () => {
+    it('rotates the refresh token and revokes the session when an old one comes back', async () => {
+      const user = await createUser();
+      const { refreshToken } = await login(user);
+
+      const rotated = await request(app).post('/api/users/refresh').send({ refreshToken });
+      assert.equal(rotated.status, 200);
+      assert.notEqual(rotated.body.refreshToken, refreshToken);
+
+      const reused = await request(app).post('/api/users/refresh').send({ refreshToken });
+      assert.equal(reused.status, 401);
+
+      const afterReuse = await request(app).post('/api/users/refresh').send({ refreshToken: rotated.body.refreshToken });
+      assert.equal(afterReuse.status, 401);
+    });
+
+    it('lists the live sessions and marks the current one', async () => {
+      const user = await createUser();
+      const { token, sessionId } = await login(user);
+      await login(user);
+
+      const res = await request(app).get('/api/users/sessions').set(bearer(token));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 2);
+      assert.equal(res.body.find((session) => session.isCurrent)._id, sessionId);
+    });
+
+    it('revokes another session of the same user only', async () => {
+      const user = await createUser();
+      const stranger = await createUser();
+      const { token } = await login(user);
+      const other = await login(user);
+      const strangers = await login(stranger);
+
+      const foreign = await request(app).delete(`/api/users/sessions/${strangers.sessionId}`).set(bearer(token));
+      assert.equal(foreign.status, 404);
+
+      const res = await request(app).delete(`/api/users/sessions/${other.sessionId}`).set(bearer(token));
+      assert.equal(res.status, 200);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(other.token))).status, 401);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(strangers.token))).status, 200);
+    });
+
+    it('logs out the current session', async () => {
+      const user = await createUser();
+      const { token, refreshToken } = await login(user);
+
+      const res = await request(app).post('/api/users/logout').set(bearer(token));
+
+      assert.equal(res.status, 200);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(token))).status, 401);
+      assert.equal((await request(app).post('/api/users/refresh').send({ refreshToken })).status, 401);
+    });
+
+    it('logs out every session', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+      const other = await login(user);
+
+      const res = await request(app).post('/api/users/logout-all').set(bearer(token));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Logged out of 2 sessions');
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(other.token))).status, 401);
+    });
+  });
+
+  describe('staff account management', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      adminToken = (await login(await createUser({ role: 'admin' }))).token;
+    });
+
+    it('keeps customers out', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+
+      const res = await request(app).get('/api/users').set(bearer(token));
+
+      assert.equal(res.status, 403);
+    });
+
+    it('lists accounts a page at a time without passwords', async () => {
+      await Promise.all(Array.from({ length: 11 }, () => createUser()));
+
+      const res = await request(app).get('/api/users').set(bearer(adminToken));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.users.length, 10);
+      assert.equal(res.body.pages, 2);
+      assert.ok(res.body.users.every((user) => user.password === undefined));
+    });
+
+    it('gets an account by id', async () => {
+      const user = await createUser();
+
+      const res = await request(app).get(`/api/users/${user._id}`).set(bearer(adminToken));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.email, user.email);
+      assert.equal(res.body.password, undefined);
+    });
+
+    it('deactivates an account and ends its sessions', async () => {
+      const user = await createUser();
+      const { token } = await login(user);
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set(bearer(adminToken))
+        .send({ isActive: false });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.isActive, false);
+      assert.equal((await request(app).get('/api/users/profile').set(bearer(token))).status, 401);
+    });
+
+    it('keeps staff without users:write from changing accounts', async () => {
+      const support = await createUser({ role: 'customer-support' });
+      const user = await createUser();
+      const { token } = await login(support);
+
+      const res = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set(bearer(token))
+        .send({ role: 'admin' });
+
+      assert.equal(res.status, 403);
+      assert.equal((await User.findById(user._id)).role, 'user');
+    });
+
+    it('deletes an account', async () => {
+      const user = await createUser();
+
+      const res = await request(app).delete(`/api/users/${user._id}`).set(bearer(adminToken));
+
+      assert.equal(res.status, 200);
+      assert.equal(await User.exists({ _id: user._id }), null);
+      assert.equal((await request(app).delete(`/api/users/${user._id}`).set(bearer(adminToken))).status, 404);
+    });
+
+    it('unlocks a locked account', async () => {
+      const user = await createUser();
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        await request(app).post('/api/users/login').send({ email: user.email, password: 'nope' });
+      }
+
+      const res = await request(app).post(`/api/users/${user._id}/unlock`).set(bearer(adminToken));
+
+      assert.equal(res.status, 200);
+      await login(user);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import EmailMessage from '../models/emailMessageModel.js';
+import { enqueueEmail, processOutbox, resendEmail } from '../utils/emailOutbox.js';
+import { createMemoryTransport } from '../utils/emailTransports.js';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+
+describe('email outbox', () => {
+  const transport = createMemoryTransport();
+
+  // A transport that refuses the next `count` messages, then delivers to memory
+  const failingTransport = (count = Infinity) => {
+    let failures = 0;
+
+    return {
+      async send(message) {
+        if (failures < count) {
+          failures += 1;
+          throw new Error('Connection refused');
+        }
+        return transport.send(message);
+      }
+    };
+  };
+
+  const queueMessage = (fields = {}) => enqueueEmail({
+    template: 'welcome',
+    to: 'customer@example.com',
+    subject: 'Welcome',
+    html: '<p>Welcome</p>',
+    text: 'Welcome',
+    ...fields
+  });
+
+  // Make a message due now, as if its retry delay had passed
+  const makeDue = (message) => EmailMessage.updateOne(
+    { _id: message._id },
+    { $set: { nextAttemptAt: new Date() } }
+  );
+
+  before(async () => {
+    await connectTestDatabase();
+  });
+
+  after(async () => {
+    await disconnectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    transport.clear();
+    delete process.env.EMAIL_MAX_ATTEMPTS;
+  });
+
+  it('delivers queued messages with their attachments', async () => {
+    await queueMessage({
+      attachments: [{ filename: 'invoice.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') }]
+    });
+
+    const sentCount = await processOutbox({ transport });
+
+    assert.equal(sentCount, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].from, 'shop@example.com');
+    assert.equal(transport.sent[0].attachments[0].content.toString(), '%PDF');
+
+    const message = await EmailMessage.findOne();
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 1);
+    assert.equal(message.transportMessageId, transport.sent[0].messageId);
+    assert.ok(message.sentAt);
+  });
+
+  it('stores a message once per dedupe key', async () => {
+    const first = await queueMessage({ dedupeKey: 'welcome:1' });
+    const second = await queueMessage({ dedupeKey: 'welcome:1', subject: 'Welcome again' });
+
+    assert.ok(second._id.equals(first._id));
+    assert.equal(await EmailMessage.countDocuments(), 1);
+
+    await processOutbox({ transport });
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('retries a failed send later, doubling the wait each time', async () => {
+    const queued = await queueMessage();
+    const flaky = failingTransport(2);
+
+    const startedAt = Date.now();
+    assert.equal(await processOutbox({ transport: flaky }), 0);
+
+    let message = await EmailMessage.findById(queued._id);
+    assert.equal(message.status, 'pending');
+    assert.equal(message.attempts, 1);
+    assert.equal(message.lastError, 'Connection refused');
+    const firstDelay = message.nextAttemptAt.getTime() - startedAt;
+    assert.ok(firstDelay >= 29 * 1000 && firstDelay <= 31 * 1000, `first retry after ${firstDelay}ms`);
+
+    // Not due yet, so nothing is attempted
+    assert.equal(await processOutbox({ transport: flaky }), 0);
+    assert.equal((await EmailMessage.findById(queued._id)).attempts, 1);
+
+    await makeDue(message);
+    const retriedAt = Date.now();
+    await processOutbox({ transport: flaky });
+
+    message = await EmailMessage.findById(queued._id);
+    assert.equal(message.attempts, 2);
+    const secondDelay = message.nextAttemptAt.getTime() - retriedAt;
+    assert.ok(secondDelay >= 59 * 1000 && secondDelay <= 61 * 1000, `second retry after ${secondDelay}ms`);
+
+    await makeDue(message);
+    assert.equal(await processOutbox({ transport: flaky }), 1);
+
+    message = await EmailMessage.findById(queued._id);
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 3);
+    assert.equal(message.lastError, undefined);
+  });
+
+  it('gives up after the last attempt and can be resent', async () => {
+    process.env.EMAIL_MAX_ATTEMPTS = '2';
+    const queued = await queueMessage();
+    const down = failingTransport();
+
+    await processOutbox({ transport: down });
+    await makeDue(queued);
+    await processOutbox({ transport: down });
+
+    let message = await EmailMessage.findById(queued._id);
+    assert.equal(message.status, 'dead');
+    assert.equal(message.attempts, 2);
+
+    // A dead message is never picked up again on its own
+    await makeDue(queued);
+    assert.equal(await processOutbox({ transport }), 0);
+
+    message = await resendEmail(queued._id);
+    assert.equal(message.status, 'pending');
+    assert.equal(message.attempts, 0);
+
+    assert.equal(await processOutbox({ transport }), 1);
+    assert.equal((await EmailMessage.findById(queued._id)).status, 'sent');
+  });
+
+  it('only resends sent or dead messages', async () => {
+    const queued = await queueMessage();
+
+    await assert.rejects(resendEmail(queued._id), { statusCode: 400 });
+  });
+
+  it('takes over a message left locked by a worker that stopped', async () => {
+    const queued = await queueMessage();
+    await EmailMessage.updateOne(
+      { _id: queued._id },
+      { $set: { status: 'sending', attempts: 1, lockedUntil: new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal(await processOutbox({ transport }), 1);
+
+    const message = await EmailMessage.findById(queued._id);
+    assert.equal(message.status, 'sent');
+    assert.equal(message.attempts, 2);
+  });
+
+  it('leaves a message another worker is still sending', async () => {
+    await queueMessage();
+    await EmailMessage.updateOne({}, {
+      $set: { status: 'sending', lockedUntil: new Date(Date.now() + 60 * 1000) }
+    });
+
+    assert.equal(await processOutbox({ transport }), 0);
+    assert.equal(transport.sent.length, 0);
+  });
+});
@@ -0,0 +1,85 @@
+import express from 'express';
+import { handleStripeWebhook } from '../../controller/paymentController.js';
+import {
+  registerUser,
+  loginUser,
+  verifyTwoFactorLogin,
+  getUserProfile,
+  updateUserProfile,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  confirmTwoFactor,
+  turnOffTwoFactor,
+  createBackupCodes,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  deleteSession
+} from '../../controller/authController.js';
+import {
+  getUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
+  unlockUser
+} from '../../controller/userController.js';
+import { protect, requirePermission } from '../../middleware/authMiddleware.js';
+import { notFound, errorHandler } from '../../middleware/errorMiddleware.js';
+
+// An Express app with the routes under test mounted the way the server mounts
+// them, following the @route comments on each controller. Rate limiters are
+// left out so that tests can repeat requests freely.
+const createTestApp = () => {
+  const app = express();
+
+  // The webhook needs the raw body for its signature, so it goes before express.json()
+  app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
+  app.use(express.json());
+
+  app.post('/api/users/register', registerUser);
+  app.post('/api/users/login', loginUser);
+  app.post('/api/users/login/2fa', verifyTwoFactorLogin);
+  app.post('/api/users/refresh', refreshToken);
+  app.post('/api/users/forgot-password', forgotPassword);
+  app.put('/api/users/reset-password/:token', resetPassword);
+  app.post('/api/users/verify-email/resend', protect, resendVerificationEmail);
+  app.post('/api/users/verify-email/:token', verifyEmail);
+
+  app.route('/api/users/profile')
+    .get(protect, getUserProfile)
+    .put(protect, updateUserProfile);
+  app.put('/api/users/change-password', protect, changePassword);
+
+  app.post('/api/users/2fa/setup', protect, setupTwoFactor);
+  app.post('/api/users/2fa/confirm', protect, confirmTwoFactor);
+  app.post('/api/users/2fa/disable', protect, turnOffTwoFactor);
+  app.post('/api/users/2fa/backup-codes', protect, createBackupCodes);
+
+  app.post('/api/users/logout', protect, logoutUser);
+  app.post('/api/users/logout-all', protect, logoutAllSessions);
+  app.get('/api/users/sessions', protect, getSessions);
+  app.delete('/api/users/sessions/:id', protect, deleteSession);
+
+  // Staff routes last, so /api/users/:id does not swallow the ones above
+  app.get('/api/users', protect, requirePermission('users:read'), getUsers);
+  app.route('/api/users/:id')
+    .get(protect, requirePermission('users:read'), getUserById)
+    .put(protect, requirePermission('users:write'), updateUser)
+    .delete(protect, requirePermission('users:write'), deleteUser);
+  app.post('/api/users/:id/unlock', protect, requirePermission('users:write'), unlockUser);
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+export {
+  createTestApp
+};
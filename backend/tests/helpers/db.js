@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// A single-node replica set, since order placement, refunds and returns use transactions
+let replSet;
+
+const connectTestDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Build unique indexes up front so duplicate-key paths behave as in production
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+const clearTestDatabase = async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+  );
+};
+
+const disconnectTestDatabase = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
+
+export {
+  connectTestDatabase,
+  clearTestDatabase,
+  disconnectTestDatabase
+};
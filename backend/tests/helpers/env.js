@@ -0,0 +1,13 @@
+// Settings for the test run. Import first in every test file, before any module
+// that reads them at load time (config/stripe.js creates its client on import).
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+// The fake Stripe API started by tests/helpers/stripeServer.js
+process.env.STRIPE_API_URL = 'http://127.0.0.1:12111';
+process.env.EMAIL_TRANSPORT = 'memory';
+process.env.EMAIL_FROM = 'shop@example.com';
+process.env.FRONTEND_URL = 'http://localhost:3000';
+process.env.JWT_SECRET = 'test-jwt-secret';
+// Login failures are kept in the database, so clearing it between tests resets them
+process.env.RATE_LIMIT_STORE = 'mongo';
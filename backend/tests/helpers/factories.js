@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../../models/userModel.js';
+import Order from '../../models/orderModel.js';
+
+// Minimal valid records for tests; pass overrides for the fields a test cares about
+
+const createUser = (overrides = {}) => User.create({
+  firstName: 'Test',
+  lastName: 'Customer',
+  email: `customer-${crypto.randomBytes(4).toString('hex')}@example.com`,
+  password: 'Password123!',
+  ...overrides
+});
+
+// An unpaid order of two units at 20.00 plus 5.00 shipping
+const createOrder = (overrides = {}) => Order.create({
+  user: new mongoose.Types.ObjectId(),
+  orderItems: [{
+    product: new mongoose.Types.ObjectId(),
+    name: 'Test product',
+    sku: 'TEST-1',
+    image: '/images/test.jpg',
+    price: 20,
+    quantity: 2
+  }],
+  shippingAddress: {
+    recipientName: 'Test Customer',
+    street: '1 Test Street',
+    city: 'Springfield',
+    postalCode: '12345',
+    country: 'US'
+  },
+  paymentMethod: 'stripe',
+  itemsPrice: 40,
+  taxPrice: 0,
+  shippingPrice: 5,
+  totalPrice: 45,
+  statusHistory: [{ status: 'Pending', actor: 'customer' }],
+  ...overrides
+});
+
+export {
+  createUser,
+  createOrder
+};
@@ -0,0 +1,31 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import stripe from '../../config/stripe.js';
+
+// Stripe events are stored as fixtures in tests/fixtures/stripe/<type>.json with
+// "{{name}}" placeholders for the ids and amounts of the test's own records.
+
+const fixturesDir = new URL('../fixtures/stripe/', import.meta.url);
+
+// The raw JSON body of an event, exactly as Stripe would post it
+const loadStripeEvent = (type, values = {}) => {
+  const fields = { eventId: `evt_${crypto.randomBytes(8).toString('hex')}`, ...values };
+  const template = fs.readFileSync(new URL(`${type}.json`, fixturesDir), 'utf8');
+
+  return template.replace(/"\{\{(\w+)\}\}"/g, (placeholder, name) => {
+    if (!(name in fields)) {
+      throw new Error(`Fixture ${type} needs a value for ${name}`);
+    }
+    return JSON.stringify(fields[name]);
+  });
+};
+
+// A Stripe-Signature header for the payload, signed with the webhook secret
+const signStripePayload = (payload, { secret = process.env.STRIPE_WEBHOOK_SECRET, timestamp } = {}) => (
+  stripe.webhooks.generateTestHeaderString({ payload, secret, timestamp })
+);
+
+export {
+  loadStripeEvent,
+  signStripePayload
+};
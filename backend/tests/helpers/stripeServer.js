@@ -0,0 +1,131 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// A small stand-in for the Stripe API, covering the calls config/stripe.js makes.
+// Listens on STRIPE_API_URL (see tests/helpers/env.js). Tests read `requests` to
+// assert on what was sent, can add payment intents with `addPaymentIntent` and
+// make every call to a path fail with `failPath`.
+
+// Stripe sends form-encoded bodies with nested keys such as metadata[orderId]
+const parseForm = (body) => {
+  const result = {};
+
+  for (const [key, value] of new URLSearchParams(body)) {
+    const match = key.match(/^(\w+)\[(\w+)\]$/);
+    if (match) {
+      result[match[1]] = { ...result[match[1]], [match[2]]: value };
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+};
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const startStripeServer = async () => {
+  const requests = [];
+  const paymentIntents = new Map();
+  // Replayed responses by Idempotency-Key, as Stripe does
+  const idempotent = new Map();
+  const failingPaths = new Set();
+
+  const addPaymentIntent = (fields = {}) => {
+    const paymentIntent = {
+      id: newId('pi'),
+      object: 'payment_intent',
+      amount: 0,
+      amount_received: 0,
+      currency: 'usd',
+      status: 'requires_payment_method',
+      metadata: {},
+      created: Math.floor(Date.now() / 1000),
+      ...fields
+    };
+    paymentIntent.client_secret = `${paymentIntent.id}_secret_test`;
+    paymentIntents.set(paymentIntent.id, paymentIntent);
+    return paymentIntent;
+  };
+
+  const routes = [
+    ['POST', /^\/v1\/payment_intents$/, (params) => addPaymentIntent({
+      amount: Number(params.amount),
+      currency: params.currency,
+      metadata: params.metadata || {}
+    })],
+    ['GET', /^\/v1\/payment_intents\/(\w+)$/, (params, id) => paymentIntents.get(id)],
+    ['POST', /^\/v1\/payment_intents\/(\w+)\/cancel$/, (params, id) => {
+      const paymentIntent = paymentIntents.get(id);
+      if (paymentIntent) paymentIntent.status = 'canceled';
+      return paymentIntent;
+    }],
+    ['POST', /^\/v1\/refunds$/, (params) => ({
+      id: newId('re'),
+      object: 'refund',
+      amount: Number(params.amount),
+      payment_intent: params.payment_intent,
+      metadata: params.metadata || {},
+      status: 'succeeded'
+    })]
+  ];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      const params = parseForm(body);
+      const idempotencyKey = req.headers['idempotency-key'];
+      requests.push({ method: req.method, path, params, idempotencyKey });
+
+      let status = 200;
+      let payload = idempotencyKey && idempotent.get(idempotencyKey);
+
+      if (failingPaths.has(path)) {
+        status = 500;
+        payload = { error: { type: 'api_error', message: 'An unknown error occurred' } };
+      } else if (!payload) {
+        const route = routes.find(([method, pattern]) => method === req.method && pattern.test(path));
+        payload = route && route[2](params, ...path.match(route[1]).slice(1));
+
+        if (!payload) {
+          status = 404;
+          payload = { error: { type: 'invalid_request_error', message: `No such resource: ${path}` } };
+        } else if (idempotencyKey) {
+          idempotent.set(idempotencyKey, payload);
+        }
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Request-Id': newId('req') });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  const { port, hostname } = new URL(process.env.STRIPE_API_URL);
+  await new Promise((resolve) => server.listen(Number(port), hostname, resolve));
+
+  return {
+    requests,
+    paymentIntents,
+    addPaymentIntent,
+    failPath(path) {
+      failingPaths.add(path);
+    },
+    clear() {
+      requests.length = 0;
+      paymentIntents.clear();
+      idempotent.clear();
+      failingPaths.clear();
+    },
+    close() {
+      // The Stripe client keeps connections alive; drop them so close() returns
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+};
+
+export {
+  startStripeServer
+};
@@ -0,0 +1,265 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import Order from '../models/orderModel.js';
+import WebhookEvent from '../models/webhookEventModel.js';
+import EmailMessage from '../models/emailMessageModel.js';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import { startStripeServer } from './helpers/stripeServer.js';
+import { loadStripeEvent, signStripePayload } from './helpers/stripeEvents.js';
+import { createUser, createOrder } from './helpers/factories.js';
+import { createTestApp } from './helpers/app.js';
+
+describe('POST /api/payments/webhook', () => {
+  const app = createTestApp();
+  let stripeServer;
+
+  const deliver = (payload, signature = signStripePayload(payload)) => request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+
+  // A pending order with its payment intent, and the values its fixtures need
+  const placeOrder = async (fields = {}) => {
+    const user = await createUser();
+    const paymentIntentId = 'pi_3PfixtureIntent0001';
+    const order = await createOrder({
+      user: user._id,
+      paymentResult: { id: paymentIntentId, status: 'pending' },
+      ...fields
+    });
+
+    return { order, values: { orderId: order._id.toString(), paymentIntentId, amount: 4500 } };
+  };
+
+  before(async () => {
+    await connectTestDatabase();
+    stripeServer = await startStripeServer();
+  });
+
+  after(async () => {
+    await stripeServer.close();
+    await disconnectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+    stripeServer.clear();
+  });
+
+  describe('signature verification', () => {
+    it('rejects a payload changed after signing', async () => {
+      const { order, values } = await placeOrder();
+      const payload = loadStripeEvent('payment_intent.succeeded', values);
+      const tampered = payload.replace('"amount_received": 4500', '"amount_received": 9900');
+
+      const res = await deliver(tampered, signStripePayload(payload));
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /signature verification failed/);
+      assert.equal((await Order.findById(order._id)).isPaid, false);
+    });
+
+    it('rejects an event signed with another secret', async () => {
+      const { values } = await placeOrder();
+      const payload = loadStripeEvent('payment_intent.succeeded', values);
+
+      const res = await deliver(payload, signStripePayload(payload, { secret: 'whsec_other' }));
+
+      assert.equal(res.status, 400);
+      assert.equal(await WebhookEvent.countDocuments(), 0);
+    });
+
+    it('acknowledges event types it does not handle', async () => {
+      const payload = JSON.stringify({ id: 'evt_unhandled', object: 'event', type: 'customer.created', data: { object: {} } });
+
+      const res = await deliver(payload);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { received: true, handled: false });
+    });
+  });
+
+  describe('payment_intent.succeeded', () => {
+    it('marks the order paid, invoices it and emails the customer', async () => {
+      const { order, values } = await placeOrder();
+      const startedAt = Date.now();
+
+      const res = await deliver(loadStripeEvent('payment_intent.succeeded', values));
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { received: true, handled: true });
+
+      const paid = await Order.findById(order._id);
+      assert.equal(paid.isPaid, true);
+      assert.equal(paid.orderStatus, 'Processing');
+      assert.equal(paid.paymentResult.status, 'succeeded');
+      assert.equal(paid.paymentResult.email_address, 'customer@example.com');
+      // The time of payment, not the intent's creation time in the fixture
+      assert.ok(paid.paidAt.getTime() >= startedAt - 1000);
+      assert.equal(paid.statusHistory.at(-1).actor, 'payment');
+      assert.match(paid.invoiceNumber, /^INV-\d{6}$/);
+
+      const email = await EmailMessage.findOne({ template: 'order_status_update' });
+      assert.equal(email.attachments[0].filename, `invoice-${paid.invoiceNumber}.pdf`);
+    });
+
+    it('applies a redelivered event only once', async () => {
+      const { order, values } = await placeOrder();
+      const payload = loadStripeEvent('payment_intent.succeeded', values);
+
+      await deliver(payload);
+      const res = await deliver(payload);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.duplicate, true);
+
+      const paid = await Order.findById(order._id);
+      assert.equal(paid.statusHistory.length, 2);
+      assert.equal((await WebhookEvent.findOne()).status, 'processed');
+    });
+
+    it('finishes the invoice and email when an earlier delivery failed after marking the order paid', async () => {
+      const { order, values } = await placeOrder({
+        isPaid: true,
+        paidAt: new Date(),
+        orderStatus: 'Processing'
+      });
+
+      await deliver(loadStripeEvent('payment_intent.succeeded', values));
+      await deliver(loadStripeEvent('payment_intent.succeeded', values));
+
+      const paid = await Order.findById(order._id);
+      assert.match(paid.invoiceNumber, /^INV-\d{6}$/);
+      assert.equal(paid.statusHistory.length, 1);
+      assert.equal(await EmailMessage.countDocuments({ template: 'order_status_update' }), 1);
+    });
+
+    it('takes over an event left processing by a delivery that crashed', async () => {
+      const { order, values } = await placeOrder();
+      const payload = loadStripeEvent('payment_intent.succeeded', { ...values, eventId: 'evt_crashed' });
+      await WebhookEvent.create({
+        eventId: 'evt_crashed',
+        type: 'payment_intent.succeeded',
+        claimedAt: new Date(Date.now() - 10 * 60 * 1000)
+      });
+
+      const res = await deliver(payload);
+
+      assert.equal(res.body.handled, true);
+      assert.equal((await Order.findById(order._id)).isPaid, true);
+
+      const record = await WebhookEvent.findOne({ eventId: 'evt_crashed' });
+      assert.equal(record.status, 'processed');
+      assert.equal(record.attempts, 2);
+    });
+
+    it('leaves an event another delivery is still working on', async () => {
+      const { order, values } = await placeOrder();
+      const payload = loadStripeEvent('payment_intent.succeeded', { ...values, eventId: 'evt_busy' });
+      await WebhookEvent.create({ eventId: 'evt_busy', type: 'payment_intent.succeeded' });
+
+      const res = await deliver(payload);
+
+      assert.equal(res.body.duplicate, true);
+      assert.equal((await Order.findById(order._id)).isPaid, false);
+    });
+
+    it('refunds a payment for a cancelled order instead of marking it paid', async () => {
+      const { order, values } = await placeOrder({ orderStatus: 'Cancelled' });
+
+      await deliver(loadStripeEvent('payment_intent.succeeded', values));
+      // A second confirmation of the same payment must not refund it twice
+      await deliver(loadStripeEvent('payment_intent.succeeded', values));
+
+      const cancelled = await Order.findById(order._id);
+      assert.equal(cancelled.isPaid, false);
+      assert.equal(cancelled.orderStatus, 'Cancelled');
+      assert.equal(cancelled.invoiceNumber, undefined);
+      assert.equal(cancelled.refunds.length, 1);
+      assert.equal(cancelled.refunds[0].source, 'system');
+      assert.equal(cancelled.refunds[0].amount, 45);
+      assert.equal(cancelled.amountRefunded, 45);
+      assert.equal(cancelled.paymentResult.status, 'refunded');
+
+      const refundCalls = stripeServer.requests.filter((call) => call.path === '/v1/refunds');
+      assert.equal(refundCalls.length, 2);
+      assert.equal(refundCalls[0].params.amount, '4500');
+      assert.equal(refundCalls[0].params.payment_intent, values.paymentIntentId);
+      assert.equal(refundCalls[0].idempotencyKey, refundCalls[1].idempotencyKey);
+    });
+
+    it('flags a payment short of the order total and acknowledges the event', async () => {
+      const { order, values } = await placeOrder();
+
+      const res = await deliver(loadStripeEvent('payment_intent.succeeded', { ...values, amount: 100 }));
+
+      assert.equal(res.status, 200);
+      assert.equal((await WebhookEvent.findOne()).status, 'processed');
+
+      const flagged = await Order.findById(order._id);
+      assert.equal(flagged.isPaid, false);
+      assert.equal(flagged.orderStatus, 'Pending');
+      assert.equal(flagged.paymentResult.status, 'underpaid');
+      assert.equal(flagged.paymentMismatch.amountReceived, 1);
+      assert.equal(flagged.paymentMismatch.amountDue, 45);
+    });
+
+    it('forgets the event when handling fails so that Stripe retries it', async () => {
+      const { order, values } = await placeOrder({ orderStatus: 'Cancelled' });
+      stripeServer.failPath('/v1/refunds');
+
+      const res = await deliver(loadStripeEvent('payment_intent.succeeded', values));
+
+      assert.equal(res.status, 500);
+      assert.equal(await WebhookEvent.countDocuments(), 0);
+      assert.equal((await Order.findById(order._id)).refunds.length, 0);
+    });
+  });
+
+  describe('payment_intent.payment_failed', () => {
+    it('records the failure and leaves the order open for another attempt', async () => {
+      const { order, values } = await placeOrder();
+
+      await deliver(loadStripeEvent('payment_intent.payment_failed', values));
+
+      const failed = await Order.findById(order._id);
+      assert.equal(failed.isPaid, false);
+      assert.equal(failed.orderStatus, 'Pending');
+      assert.equal(failed.paymentResult.status, 'failed');
+    });
+  });
+
+  describe('charge.refunded', () => {
+    it('records a refund made on the Stripe dashboard', async () => {
+      const { order, values } = await placeOrder();
+      await deliver(loadStripeEvent('payment_intent.succeeded', values));
+
+      await deliver(loadStripeEvent('charge.refunded', { ...values, amountRefunded: 1500 }));
+
+      const refunded = await Order.findById(order._id);
+      assert.equal(refunded.amountRefunded, 15);
+      assert.equal(refunded.orderStatus, 'Processing');
+      assert.equal(refunded.paymentResult.status, 'partially_refunded');
+      assert.equal(refunded.refunds[0].source, 'stripe');
+      assert.equal(refunded.refunds[0].stripeRefundId, 're_3PfixtureRefund0001');
+      assert.match(refunded.refunds[0].creditNoteNumber, /^CN-\d{6}$/);
+    });
+  });
+
+  describe('charge.dispute.created', () => {
+    it('flags the order as disputed', async () => {
+      const { order, values } = await placeOrder();
+      await deliver(loadStripeEvent('payment_intent.succeeded', values));
+
+      await deliver(loadStripeEvent('charge.dispute.created', values));
+
+      const disputed = await Order.findById(order._id);
+      assert.equal(disputed.paymentResult.status, 'disputed');
+      assert.equal(disputed.dispute.reason, 'fraudulent');
+      assert.equal(disputed.dispute.amount, 45);
+    });
+  });
+});
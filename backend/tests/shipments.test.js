@@ -0,0 +1,181 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/orderModel.js';
+import Shipment from '../models/shipmentModel.js';
+import EmailMessage from '../models/emailMessageModel.js';
+import { getCarrier } from '../utils/carriers.js';
+import {
+  createShipment,
+  recordShipmentEvent,
+  syncShipmentTracking,
+  syncOpenShipments
+} from '../utils/shipments.js';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import { createUser, createOrder } from './helpers/factories.js';
+
+describe('shipments', () => {
+  // The fake carrier registered outside production (see utils/carriers.js)
+  const carrier = getCarrier('fake');
+
+  const placePaidOrder = async () => {
+    const user = await createUser();
+    return createOrder({ user: user._id, isPaid: true, paidAt: new Date(), orderStatus: 'Processing' });
+  };
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  const shippedEmails = () => EmailMessage.countDocuments({ template: 'order_shipped' });
+
+  before(async () => {
+    await connectTestDatabase();
+  });
+
+  after(async () => {
+    await disconnectTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearTestDatabase();
+  });
+
+  it('buys a label, ships the order and emails the customer once', async () => {
+    const order = await placePaidOrder();
+
+    const shipment = await createShipment(order, { carrier: 'fake' });
+
+    assert.match(shipment.trackingNumber, /^FK\d+$/);
+    assert.ok(shipment.labelUrl);
+    assert.equal(shipment.status, 'in_transit');
+    assert.equal(shipment.items[0].quantity, 2);
+    assert.equal((await Order.findById(order._id)).orderStatus, 'Shipped');
+    assert.equal(await shippedEmails(), 1);
+
+    await recordShipmentEvent(shipment._id, { status: 'out_for_delivery' });
+
+    assert.equal(await shippedEmails(), 1);
+  });
+
+  it('refuses to ship more than was ordered', async () => {
+    const order = await placePaidOrder();
+    await createShipment(order, { carrier: 'fake' });
+
+    await assert.rejects(
+      createShipment(await Order.findById(order._id), { carrier: 'fake' }),
+      { statusCode: 400, message: 'Every item on this order has already shipped' }
+    );
+    assert.equal(await Shipment.countDocuments(), 1);
+  });
+
+  it('follows carrier tracking until the order is delivered', async () => {
+    const order = await placePaidOrder();
+    const shipment = await createShipment(order, { carrier: 'fake' });
+    await Shipment.updateOne({ _id: shipment._id }, { $set: { lastSyncedAt: minutesAgo(120) } });
+
+    const deliveredAt = minutesAgo(5);
+    carrier.advance(shipment.trackingNumber, 'out_for_delivery', { occurredAt: minutesAgo(30) });
+    carrier.advance(shipment.trackingNumber, 'delivered', { occurredAt: deliveredAt, location: 'Front door' });
+
+    assert.equal(await syncOpenShipments(), 1);
+
+    const delivered = await Shipment.findById(shipment._id);
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.deliveredAt.getTime(), deliveredAt.getTime());
+    assert.equal(delivered.events.length, 3);
+
+    const current = await Order.findById(order._id);
+    assert.equal(current.orderStatus, 'Delivered');
+    assert.equal(current.isDelivered, true);
+
+    // Reading the same tracking again adds nothing
+    await syncShipmentTracking(delivered);
+    assert.equal((await Shipment.findById(shipment._id)).events.length, 3);
+  });
+
+  it('keeps the order shipped until every parcel is delivered', async () => {
+    const order = await placePaidOrder();
+    const itemId = order.orderItems[0]._id;
+
+    const first = await createShipment(order, { carrier: 'fake', items: [{ itemId, quantity: 1 }] });
+    const second = await createShipment(await Order.findById(order._id), {
+      carrier: 'fake',
+      items: [{ itemId, quantity: 1 }]
+    });
+    await Shipment.updateMany({}, { $set: { lastSyncedAt: minutesAgo(120) } });
+
+    carrier.advance(first.trackingNumber, 'delivered');
+    await syncOpenShipments();
+    assert.equal((await Order.findById(order._id)).orderStatus, 'Shipped');
+
+    await Shipment.updateMany({}, { $set: { lastSyncedAt: minutesAgo(120) } });
+    carrier.advance(second.trackingNumber, 'delivered');
+    await syncOpenShipments();
+    assert.equal((await Order.findById(order._id)).orderStatus, 'Delivered');
+    assert.equal(await shippedEmails(), 2);
+  });
+
+  it('emails the customer when the order update fails, and catches the order up later', async () => {
+    const order = await placePaidOrder();
+    // A carrier without tracking, so only the order catch-up can move the order
+    const shipment = await createShipment(order, {
+      carrier: 'ups',
+      trackingNumber: '1Z999AA10123456784',
+      status: 'label_created'
+    });
+    assert.equal(await shippedEmails(), 0);
+
+    // Payment reversed in the meantime, so the order cannot move to Shipped
+    await Order.updateOne({ _id: order._id }, { $set: { isPaid: false } });
+
+    await assert.rejects(
+      recordShipmentEvent(shipment._id, { status: 'in_transit' }),
+      { statusCode: 400 }
+    );
+    assert.equal(await shippedEmails(), 1);
+    assert.equal((await Order.findById(order._id)).orderStatus, 'Processing');
+
+    await Order.updateOne({ _id: order._id }, { $set: { isPaid: true } });
+    await syncOpenShipments();
+
+    assert.equal((await Order.findById(order._id)).orderStatus, 'Shipped');
+    assert.equal(await shippedEmails(), 1);
+  });
+
+  it('does not let a split order waiting on items hold up the order catch-up', async () => {
+    // Half shipped and delivered, the rest still in the warehouse
+    const split = await placePaidOrder();
+    const parcel = await createShipment(split, {
+      carrier: 'fake',
+      items: [{ itemId: split.orderItems[0]._id, quantity: 1 }]
+    });
+    await Shipment.updateOne({ _id: parcel._id }, { $set: { lastSyncedAt: minutesAgo(120) } });
+    carrier.advance(parcel.trackingNumber, 'delivered');
+    await syncOpenShipments();
+    await Order.updateOne(
+      { _id: split._id },
+      { $set: { updatedAt: minutesAgo(600) } },
+      { timestamps: false }
+    );
+
+    // An order left behind its parcel, as in the test above
+    const behind = await placePaidOrder();
+    const shipment = await createShipment(behind, {
+      carrier: 'ups',
+      trackingNumber: '1Z999AA10123456784',
+      status: 'label_created'
+    });
+    await Order.updateOne({ _id: behind._id }, { $set: { isPaid: false } });
+    await assert.rejects(recordShipmentEvent(shipment._id, { status: 'in_transit' }));
+    await Order.updateOne({ _id: behind._id }, { $set: { isPaid: true } });
+
+    process.env.SHIPMENT_SYNC_BATCH = '1';
+    try {
+      await syncOpenShipments();
+    } finally {
+      delete process.env.SHIPMENT_SYNC_BATCH;
+    }
+
+    assert.equal((await Order.findById(split._id)).orderStatus, 'Shipped');
+    assert.equal((await Order.findById(behind._id)).orderStatus, 'Shipped');
+  });
+});
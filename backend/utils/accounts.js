@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+import { getCartToken, mergeAnonymousCart } from './cart.js';
+import { createSession, revokeUserSessions } from './sessions.js';
+import { sendPasswordResetEmail, sendWelcomeEmail } from './sendEmail.js';
+import { isSupportedLocale, SUPPORTED_LOCALES } from './emailRenderer.js';
+import { startEmailVerification } from './emailVerification.js';
+import { isTwoFactorRequired, createLoginChallenge } from './twoFactor.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockLogin
+} from './loginProtection.js';
+
+// Account settings are read on every call so they pick up env changes after startup
+const getAccountConfig = () => ({
+  passwordResetMinutes: Number(process.env.PASSWORD_RESET_MINUTES ?? 10)
+});
+
+const RESET_REQUESTED_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+
+// Fields a user may change on their own profile
+const profileFields = ['firstName', 'lastName', 'email', 'phoneNumber', 'language'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
+
+const assertLanguage = (language) => {
+  if (language !== undefined && !isSupportedLocale(language)) {
+    throw new AppError(`Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`, 400);
+  }
+};
+
+const assertPassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    throw new AppError('Password is required', 400);
+  }
+};
+
+const findAccount = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+const assertEmailAvailable = async (email, userId) => {
+  if (await User.exists({ email, _id: { $ne: userId } })) {
+    throw new AppError('User already exists', 400);
+  }
+};
+
+// The one shape every account route answers with
+const toAccountResponse = (user) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  phoneNumber: user.phoneNumber,
+  language: user.language,
+  addresses: user.addresses,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+});
+
+// Log the user in on this device: carry over the anonymous cart and open a session
+const openAccountSession = async (user, req) => {
+  await mergeAnonymousCart(user._id, getCartToken(req));
+
+  return {
+    ...toAccountResponse(user),
+    twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor.enabled,
+    ...(await createSession(user, req))
+  };
+};
+
+// Create an account and mail the address verification link
+const registerAccount = async ({ firstName, lastName, email, password, phoneNumber, language }) => {
+  assertPassword(password);
+  assertLanguage(language);
+
+  const normalizedEmail = normalizeEmail(email);
+  await assertEmailAvailable(normalizedEmail);
+
+  const user = await User.create({
+    firstName,
+    lastName,
+    email: normalizedEmail,
+    password,
+    phoneNumber,
+    language
+  });
+
+  await sendWelcomeEmail(user);
+  await startEmailVerification(user);
+  return user;
+};
+
+// A bcrypt hash at the cost the user model uses, of a password no account has.
+// Checked when no account matches, so that an unknown email takes as long to
+// refuse as a wrong password and the timing does not tell them apart.
+const DUMMY_PASSWORD_HASH = '$2b$10$zZyE4hAY/du5FyhrFTIpWOiRFTl4Fs2o6CtcIqnq9CXwiilJbLv5u';
+
+// Check a password login. Returns { user } or, when two-factor is on,
+// { challengeToken } for the second step, which clears the failures itself.
+const authenticate = async (email, password, ip) => {
+  await assertLoginAllowed(email, ip);
+
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  const candidate = String(password || '');
+  const passwordMatches = user
+    ? await user.comparePassword(candidate)
+    : await bcrypt.compare(candidate, DUMMY_PASSWORD_HASH);
+
+  if (!user || !password || !passwordMatches) {
+    await recordLoginFailure(email, ip);
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('Account is disabled', 401);
+  }
+
+  if (user.twoFactor.enabled) {
+    return { challengeToken: createLoginChallenge(user) };
+  }
+
+  await recordLoginSuccess(email);
+  return { user };
+};
+
+// Apply profile changes (addresses have their own routes). A new email address
+// has to be verified again; a new password needs the current one and logs out
+// every other session.
+const updateProfile = async (userId, body, sessionId) => {
+  assertLanguage(body.language);
+
+  const user = await findAccount(userId);
+
+  for (const field of profileFields) {
+    if (body[field]) user[field] = body[field];
+  }
+
+  const emailChanged = user.isModified('email');
+  if (emailChanged) {
+    user.email = normalizeEmail(user.email);
+    await assertEmailAvailable(user.email, user._id);
+  }
+
+  const passwordChanged = Boolean(body.password);
+  if (passwordChanged) {
+    if (!body.currentPassword || !(await user.comparePassword(String(body.currentPassword)))) {
+      throw new AppError('Current password is incorrect', 400);
+    }
+    user.password = body.password;
+  }
+
+  await user.save();
+
+  if (passwordChanged) {
+    await revokeUserSessions(user._id, 'password_change', { except: sessionId });
+  }
+
+  if (emailChanged) {
+    await startEmailVerification(user);
+  }
+
+  return user;
+};
+
+const changePassword = async (userId, { currentPassword, newPassword }, sessionId) => {
+  assertPassword(newPassword);
+
+  const user = await findAccount(userId);
+
+  if (!currentPassword || !(await user.comparePassword(String(currentPassword)))) {
+    throw new AppError('Current password is incorrect', 400);
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Keep this device logged in, log out the rest
+  await revokeUserSessions(user._id, 'password_change', { except: sessionId });
+};
+
+// Mail a reset link. Resolves the same whether or not the address is registered,
+// or the email could be queued, so the answer never reveals an account.
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  if (!user) return RESET_REQUESTED_MESSAGE;
+
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  user.passwordResetToken = hashToken(resetToken);
+  user.passwordResetExpires = Date.now() + getAccountConfig().passwordResetMinutes * 60 * 1000;
+  await user.save();
+
+  try {
+    await sendPasswordResetEmail(user, resetToken, {
+      expiresMinutes: getAccountConfig().passwordResetMinutes
+    });
+  } catch (error) {
+    console.error(`Password reset email for user ${user._id} could not be queued:`, error.message);
+
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+  }
+
+  return RESET_REQUESTED_MESSAGE;
+};
+
+// Set a new password with a mailed token. Every session is revoked and any
+// login lockout lifted, since the mailbox owner has proven who they are.
+const resetPasswordWithToken = async (token, password) => {
+  assertPassword(password);
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new AppError('Password reset token is invalid or has expired', 400);
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  await revokeUserSessions(user._id, 'password_reset');
+  await unlockLogin(user.email);
+};
+
+export {
+  toAccountResponse,
+  openAccountSession,
+  registerAccount,
+  authenticate,
+  updateProfile,
+  changePassword,
+  requestPasswordReset,
+  resetPasswordWithToken
+};
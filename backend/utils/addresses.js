@@ -0,0 +1,240 @@
+import { AppError } from './errorHandler.js';
+
+const MAX_ADDRESSES = 20;
+
+// Fields a user may set on a saved address
+const addressFields = [
+  'label',
+  'recipientName',
+  'phoneNumber',
+  'line1',
+  'line2',
+  'city',
+  'state',
+  'postalCode',
+  'country',
+  'isDefaultShipping',
+  'isDefaultBilling'
+];
+
+// Fields an order keeps for an address typed at checkout
+const orderAddressFields = [
+  'recipientName',
+  'phoneNumber',
+  'street',
+  'city',
+  'state',
+  'postalCode',
+  'country'
+];
+
+// Postal code formats by ISO country code, checked after normalizePostalCode.
+// Countries not listed accept any short code; null means the country has no
+// postal codes, so none is required.
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+  GB: /^([A-Z]{1,2}\d[A-Z\d]?|GIR) \d[A-Z]{2}$/,
+  IE: /^([AC-FHKNPRTV-Y]\d{2}|D6W) [\dAC-FHKNPRTV-Y]{4}$/,
+  AU: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  ES: /^\d{5}$/,
+  NL: /^\d{4} [A-Z]{2}$/,
+  BE: /^\d{4}$/,
+  AT: /^\d{4}$/,
+  CH: /^\d{4}$/,
+  DK: /^\d{4}$/,
+  NO: /^\d{4}$/,
+  SE: /^\d{3} \d{2}$/,
+  FI: /^\d{5}$/,
+  PL: /^\d{2}-\d{3}$/,
+  PT: /^\d{4}-\d{3}$/,
+  IN: /^\d{6}$/,
+  JP: /^\d{3}-\d{4}$/,
+  CN: /^\d{6}$/,
+  KR: /^\d{5}$/,
+  SG: /^\d{6}$/,
+  BR: /^\d{5}-\d{3}$/,
+  MX: /^\d{5}$/,
+  HK: null,
+  AE: null
+};
+
+// Where a country writes its codes with a separator, accept them without one
+const POSTAL_CODE_FORMATTERS = {
+  CA: (code) => code.replace(/^(.{3})\s*(.{3})$/, '$1 $2'),
+  GB: (code) => code.replace(/^(.+?)\s*(\d[A-Z]{2})$/, '$1 $2'),
+  IE: (code) => code.replace(/^(.{3})\s*(.{4})$/, '$1 $2'),
+  NL: (code) => code.replace(/^(\d{4})\s*([A-Z]{2})$/, '$1 $2'),
+  SE: (code) => code.replace(/^(\d{3})\s*(\d{2})$/, '$1 $2'),
+  PL: (code) => code.replace(/^(\d{2})(\d{3})$/, '$1-$2'),
+  PT: (code) => code.replace(/^(\d{4})(\d{3})$/, '$1-$2'),
+  JP: (code) => code.replace(/^(\d{3})(\d{4})$/, '$1-$2'),
+  BR: (code) => code.replace(/^(\d{5})(\d{3})$/, '$1-$2')
+};
+
+const normalizePostalCode = (country, postalCode) => {
+  const code = String(postalCode || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const format = POSTAL_CODE_FORMATTERS[country];
+
+  return format ? format(code) : code;
+};
+
+// Clean up and check an address in place, before it is saved. Saved addresses
+// use line1; addresses typed at checkout use street, so they pass their own
+// required fields.
+const validateAddress = (address, { required = ['recipientName', 'line1', 'city'] } = {}) => {
+  const country = String(address.country || '').trim().toUpperCase();
+
+  if (!/^[A-Z]{2}$/.test(country)) {
+    throw new AppError('Country must be a two-letter ISO code, e.g. US', 400);
+  }
+
+  const missing = required.filter((field) => !address[field]);
+  if (missing.length) {
+    throw new AppError(`Address is missing: ${missing.join(', ')}`, 400);
+  }
+
+  address.country = country;
+
+  const pattern = POSTAL_CODE_PATTERNS[country];
+  if (pattern === null) {
+    address.postalCode = undefined;
+    return;
+  }
+
+  const postalCode = normalizePostalCode(country, address.postalCode);
+
+  if (!postalCode) {
+    throw new AppError('Postal code is required', 400);
+  }
+
+  if (pattern ? !pattern.test(postalCode) : postalCode.length > 12) {
+    throw new AppError(`Invalid postal code for ${country}`, 400);
+  }
+
+  address.postalCode = postalCode;
+};
+
+const pickAddressFields = (body) => Object.fromEntries(
+  addressFields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]])
+);
+
+const findAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+
+  if (!address) {
+    throw new AppError('Address not found', 404);
+  }
+
+  return address;
+};
+
+// Keep exactly one default of each kind while the book is not empty: the
+// address just flagged wins, and the first address fills any gap.
+const syncDefaults = (user, changed) => {
+  for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+    if (changed && changed[flag]) {
+      user.addresses.forEach((address) => {
+        if (!address._id.equals(changed._id)) address[flag] = false;
+      });
+    }
+
+    if (user.addresses.length && !user.addresses.some((address) => address[flag])) {
+      user.addresses[0][flag] = true;
+    }
+  }
+};
+
+const addAddress = (user, body) => {
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    throw new AppError(`An address book holds at most ${MAX_ADDRESSES} addresses`, 400);
+  }
+
+  const address = user.addresses.create(pickAddressFields(body));
+  validateAddress(address);
+
+  user.addresses.push(address);
+  syncDefaults(user, address);
+  return address;
+};
+
+const updateAddress = (user, addressId, body) => {
+  const address = findAddress(user, addressId);
+
+  address.set(pickAddressFields(body));
+  validateAddress(address);
+  syncDefaults(user, address);
+  return address;
+};
+
+const removeAddress = (user, addressId) => {
+  findAddress(user, addressId).deleteOne();
+  syncDefaults(user);
+};
+
+// Copy a saved address onto an order so later edits to the book do not change it
+const toOrderAddress = (address) => ({
+  recipientName: address.recipientName,
+  phoneNumber: address.phoneNumber,
+  street: [address.line1, address.line2].filter(Boolean).join(', '),
+  city: address.city,
+  state: address.state,
+  postalCode: address.postalCode,
+  country: address.country,
+  savedAddress: address._id
+});
+
+// Copy an address typed at checkout, checked the same way as a saved one
+const toTypedOrderAddress = (address) => {
+  const typed = Object.fromEntries(
+    orderAddressFields
+      .filter((field) => address[field] !== undefined)
+      .map((field) => [field, address[field]])
+  );
+
+  validateAddress(typed, { required: ['street', 'city'] });
+  return typed;
+};
+
+// The shipping and billing addresses for an order or quote. Saved addresses are
+// referenced by id and snapshotted; a typed shippingAddress is validated and
+// copied.
+// Billing falls back to the default billing address, then to shipping.
+const resolveOrderAddresses = (user, { shippingAddress, shippingAddressId, billingAddressId }) => {
+  const addresses = (user && user.addresses) || [];
+
+  if ((shippingAddressId || billingAddressId) && !user) {
+    throw new AppError('Log in to use saved addresses', 401);
+  }
+
+  let shipping = shippingAddress;
+  if (shippingAddressId) {
+    shipping = toOrderAddress(findAddress(user, shippingAddressId));
+  } else if (shippingAddress) {
+    shipping = toTypedOrderAddress(shippingAddress);
+  }
+
+  const defaultBilling = addresses.find((address) => address.isDefaultBilling);
+  const billing = billingAddressId
+    ? toOrderAddress(findAddress(user, billingAddressId))
+    : (defaultBilling ? toOrderAddress(defaultBilling) : shipping);
+
+  return { shippingAddress: shipping, billingAddress: billing };
+};
+
+export {
+  POSTAL_CODE_PATTERNS,
+  normalizePostalCode,
+  validateAddress,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  toOrderAddress,
+  resolveOrderAddresses
+};
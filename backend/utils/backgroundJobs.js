@@ -0,0 +1,27 @@
+import { startEmailWorker } from './emailOutbox.js';
+import { startReservationSweeper } from './inventory.js';
+import { startProductAlertDispatcher } from './productAlerts.js';
+import { startShipmentTracker } from './shipments.js';
+
+// Start every periodic job the API relies on. Call once after the DB connects,
+// in the process that serves the API:
+//
+//   await connectDB();
+//   startBackgroundJobs();
+//
+// Each job claims its work with conditional updates, so running several API
+// processes at once is safe. Returns the timers, e.g. for clearInterval in tests.
+const startBackgroundJobs = () => [
+  // Deliver queued email, retrying failed sends with backoff
+  startEmailWorker(),
+  // Cancel unpaid orders whose stock reservation ran out
+  startReservationSweeper(),
+  // Mail back-in-stock and price-drop alerts
+  startProductAlertDispatcher(),
+  // Read carrier tracking for shipments on their way
+  startShipmentTracker()
+];
+
+export {
+  startBackgroundJobs
+};
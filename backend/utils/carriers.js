@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { AppError } from './errorHandler.js';
+
+// Carrier adapters describe how to reach a shipping carrier. Every adapter offers:
+//   code, name
+//   trackingUrl(trackingNumber)      -> public tracking page, or null
+//   createLabel({ from, to, items }) -> { trackingNumber, labelUrl }
+//   getTracking(trackingNumber)      -> { events: [{ status, description, location, occurredAt }] }
+//                                       or null when the carrier has no tracking API
+// createLabel and getTracking may be left out. Event statuses are the shipment
+// statuses in models/shipmentModel.js.
+
+// A carrier we hand parcels to without an API integration; staff enter the
+// tracking number and any events themselves
+const createManualCarrier = ({ code, name, trackingUrlTemplate }) => ({
+  code,
+  name,
+
+  trackingUrl(trackingNumber) {
+    return trackingUrlTemplate
+      ? trackingUrlTemplate.replace('{trackingNumber}', encodeURIComponent(trackingNumber))
+      : null;
+  }
+});
+
+// In-process carrier for development and tests. Labels get made-up tracking
+// numbers; advance() plays the carrier's side by adding tracking events.
+const createFakeCarrier = ({ code = 'fake', name = 'Fake Carrier' } = {}) => {
+  const parcels = new Map();
+
+  return {
+    code,
+    name,
+
+    trackingUrl(trackingNumber) {
+      return `${process.env.FRONTEND_URL || ''}/tracking/${code}/${trackingNumber}`;
+    },
+
+    async createLabel() {
+      const trackingNumber = `FK${crypto.randomInt(1e9, 1e10)}`;
+      parcels.set(trackingNumber, []);
+
+      return {
+        trackingNumber,
+        labelUrl: `${process.env.FRONTEND_URL || ''}/labels/${code}/${trackingNumber}.pdf`
+      };
+    },
+
+    async getTracking(trackingNumber) {
+      const events = parcels.get(trackingNumber);
+      return events ? { events: events.map((event) => ({ ...event })) } : null;
+    },
+
+    advance(trackingNumber, status, { description, location, occurredAt = new Date() } = {}) {
+      if (!parcels.has(trackingNumber)) parcels.set(trackingNumber, []);
+      parcels.get(trackingNumber).push({ status, description, location, occurredAt });
+    }
+  };
+};
+
+const carriers = new Map();
+
+const registerCarrier = (carrier) => {
+  carriers.set(carrier.code, carrier);
+  return carrier;
+};
+
+[
+  { code: 'ups', name: 'UPS', trackingUrlTemplate: 'https://www.ups.com/track?tracknum={trackingNumber}' },
+  { code: 'usps', name: 'USPS', trackingUrlTemplate: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}' },
+  { code: 'fedex', name: 'FedEx', trackingUrlTemplate: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}' },
+  { code: 'dhl', name: 'DHL', trackingUrlTemplate: 'https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}' },
+  { code: 'other', name: 'Other carrier' }
+].forEach((carrier) => registerCarrier(createManualCarrier(carrier)));
+
+// The fake carrier is only offered outside production
+if (process.env.NODE_ENV !== 'production') {
+  registerCarrier(createFakeCarrier());
+}
+
+const getCarrier = (code) => {
+  const carrier = carriers.get(String(code || '').toLowerCase());
+
+  if (!carrier) {
+    throw new AppError(`Unknown carrier: ${code}`, 400);
+  }
+
+  return carrier;
+};
+
+const listCarriers = () => [...carriers.values()].map((carrier) => ({
+  code: carrier.code,
+  name: carrier.name,
+  createsLabels: typeof carrier.createLabel === 'function',
+  tracksParcels: typeof carrier.getTracking === 'function'
+}));
+
+export {
+  createManualCarrier,
+  createFakeCarrier,
+  registerCarrier,
+  getCarrier,
+  listCarriers
+};
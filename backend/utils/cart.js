@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import Cart from '../models/cartModel.js';
+import Product from '../models/productModel.js';
+import { AppError } from './errorHandler.js';
+import { roundMoney } from './pricing.js';
+import { getItemKey, resolveVariant, describeItem } from './variants.js';
+import { getInactiveCategoryIds } from './categories.js';
+
+// Anonymous visitors identify their cart with this header
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+const getAnonymousCartExpiry = () => new Date(
+  Date.now() + Number(process.env.ANONYMOUS_CART_DAYS ?? 30) * 24 * 60 * 60 * 1000
+);
+
+const hashCartToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
+
+const getCartToken = (req) => req.headers[CART_TOKEN_HEADER];
+
+// The logged-in user's cart, or the anonymous cart matching the request's token
+const findCart = async (req) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user._id });
+  }
+
+  const token = getCartToken(req);
+  return token ? Cart.findOne({ tokenHash: hashCartToken(token) }) : null;
+};
+
+// Like findCart, but creates the cart when there is none. A new anonymous cart
+// comes back with its raw token, which the client must send on later requests.
+const findOrCreateCart = async (req) => {
+  if (req.user) {
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user._id },
+      { $setOnInsert: { user: req.user._id, items: [] } },
+      { upsert: true, new: true }
+    );
+    return { cart };
+  }
+
+  const cart = await findCart(req);
+  if (cart) {
+    return { cart };
+  }
+
+  const cartToken = crypto.randomBytes(32).toString('hex');
+  return {
+    cart: new Cart({
+      tokenHash: hashCartToken(cartToken),
+      items: [],
+      expiresAt: getAnonymousCartExpiry()
+    }),
+    cartToken
+  };
+};
+
+// Save a cart, pushing back the expiry of anonymous carts that are in use
+const saveCart = (cart) => {
+  if (!cart.user) {
+    cart.expiresAt = getAnonymousCartExpiry();
+  }
+  return cart.save();
+};
+
+const findCartItem = (cart, productId, variantId) => cart.items.find(
+  (item) => getItemKey(item.product, item.variant) === getItemKey(productId, variantId)
+);
+
+const findPurchasableProduct = async (productId) => {
+  const product = await Product.findOne({
+    _id: productId,
+    isActive: true,
+    category: { $nin: await getInactiveCategoryIds() }
+  });
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  return product;
+};
+
+const parseQuantity = (quantity, { allowZero = false } = {}) => {
+  const value = Number(quantity);
+
+  if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+    throw new AppError('Invalid quantity', 400);
+  }
+
+  return value;
+};
+
+const assertInStock = (item, quantity) => {
+  if (quantity > item.countInStock) {
+    throw new AppError(`Only ${item.countInStock} of ${item.name} in stock`, 400);
+  }
+};
+
+// Add a quantity of a product (or one of its variants), merging with an existing line
+const addCartItem = async (cart, productId, quantity, variantId) => {
+  const amount = parseQuantity(quantity);
+  const product = await findPurchasableProduct(productId);
+  const variant = resolveVariant(product, variantId);
+  const item = describeItem(product, variant);
+  const existing = findCartItem(cart, product._id, item.variant);
+  const newQuantity = (existing ? existing.quantity : 0) + amount;
+
+  assertInStock(item, newQuantity);
+
+  if (existing) {
+    existing.quantity = newQuantity;
+    existing.price = item.price;
+  } else {
+    cart.items.push({
+      product: product._id,
+      variant: item.variant,
+      quantity: newQuantity,
+      price: item.price
+    });
+  }
+
+  return cart;
+};
+
+// Set the quantity of a line; zero removes it
+const setCartItemQuantity = async (cart, productId, quantity, variantId) => {
+  const newQuantity = parseQuantity(quantity, { allowZero: true });
+  const existing = findCartItem(cart, productId, variantId);
+
+  if (!existing) {
+    throw new AppError('Item not in cart', 404);
+  }
+
+  if (newQuantity === 0) {
+    existing.deleteOne();
+    return cart;
+  }
+
+  const product = await findPurchasableProduct(productId);
+  const item = describeItem(product, resolveVariant(product, existing.variant));
+  assertInStock(item, newQuantity);
+
+  existing.quantity = newQuantity;
+  existing.price = item.price;
+
+  return cart;
+};
+
+const removeCartItem = (cart, productId, variantId) => {
+  const existing = findCartItem(cart, productId, variantId);
+
+  if (!existing) {
+    throw new AppError('Item not in cart', 404);
+  }
+
+  existing.deleteOne();
+  return cart;
+};
+
+// Check every line against the current product data. Lines are never changed
+// here; the response flags what the customer needs to fix before checkout.
+const revalidateCart = async (cart) => {
+  const products = await Product.find({
+    _id: { $in: cart.items.map((item) => item.product) }
+  });
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = cart.items.map((item) => {
+    const product = productsById.get(item.product.toString());
+    const unavailable = {
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      isAvailable: false
+    };
+
+    if (!product || !product.isActive) {
+      return unavailable;
+    }
+
+    let current;
+    try {
+      current = describeItem(product, resolveVariant(product, item.variant));
+    } catch (error) {
+      // The variant was removed or disabled, or the product's variants changed
+      return unavailable;
+    }
+
+    return {
+      _id: item._id,
+      product: product._id,
+      ...current,
+      quantity: item.quantity,
+      isAvailable: current.countInStock >= item.quantity,
+      priceChanged: current.price !== item.price,
+      previousPrice: current.price !== item.price ? item.price : undefined
+    };
+  });
+
+  const itemsPrice = roundMoney(
+    items
+      .filter((item) => item.isAvailable)
+      .reduce((acc, item) => acc + item.price * item.quantity, 0)
+  );
+
+  return {
+    _id: cart._id,
+    items,
+    itemsPrice,
+    totalQuantity: items.reduce((acc, item) => acc + item.quantity, 0),
+    canCheckout: items.length > 0 && items.every((item) => item.isAvailable)
+  };
+};
+
+// Fold the anonymous cart for a token into the user's cart and delete it
+const mergeAnonymousCart = async (userId, cartToken) => {
+  if (!cartToken) return null;
+
+  const anonymousCart = await Cart.findOne({ tokenHash: hashCartToken(cartToken) });
+  if (!anonymousCart) return null;
+
+  const userCart = await Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+
+  for (const item of anonymousCart.items) {
+    const existing = findCartItem(userCart, item.product, item.variant);
+
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      userCart.items.push({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        price: item.price
+      });
+    }
+  }
+
+  await userCart.save();
+  await anonymousCart.deleteOne();
+
+  return userCart;
+};
+
+export {
+  getCartToken,
+  findCart,
+  findOrCreateCart,
+  saveCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  revalidateCart,
+  mergeAnonymousCart
+};
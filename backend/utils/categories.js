@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import Category from '../models/categoryModel.js';
+import { AppError } from './errorHandler.js';
+
+const slugify = (text) => String(text)
+  .toLowerCase()
+  .trim()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const sortCategories = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Nest a flat list of categories under their parents
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [
+    category._id.toString(),
+    {
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      description: category.description,
+      sortOrder: category.sortOrder,
+      attributes: category.attributes,
+      children: []
+    }
+  ]));
+
+  const roots = [];
+
+  for (const category of categories) {
+    const node = nodes.get(category._id.toString());
+    const parent = category.parent && nodes.get(category.parent.toString());
+
+    // Children of an inactive or missing parent are left out with it
+    if (parent) {
+      parent.children.push(node);
+    } else if (!category.parent) {
+      roots.push(node);
+    }
+  }
+
+  const sortNodes = (list) => {
+    list.sort(sortCategories);
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(roots);
+};
+
+// A category by id or slug
+const findCategory = async (idOrSlug) => {
+  if (!idOrSlug) {
+    throw new AppError('Category is required', 400);
+  }
+
+  const value = String(idOrSlug);
+  const category = mongoose.isValidObjectId(value)
+    ? await Category.findById(value)
+    : await Category.findOne({ slug: value.toLowerCase() });
+
+  if (!category) {
+    throw new AppError(`Category not found: ${value}`, 404);
+  }
+
+  return category;
+};
+
+// Ids of inactive categories and of every category below one. Products in
+// them are hidden from the storefront and cannot be ordered.
+const getInactiveCategoryIds = async () => {
+  const inactive = await Category.find({ isActive: false }).distinct('_id');
+  if (inactive.length === 0) return [];
+
+  return Category.find({
+    $or: [{ _id: { $in: inactive } }, { ancestors: { $in: inactive } }]
+  }).distinct('_id');
+};
+
+// Ids of the given categories (ids or slugs) and everything below them, leaving
+// out inactive ones. Callers that already have getInactiveCategoryIds() pass it.
+const getCategoryIdsWithDescendants = async (idsOrSlugs, inactiveIds) => {
+  const ids = idsOrSlugs.filter((value) => mongoose.isValidObjectId(value));
+  const slugs = idsOrSlugs.map((value) => String(value).toLowerCase());
+
+  const roots = await Category.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }]
+  }).select('_id');
+  const rootIds = roots.map((category) => category._id);
+
+  return Category.find({
+    $or: [{ _id: { $in: rootIds } }, { ancestors: { $in: rootIds } }],
+    _id: { $nin: inactiveIds || await getInactiveCategoryIds() }
+  }).distinct('_id');
+};
+
+// A product's category followed by its ancestors, most specific first. Works on
+// a category populated with ancestors or on a bare id.
+const getCategoryLineage = (category) => {
+  if (!category) return [];
+  if (!category.ancestors) return [category.toString()];
+
+  return [category._id, ...[...category.ancestors].reverse()]
+    .map((id) => id.toString());
+};
+
+// The category's specification template merged with its ancestors'
+const getCategoryAttributes = async (category) => {
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } });
+  const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+
+  const attributes = new Map();
+
+  for (const node of [...category.ancestors.map((id) => byId.get(id.toString())), category]) {
+    for (const attribute of (node && node.attributes) || []) {
+      attributes.set(attribute.key.toLowerCase(), attribute);
+    }
+  }
+
+  return [...attributes.values()];
+};
+
+// The return window of the category or its nearest ancestor that sets one, or
+// null when none does
+const getCategoryReturnWindow = async (categoryId) => {
+  const category = await Category.findById(categoryId).select('ancestors returnWindowDays');
+  if (!category) return null;
+  if (category.returnWindowDays !== null && category.returnWindowDays !== undefined) {
+    return category.returnWindowDays;
+  }
+
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } })
+    .select('returnWindowDays');
+  const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+
+  for (const id of [...category.ancestors].reverse()) {
+    const ancestor = byId.get(id.toString());
+    if (ancestor && ancestor.returnWindowDays !== null && ancestor.returnWindowDays !== undefined) {
+      return ancestor.returnWindowDays;
+    }
+  }
+
+  return null;
+};
+
+// Reject specifications that leave out a key the category requires
+const assertSpecifications = async (category, specifications) => {
+  const attributes = await getCategoryAttributes(category);
+  const keys = specifications instanceof Map
+    ? [...specifications.keys()]
+    : Object.keys(specifications || {});
+  const provided = new Set(keys.map((key) => key.toLowerCase()));
+
+  const missing = attributes
+    .filter((attribute) => attribute.required && !provided.has(attribute.key.toLowerCase()))
+    .map((attribute) => attribute.key);
+
+  if (missing.length > 0) {
+    throw new AppError(
+      `Specifications for ${category.name} must include: ${missing.join(', ')}`,
+      400
+    );
+  }
+};
+
+// Place a category under a new parent (null for the root), rewriting the ancestors
+// of the whole subtree. Moving a category below itself is rejected.
+const setCategoryParent = async (category, parentId, session) => {
+  let ancestors = [];
+
+  if (parentId) {
+    const parent = await Category.findById(parentId).session(session);
+
+    if (!parent) {
+      throw new AppError('Parent category not found', 404);
+    }
+
+    if (category._id && (parent._id.equals(category._id)
+      || parent.ancestors.some((id) => id.equals(category._id)))) {
+      throw new AppError('A category cannot be moved below itself', 400);
+    }
+
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  category.parent = parentId || null;
+  category.ancestors = ancestors;
+
+  if (category.isNew) return;
+
+  const descendants = await Category.find({ ancestors: category._id }).session(session);
+
+  if (descendants.length === 0) return;
+
+  await Category.bulkWrite(descendants.map((descendant) => {
+    const below = descendant.ancestors.slice(
+      descendant.ancestors.findIndex((id) => id.equals(category._id))
+    );
+
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...ancestors, ...below] } }
+      }
+    };
+  }), { session });
+};
+
+export {
+  slugify,
+  buildTree,
+  findCategory,
+  getInactiveCategoryIds,
+  getCategoryIdsWithDescendants,
+  getCategoryLineage,
+  getCategoryAttributes,
+  getCategoryReturnWindow,
+  assertSpecifications,
+  setCategoryParent
+};
@@ -0,0 +1,150 @@
+import TaxRule from '../models/taxRuleModel.js';
+import ShippingMethod from '../models/shippingMethodModel.js';
+import { AppError } from './errorHandler.js';
+import { roundMoney } from './pricing.js';
+import { getCategoryLineage } from './categories.js';
+
+const normalizeRegion = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+// Used while no shipping methods are configured, so existing stores keep working
+const getDefaultShippingMethod = () => ({
+  code: 'standard',
+  name: 'Standard shipping',
+  type: 'flat',
+  rate: Number(process.env.SHIPPING_PRICE ?? 10),
+  freeOver: Number(process.env.FREE_SHIPPING_THRESHOLD ?? 100),
+  zones: [],
+  tiers: []
+});
+
+// Used for destinations without a tax rule
+const getDefaultTaxRule = () => ({
+  rate: Number(process.env.TAX_RATE ?? 0.15),
+  categoryRates: [],
+  shippingTaxable: false
+});
+
+const assertAddress = (address) => {
+  if (!address || !address.country) {
+    throw new AppError('Shipping address with a country is required', 400);
+  }
+};
+
+const servesAddress = (method, address) => {
+  if (!method.zones || method.zones.length === 0) return true;
+
+  const country = normalizeRegion(address.country);
+  const state = normalizeRegion(address.state);
+
+  return method.zones.some((zone) => zone.country === country
+    && (!zone.states || zone.states.length === 0 || zone.states.includes(state)));
+};
+
+const findTier = (tiers, amount) => tiers.find(
+  (tier) => amount >= (tier.min || 0) && (tier.max == null || amount < tier.max)
+);
+
+// Price of a method for an order, or null when the order falls outside its tiers
+const priceShippingMethod = (method, { itemsPrice, weight }) => {
+  if (method.freeOver != null && itemsPrice >= method.freeOver) {
+    return 0;
+  }
+
+  if (method.type === 'flat') {
+    return roundMoney(method.rate);
+  }
+
+  const tier = findTier(method.tiers, method.type === 'weight' ? weight : itemsPrice);
+  return tier ? roundMoney(tier.price) : null;
+};
+
+// Every shipping method available for the address, cheapest first
+const getShippingOptions = async (address, { itemsPrice, weight }) => {
+  assertAddress(address);
+
+  const configured = await ShippingMethod.find({ isActive: true }).sort({ sortOrder: 1 });
+  const methods = configured.length > 0 ? configured : [getDefaultShippingMethod()];
+
+  return methods
+    .filter((method) => servesAddress(method, address))
+    .map((method) => ({
+      code: method.code,
+      name: method.name,
+      description: method.description,
+      price: priceShippingMethod(method, { itemsPrice, weight }),
+      estimatedDays: method.estimatedDays
+    }))
+    .filter((option) => option.price !== null)
+    .sort((a, b) => a.price - b.price);
+};
+
+// The option matching the requested code, or the cheapest when none was requested
+const selectShippingOption = (options, code) => {
+  if (options.length === 0) {
+    throw new AppError('No shipping methods are available for this address', 400);
+  }
+
+  if (!code) return options[0];
+
+  const option = options.find((o) => o.code === String(code).toLowerCase());
+
+  if (!option) {
+    throw new AppError(`Shipping method ${code} is not available for this address`, 400);
+  }
+
+  return option;
+};
+
+// The most specific active rule for the address: state first, then country-wide
+const findTaxRule = async (address) => {
+  const country = normalizeRegion(address.country);
+  const state = normalizeRegion(address.state);
+
+  const rules = await TaxRule.find({
+    country,
+    isActive: true,
+    $or: [{ state }, { state: null }, { state: '' }]
+  });
+
+  return rules.find((rule) => rule.state && rule.state === state)
+    || rules.find((rule) => !rule.state)
+    || getDefaultTaxRule();
+};
+
+// Rate for the closest category with an override, walking up from the product's own
+const getCategoryRate = (rule, category) => {
+  const overrides = rule.categoryRates || [];
+
+  for (const id of getCategoryLineage(category)) {
+    const override = overrides.find((entry) => entry.category.toString() === id);
+    if (override) return override.rate;
+  }
+
+  return rule.rate;
+};
+
+// Tax on each line's discounted amount at its category rate, plus shipping where
+// the destination taxes it
+//   lines        - [{ product, price, quantity, discount }]
+//   productsById - Map of the lines' Product documents, categories populated with ancestors
+const calculateTax = async (address, { lines, productsById, shippingAmount }) => {
+  assertAddress(address);
+
+  const rule = await findTaxRule(address);
+
+  const itemsTax = lines.reduce((acc, line) => {
+    const product = productsById.get(line.product.toString());
+    const taxable = line.price * line.quantity - (line.discount || 0);
+    return acc + taxable * getCategoryRate(rule, product.category);
+  }, 0);
+
+  const shippingTax = rule.shippingTaxable ? shippingAmount * rule.rate : 0;
+
+  return roundMoney(itemsTax + shippingTax);
+};
+
+export {
+  getShippingOptions,
+  selectShippingOption,
+  calculateTax
+};
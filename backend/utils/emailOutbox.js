@@ -0,0 +1,190 @@
+import EmailMessage from '../models/emailMessageModel.js';
+import { AppError } from './errorHandler.js';
+import { getEmailTransport } from './emailTransports.js';
+
+// Outbox settings are read on every call so they pick up env changes after startup
+const getOutboxConfig = () => ({
+  maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS ?? 8),
+  // First retry after this long, doubling each attempt up to maxRetryMinutes
+  retryBaseSeconds: Number(process.env.EMAIL_RETRY_BASE_SECONDS ?? 30),
+  maxRetryMinutes: Number(process.env.EMAIL_MAX_RETRY_MINUTES ?? 6 * 60),
+  batchSize: Number(process.env.EMAIL_BATCH_SIZE ?? 50),
+  // How long a worker may hold a message before another may take it over
+  lockSeconds: Number(process.env.EMAIL_LOCK_SECONDS ?? 120)
+});
+
+const getRetryDelayMs = (attempts) => {
+  const { retryBaseSeconds, maxRetryMinutes } = getOutboxConfig();
+  return Math.min(retryBaseSeconds * 1000 * 2 ** (attempts - 1), maxRetryMinutes * 60 * 1000);
+};
+
+// Queue a message for delivery. Returns the stored message; with a dedupeKey
+// that was already used, the existing message is returned instead.
+//   template - what kind of email this is, for the admin list
+//   user     - the account it concerns, if any
+const enqueueEmail = async ({
+  template,
+  to,
+  subject,
+  html,
+  text,
+  headers,
+  attachments,
+  user,
+  dedupeKey
+}) => {
+  const message = {
+    template,
+    from: process.env.EMAIL_FROM,
+    to,
+    subject,
+    html,
+    text,
+    headers,
+    attachments,
+    user,
+    dedupeKey,
+    maxAttempts: getOutboxConfig().maxAttempts
+  };
+
+  try {
+    return await EmailMessage.create(message);
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) {
+      return EmailMessage.findOne({ dedupeKey });
+    }
+    throw error;
+  }
+};
+
+// Take the next due message, including ones a crashed worker left locked
+const claimNextMessage = () => {
+  const now = new Date();
+
+  return EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + getOutboxConfig().lockSeconds * 1000)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliverMessage = async (message, transport) => {
+  try {
+    const { messageId } = await transport.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers ? Object.fromEntries(message.headers) : undefined,
+      attachments: message.attachments.map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        content: Buffer.from(content)
+      }))
+    });
+
+    await EmailMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: { status: 'sent', sentAt: new Date(), transportMessageId: messageId },
+        $unset: { lockedUntil: '', lastError: '' }
+      }
+    );
+    return true;
+  } catch (error) {
+    const dead = message.attempts >= message.maxAttempts;
+
+    await EmailMessage.updateOne(
+      { _id: message._id, status: 'sending' },
+      {
+        $set: {
+          status: dead ? 'dead' : 'pending',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getRetryDelayMs(message.attempts))
+        },
+        $unset: { lockedUntil: '' }
+      }
+    );
+
+    if (dead) {
+      console.error(`Email ${message._id} (${message.template}) to ${message.to} failed for good:`, error.message);
+    }
+    return false;
+  }
+};
+
+// Send up to one batch of due messages; returns how many were sent
+const processOutbox = async ({ transport = getEmailTransport() } = {}) => {
+  const { batchSize } = getOutboxConfig();
+  let sentCount = 0;
+
+  for (let i = 0; i < batchSize; i += 1) {
+    const message = await claimNextMessage();
+    if (!message) break;
+
+    if (await deliverMessage(message, transport)) {
+      sentCount += 1;
+    }
+  }
+
+  return sentCount;
+};
+
+// Queue a dead (or sent) message again with a fresh set of attempts
+const resendEmail = async (messageId) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['dead', 'sent'] } },
+    {
+      $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { lockedUntil: '', sentAt: '', transportMessageId: '' }
+    },
+    { new: true }
+  );
+
+  if (!message) {
+    throw new AppError('Only sent or failed emails can be resent', 400);
+  }
+
+  return message;
+};
+
+// Periodically deliver queued email; started by startBackgroundJobs (utils/backgroundJobs.js)
+const startEmailWorker = (intervalMs = 10 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(() => {
+    // A slow batch must not overlap the next tick
+    if (running) return;
+    running = true;
+
+    processOutbox()
+      .catch((error) => {
+        console.error('Email outbox run failed:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+export {
+  enqueueEmail,
+  processOutbox,
+  resendEmail,
+  startEmailWorker
+};
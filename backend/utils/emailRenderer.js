@@ -0,0 +1,90 @@
+import templates from '../emails/templates.js';
+import en from '../emails/locales/en.js';
+import es from '../emails/locales/es.js';
+import { layout } from '../emails/layout.js';
+import { htmlToText } from '../emails/html.js';
+import { AppError } from './errorHandler.js';
+
+// Copy per locale; English is the fallback for missing keys and languages
+const LOCALES = { en, es };
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Store settings are read on every call so they pick up env changes after startup
+const getStoreConfig = () => ({
+  name: process.env.STORE_NAME || 'Our store',
+  url: process.env.FRONTEND_URL || '',
+  currency: (process.env.CURRENCY || 'usd').toUpperCase(),
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'en'
+});
+
+// The supported locale closest to a language tag such as 'es-MX'
+const resolveLocale = (language) => {
+  const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+  if (LOCALES[base]) return base;
+
+  const fallback = getStoreConfig().defaultLocale;
+  return LOCALES[fallback] ? fallback : 'en';
+};
+
+const isSupportedLocale = (language) => SUPPORTED_LOCALES.includes(String(language).toLowerCase());
+
+// t(key, vars) looks up copy and fills {placeholders}; unknown keys come back as-is
+const createTranslator = (locale) => (key, vars = {}) => {
+  const message = LOCALES[locale][key] ?? en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+};
+
+const createContext = (locale) => {
+  const store = getStoreConfig();
+  const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency: store.currency });
+
+  return {
+    locale,
+    store,
+    t: createTranslator(locale),
+    money: (amount) => currencyFormat.format(Number(amount) || 0)
+  };
+};
+
+const findTemplate = (name) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new AppError(`Unknown email template: ${name}`, 404);
+  }
+
+  return template;
+};
+
+// Render a template to { subject, html, text, headers, locale }. The locale
+// comes from options.locale, else data.user.language, else the store default.
+const renderEmail = (name, data, { locale } = {}) => {
+  const template = findTemplate(name);
+  const context = createContext(resolveLocale(locale || (data.user && data.user.language)));
+  const { subject, preheader, body, footer, headers } = template.render(data, context);
+
+  return {
+    subject,
+    html: layout(context, { preheader, body, footer }).toString(),
+    // The preheader only matters to inbox previews of the HTML part
+    text: htmlToText(layout(context, { body, footer })),
+    headers,
+    locale: context.locale
+  };
+};
+
+const listEmailTemplates = () => Object.keys(templates);
+
+// Render a template against its sample data, for the admin preview
+const previewEmail = (name, { locale } = {}) => renderEmail(name, findTemplate(name).sample(), {
+  locale: locale || 'en'
+});
+
+export {
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  isSupportedLocale,
+  renderEmail,
+  listEmailTemplates,
+  previewEmail
+};
@@ -0,0 +1,110 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+// Email transports deliver one message each. Every transport offers:
+//   send({ from, to, subject, html, text, headers, attachments }) -> { messageId }
+// where attachments are [{ filename, contentType, content: Buffer }].
+// and throws when the message was not accepted, so the outbox retries it.
+// EMAIL_TRANSPORT picks the default: 'smtp', 'file' (JSON lines, for local
+// development) or 'memory' (for tests).
+
+// One pooled SMTP connection set, reused for every message
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    pool: true,
+    maxConnections: Number(process.env.SMTP_MAX_CONNECTIONS ?? 5),
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    secure: process.env.SMTP_SECURE === 'true'
+  });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+
+    close() {
+      transporter.close();
+    }
+  };
+};
+
+// Append each message as a line of JSON to a file. Attachments are logged by
+// name and size only.
+const createFileTransport = ({
+  filePath = process.env.EMAIL_FILE_PATH || 'tmp/emails.jsonl'
+} = {}) => ({
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@file>`;
+    const attachments = (message.attachments || []).map(({ filename, contentType, content }) => ({
+      filename,
+      contentType,
+      size: content.length
+    }));
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      `${JSON.stringify({ ...message, attachments, messageId, sentAt: new Date() })}\n`
+    );
+
+    return { messageId };
+  }
+});
+
+// Keep messages in memory; tests read transport.sent and call transport.clear()
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    sent,
+
+    async send(message) {
+      const messageId = `<${crypto.randomUUID()}@memory>`;
+      sent.push({ ...message, messageId });
+      return { messageId };
+    },
+
+    clear() {
+      sent.length = 0;
+    }
+  };
+};
+
+let defaultTransport;
+
+// The transport named by EMAIL_TRANSPORT, created on first use
+const getEmailTransport = () => {
+  if (!defaultTransport) {
+    const kind = process.env.EMAIL_TRANSPORT || 'smtp';
+
+    if (kind === 'file') {
+      defaultTransport = createFileTransport();
+    } else if (kind === 'memory') {
+      defaultTransport = createMemoryTransport();
+    } else {
+      defaultTransport = createSmtpTransport();
+    }
+  }
+  return defaultTransport;
+};
+
+// Replace the default transport, e.g. with a memory transport in tests
+const setEmailTransport = (transport) => {
+  defaultTransport = transport;
+};
+
+export {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  getEmailTransport,
+  setEmailTransport
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+import { sendVerificationEmail } from './sendEmail.js';
+
+// Verification settings are read on every call so they pick up env changes after startup.
+// Run migrations/verifyExistingUsers.js before requiring verification for orders.
+const getVerificationConfig = () => ({
+  tokenHours: Number(process.env.EMAIL_VERIFICATION_HOURS ?? 24),
+  resendSeconds: Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS ?? 120),
+  requiredForOrders: process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS === 'true'
+});
+
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
+
+// Mark the user's current address unverified and mail a fresh link. The user is
+// saved here, so callers changing other fields should save first.
+const startEmailVerification = async (user) => {
+  const { tokenHours } = getVerificationConfig();
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  user.emailVerified = false;
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpire = Date.now() + tokenHours * 60 * 60 * 1000;
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await sendVerificationEmail(user, verificationToken, { expiresHours: tokenHours });
+};
+
+// Send the link again, at most once per resend interval
+const resendEmailVerification = async (user) => {
+  if (user.emailVerified) {
+    throw new AppError('Email address is already verified', 400);
+  }
+
+  const { resendSeconds } = getVerificationConfig();
+  const nextAllowedAt = user.emailVerificationSentAt
+    && user.emailVerificationSentAt.getTime() + resendSeconds * 1000;
+
+  if (nextAllowedAt && nextAllowedAt > Date.now()) {
+    const wait = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+    throw new AppError(`Please wait ${wait} seconds before requesting another email`, 429);
+  }
+
+  await startEmailVerification(user);
+};
+
+// Mark the address verified for the user holding a valid token
+const verifyEmailToken = async (token) => {
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new AppError('Verification link is invalid or has expired', 400);
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save();
+
+  return user;
+};
+
+// Refuse orders from unverified addresses when REQUIRE_VERIFIED_EMAIL_FOR_ORDERS is set
+const assertCanPlaceOrders = (user) => {
+  if (getVerificationConfig().requiredForOrders && !user.emailVerified) {
+    throw new AppError('Please verify your email address before placing an order', 403);
+  }
+};
+
+export {
+  startEmailVerification,
+  resendEmailVerification,
+  verifyEmailToken,
+  assertCanPlaceOrders
+};
@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import { AppError } from './errorHandler.js';
+import { retrievePaymentIntent, cancelPaymentIntent } from '../config/stripe.js';
+import { buildHistoryEntry } from './orderLifecycle.js';
+import { releaseCouponRedemptions } from './promotions.js';
+import { checkProductAlerts } from './productAlerts.js';
+
+// How long placed-but-unpaid orders hold their stock
+const getReservationMinutes = () => Number(process.env.STOCK_RESERVATION_MINUTES ?? 30);
+
+const getReservationExpiry = () => new Date(Date.now() + getReservationMinutes() * 60 * 1000);
+
+// Update pipeline that changes one variant's stock by delta and recomputes the
+// product's total from its active variants, as the product's pre('validate') hook
+// does, so stock held by inactive variants never leaks into the total.
+const adjustVariantStock = (variantId, delta) => {
+  const id = new mongoose.Types.ObjectId(variantId);
+
+  return [
+    {
+      $set: {
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'variant',
+            in: {
+              $cond: [
+                { $eq: ['$$variant._id', id] },
+                { $mergeObjects: ['$$variant', { countInStock: { $add: ['$$variant.countInStock', delta] } }] },
+                '$$variant'
+              ]
+            }
+          }
+        }
+      }
+    },
+    {
+      $set: {
+        countInStock: {
+          $sum: {
+            $map: {
+              // Variants saved before isActive existed count as active
+              input: { $filter: { input: '$variants', as: 'variant', cond: { $ne: ['$$variant.isActive', false] } } },
+              as: 'variant',
+              in: '$$variant.countInStock'
+            }
+          }
+        }
+      }
+    }
+  ];
+};
+
+// Atomically take stock for every line. The decrement only matches while enough
+// stock is left, so concurrent checkouts cannot oversell; callers run this inside
+// a transaction so a failure on a later line rolls back the earlier ones.
+// Variant lines take stock from the variant, and the product's total follows.
+const reserveStock = async (items, session) => {
+  for (const item of items) {
+    const { modifiedCount } = item.variant
+      ? await Product.updateOne(
+        {
+          _id: item.product,
+          variants: {
+            $elemMatch: { _id: item.variant, countInStock: { $gte: item.quantity } }
+          }
+        },
+        adjustVariantStock(item.variant, -item.quantity),
+        { session }
+      )
+      : await Product.updateOne(
+        { _id: item.product, countInStock: { $gte: item.quantity } },
+        { $inc: { countInStock: -item.quantity } },
+        { session }
+      );
+
+    if (modifiedCount === 0) {
+      throw new AppError(`Insufficient stock for product: ${item.name}`, 409);
+    }
+  }
+};
+
+// Put stock back for every line (products and variants that were deleted since are skipped)
+const restoreStock = async (items, session) => {
+  for (const item of items) {
+    if (item.variant) {
+      await Product.updateOne(
+        { _id: item.product, 'variants._id': item.variant },
+        adjustVariantStock(item.variant, item.quantity),
+        { session }
+      );
+    } else {
+      await Product.updateOne(
+        { _id: item.product },
+        { $inc: { countInStock: item.quantity } },
+        { session }
+      );
+    }
+  }
+};
+
+// Cancel a single unpaid reservation, by default only once it has expired. The
+// order is claimed with a conditional update so two sweepers (or a late payment)
+// cannot both act on it.
+const releaseReservation = async (orderId, {
+  expiredOnly = true,
+  note = 'Payment not received before the stock reservation expired'
+} = {}) => {
+  const now = new Date();
+
+  const filter = { _id: orderId, isPaid: false, orderStatus: 'Pending' };
+  if (expiredOnly) {
+    filter.reservationExpiresAt = { $lte: now };
+  }
+
+  const released = await mongoose.connection.transaction(async (session) => {
+    const order = await Order.findOneAndUpdate(
+      filter,
+      {
+        $set: { orderStatus: 'Cancelled', cancelledAt: now },
+        $unset: { reservationExpiresAt: 1 },
+        $push: {
+          statusHistory: buildHistoryEntry('Pending', 'Cancelled', { actor: 'system', note })
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!order) return null;
+
+    await restoreStock(order.orderItems, session);
+    await releaseCouponRedemptions(order._id, session);
+    return order;
+  });
+
+  if (released) {
+    await checkProductAlerts(released.orderItems.map((item) => item.product));
+  }
+
+  if (released && released.paymentResult && released.paymentResult.id) {
+    try {
+      await cancelPaymentIntent(released.paymentResult.id);
+    } catch (error) {
+      console.error(`Could not cancel payment intent for order ${released._id}:`, error.message);
+    }
+  }
+
+  return released;
+};
+
+// Release the stock of every unpaid order whose reservation has lapsed. Orders whose
+// payment already went through at Stripe are left for the payment confirmation.
+const releaseExpiredReservations = async () => {
+  const expired = await Order.find({
+    isPaid: false,
+    orderStatus: 'Pending',
+    reservationExpiresAt: { $lte: new Date() }
+  }).select('_id paymentResult');
+
+  let releasedCount = 0;
+
+  for (const order of expired) {
+    try {
+      if (order.paymentResult && order.paymentResult.id) {
+        const paymentIntent = await retrievePaymentIntent(order.paymentResult.id);
+        if (['succeeded', 'processing', 'requires_capture'].includes(paymentIntent.status)) {
+          continue;
+        }
+      }
+
+      if (await releaseReservation(order._id)) {
+        releasedCount += 1;
+      }
+    } catch (error) {
+      console.error(`Error releasing reservation for order ${order._id}:`, error.message);
+    }
+  }
+
+  return releasedCount;
+};
+
+// Periodically release expired reservations; started by startBackgroundJobs (utils/backgroundJobs.js)
+const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredReservations().catch((error) => {
+      console.error('Reservation sweep failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+export {
+  getReservationExpiry,
+  reserveStock,
+  restoreStock,
+  releaseReservation,
+  releaseExpiredReservations,
+  startReservationSweeper
+};
@@ -0,0 +1,316 @@
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+
+// PDF documents for orders: invoices, credit notes and packing slips. Each
+// render function resolves to a Buffer holding the PDF.
+
+// Store details are read on every call so they pick up env changes after startup.
+// STORE_ADDRESS separates lines with '|'; STORE_LOGO_PATH is a PNG or JPEG file.
+const getStoreDetails = () => ({
+  name: process.env.STORE_NAME || 'Our store',
+  addressLines: (process.env.STORE_ADDRESS || '').split('|').map((line) => line.trim()).filter(Boolean),
+  email: process.env.STORE_EMAIL,
+  phone: process.env.STORE_PHONE,
+  taxId: process.env.STORE_TAX_ID,
+  logoPath: process.env.STORE_LOGO_PATH,
+  currency: (process.env.CURRENCY || 'usd').toUpperCase()
+});
+
+const MARGIN = 50;
+const MUTED = '#666666';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatAddress = (address) => {
+  if (!address) return [];
+
+  return [
+    address.recipientName,
+    address.street,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+    address.country,
+    address.phoneNumber
+  ].filter(Boolean);
+};
+
+// Start a document; the returned promise resolves with its bytes once doc.end() is called
+const createDocument = (title) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+  const chunks = [];
+
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  return { doc, done };
+};
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+
+// Move to a new page when fewer than `needed` points are left
+const ensureSpace = (doc, needed) => {
+  if (doc.y + needed > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+};
+
+// Logo and store details on the left, document title and facts on the right
+const drawHeader = (doc, store, title, facts) => {
+  const top = doc.y;
+
+  if (store.logoPath && fs.existsSync(store.logoPath)) {
+    try {
+      doc.image(store.logoPath, MARGIN, top, { fit: [140, 50] });
+      doc.y = top + 56;
+    } catch (error) {
+      console.error('Could not draw the store logo:', error.message);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(12).text(store.name, MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED);
+  [...store.addressLines, store.email, store.phone, store.taxId && `Tax ID: ${store.taxId}`]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+  const leftBottom = doc.y;
+
+  const right = doc.page.width - MARGIN - 200;
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(18).text(title, right, top, { width: 200, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  facts.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, right, doc.y, { width: 200, align: 'right' });
+  });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+// Addresses side by side, e.g. [['Bill to', billing], ['Ship to', shipping]]
+const drawAddresses = (doc, blocks) => {
+  const top = doc.y;
+  const width = contentWidth(doc) / blocks.length;
+  let bottom = top;
+
+  blocks.forEach(([label, address], index) => {
+    const x = MARGIN + width * index;
+    doc.font('Helvetica-Bold').fontSize(9).text(label, x, top, { width: width - 10 });
+    doc.font('Helvetica');
+    formatAddress(address).forEach((line) => doc.text(line, x, doc.y, { width: width - 10 }));
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = MARGIN;
+  doc.y = bottom + 20;
+};
+
+// A table with a header row. columns: [{ label, width (share of the page), align }]
+const drawTable = (doc, columns, rows) => {
+  const total = contentWidth(doc);
+  const widths = columns.map((column) => column.width * total);
+
+  const drawRow = (cells, font) => {
+    ensureSpace(doc, 30);
+    const top = doc.y;
+    let x = MARGIN;
+    let bottom = top;
+
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell ?? ''), x + 2, top, { width: widths[index] - 4, align: columns[index].align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+      x += widths[index];
+    });
+
+    doc.y = bottom + 4;
+    doc.moveTo(MARGIN, doc.y - 2).lineTo(MARGIN + total, doc.y - 2).strokeColor('#dddddd').stroke();
+  };
+
+  drawRow(columns.map((column) => column.label), 'Helvetica-Bold');
+  rows.forEach((row) => drawRow(row, 'Helvetica'));
+  doc.x = MARGIN;
+  doc.moveDown();
+};
+
+// Label / amount lines aligned to the right; the last one in bold
+const drawTotals = (doc, lines) => {
+  const right = doc.page.width - MARGIN;
+
+  lines.forEach(([label, value], index) => {
+    ensureSpace(doc, 16);
+    const top = doc.y;
+    doc.font(index === lines.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, right - 260, top, { width: 150, align: 'right' });
+    doc.text(value, right - 100, top, { width: 100, align: 'right' });
+  });
+
+  doc.x = MARGIN;
+  doc.moveDown();
+};
+
+const drawNote = (doc, text) => {
+  ensureSpace(doc, 30);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.fillColor('black');
+};
+
+const createMoney = (currency) => {
+  const format = new Intl.NumberFormat('en', { style: 'currency', currency });
+  return (amount) => format.format(Number(amount) || 0);
+};
+
+const orderNumber = (order) => String(order._id).slice(-8).toUpperCase();
+
+const describeLine = (item) => [item.name, item.sku && `SKU ${item.sku}`].filter(Boolean).join('\n');
+
+// Invoice for a paid order with its lines, discounts, shipping, tax and total
+const renderInvoicePdf = async (order) => {
+  const store = getStoreDetails();
+  const money = createMoney(store.currency);
+  const { doc, done } = createDocument(`Invoice ${order.invoiceNumber}`);
+
+  drawHeader(doc, store, 'INVOICE', [
+    ['Invoice number', order.invoiceNumber],
+    ['Invoice date', formatDate(order.invoicedAt || order.paidAt)],
+    ['Order number', orderNumber(order)],
+    ['Order date', formatDate(order.createdAt)]
+  ]);
+
+  drawAddresses(doc, [
+    ['Bill to', order.billingAddress && order.billingAddress.street ? order.billingAddress : order.shippingAddress],
+    ['Ship to', order.shippingAddress]
+  ]);
+
+  drawTable(
+    doc,
+    [
+      { label: 'Item', width: 0.5 },
+      { label: 'Qty', width: 0.1, align: 'right' },
+      { label: 'Unit price', width: 0.2, align: 'right' },
+      { label: 'Amount', width: 0.2, align: 'right' }
+    ],
+    order.orderItems.map((item) => [
+      describeLine(item),
+      item.quantity,
+      money(item.price),
+      money(item.price * item.quantity)
+    ])
+  );
+
+  drawTotals(doc, [
+    ['Subtotal', money(order.itemsPrice)],
+    ...(order.discounts || []).map((discount) => [
+      discount.code ? `Discount (${discount.code})` : discount.name || 'Discount',
+      `-${money(discount.amount)}`
+    ]),
+    ...(!(order.discounts && order.discounts.length) && order.discountPrice > 0
+      ? [['Discount', `-${money(order.discountPrice)}`]]
+      : []),
+    [order.shippingMethod && order.shippingMethod.name ? `Shipping (${order.shippingMethod.name})` : 'Shipping', money(order.shippingPrice)],
+    ['Tax', money(order.taxPrice)],
+    ['Total', money(order.totalPrice)]
+  ]);
+
+  drawNote(doc, `Paid on ${formatDate(order.paidAt)} by ${order.paymentMethod}. Thank you for your business.`);
+
+  doc.end();
+  return done;
+};
+
+// Credit note for one refund, referring back to the order's invoice
+const renderCreditNotePdf = async (order, refund) => {
+  const store = getStoreDetails();
+  const money = createMoney(store.currency);
+  const { doc, done } = createDocument(`Credit note ${refund.creditNoteNumber}`);
+
+  drawHeader(doc, store, 'CREDIT NOTE', [
+    ['Credit note number', refund.creditNoteNumber],
+    ['Date', formatDate(refund.createdAt)],
+    ['Invoice number', order.invoiceNumber],
+    ['Order number', orderNumber(order)]
+  ]);
+
+  drawAddresses(doc, [
+    ['Bill to', order.billingAddress && order.billingAddress.street ? order.billingAddress : order.shippingAddress]
+  ]);
+
+  const rows = (refund.items || []).map((refundItem) => {
+    const item = order.orderItems.id(refundItem.orderItem);
+    return [
+      item ? describeLine(item) : 'Item',
+      refundItem.quantity,
+      item ? money(item.price) : '',
+      item ? money(item.price * refundItem.quantity) : ''
+    ];
+  });
+
+  drawTable(
+    doc,
+    [
+      { label: 'Item', width: 0.5 },
+      { label: 'Qty', width: 0.1, align: 'right' },
+      { label: 'Unit price', width: 0.2, align: 'right' },
+      { label: 'Amount', width: 0.2, align: 'right' }
+    ],
+    rows.length ? rows : [['Refund', '', '', money(refund.amount)]]
+  );
+
+  drawTotals(doc, [['Total credited', money(refund.amount)]]);
+
+  if (rows.length) {
+    drawNote(doc, 'The total credited includes the items\' share of discounts and tax.');
+  }
+  if (refund.reason) {
+    drawNote(doc, `Reason: ${refund.reason}`);
+  }
+
+  doc.end();
+  return done;
+};
+
+// Packing slip for the warehouse: what goes in the parcel, without prices.
+// With a shipment only its items are listed, otherwise everything not refunded.
+const renderPackingSlipPdf = async (order, { shipment } = {}) => {
+  const store = getStoreDetails();
+  const { doc, done } = createDocument(`Packing slip ${orderNumber(order)}`);
+
+  drawHeader(doc, store, 'PACKING SLIP', [
+    ['Order number', orderNumber(order)],
+    ['Order date', formatDate(order.createdAt)],
+    ['Shipping', order.shippingMethod && order.shippingMethod.name],
+    ['Tracking', shipment && shipment.trackingNumber]
+  ]);
+
+  drawAddresses(doc, [['Ship to', order.shippingAddress]]);
+
+  const lines = shipment
+    ? shipment.items.map((line) => {
+      const item = order.orderItems.id(line.orderItem);
+      return { name: line.name, sku: item && item.sku, quantity: line.quantity };
+    })
+    : order.orderItems
+      .map((item) => ({ name: item.name, sku: item.sku, quantity: item.quantity - (item.refundedQuantity || 0) }))
+      .filter((line) => line.quantity > 0);
+
+  drawTable(
+    doc,
+    [
+      { label: 'Item', width: 0.6 },
+      { label: 'SKU', width: 0.25 },
+      { label: 'Qty', width: 0.15, align: 'right' }
+    ],
+    lines.map((line) => [line.name, line.sku, line.quantity])
+  );
+
+  drawNote(doc, `Questions about your order? Contact ${store.email || store.name}.`);
+
+  doc.end();
+  return done;
+};
+
+export {
+  renderInvoicePdf,
+  renderCreditNotePdf,
+  renderPackingSlipPdf
+};
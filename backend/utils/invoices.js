@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import Counter from '../models/counterModel.js';
+import Order from '../models/orderModel.js';
+
+// Invoice settings are read on every call so they pick up env changes after startup.
+// Store details printed on documents come from STORE_* (see utils/invoicePdf.js).
+const getInvoiceConfig = () => ({
+  invoicePrefix: process.env.INVOICE_PREFIX ?? 'INV-',
+  creditNotePrefix: process.env.CREDIT_NOTE_PREFIX ?? 'CN-',
+  // Digits numbers are zero-padded to
+  digits: Number(process.env.INVOICE_NUMBER_DIGITS ?? 6)
+});
+
+// Take the next number of a sequence. Run inside the transaction that stores it:
+// an aborted transaction hands the number back, so the sequence has no gaps.
+const nextNumber = async (name, prefix, session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return `${prefix}${String(counter.seq).padStart(getInvoiceConfig().digits, '0')}`;
+};
+
+// Take the next credit note number; pass the session of the transaction that
+// records the refund
+const nextCreditNoteNumber = async (session) => nextNumber('credit_note', getInvoiceConfig().creditNotePrefix, session);
+
+// Give a paid order its invoice number. Safe to call more than once: an order
+// that already has one keeps it.
+const assignInvoiceNumber = async (orderId) => mongoose.connection.transaction(async (session) => {
+  const order = await Order.findById(orderId).session(session);
+
+  if (!order || !order.isPaid || order.invoiceNumber) {
+    return order;
+  }
+
+  order.invoiceNumber = await nextNumber('invoice', getInvoiceConfig().invoicePrefix, session);
+  order.invoicedAt = new Date();
+  return order.save({ session });
+});
+
+// Number the credit notes of refunds that do not have one yet, oldest first,
+// e.g. refunds recorded from Stripe events. Safe to call more than once.
+const assignCreditNoteNumbers = async (orderId) => mongoose.connection.transaction(async (session) => {
+  const order = await Order.findById(orderId).session(session);
+
+  // Credit notes correct an invoice, so refunds of payments that never made the
+  // order paid (see refundLatePayment in utils/paymentEvents.js) get none
+  if (!order || !order.isPaid || !order.refunds.some((refund) => !refund.creditNoteNumber)) {
+    return order;
+  }
+
+  for (const refund of order.refunds.filter((entry) => !entry.creditNoteNumber)) {
+    refund.creditNoteNumber = await nextCreditNoteNumber(session);
+  }
+
+  return order.save({ session });
+});
+
+export {
+  nextCreditNoteNumber,
+  assignInvoiceNumber,
+  assignCreditNoteNumbers
+};
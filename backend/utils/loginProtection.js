@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { AppError } from './errorHandler.js';
+import { getRateLimitStore } from './rateLimitStores.js';
+
+// Failed logins are counted per email address and per IP in the rate limit store.
+// Counting by address rather than by user means unknown addresses lock out exactly
+// like real ones, so the responses never reveal whether an account exists.
+// Each lockout within a day doubles the next one.
+const getLoginProtectionConfig = () => ({
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES ?? 5),
+  failureWindowMinutes: Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES ?? 15),
+  lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES ?? 15),
+  maxLockoutMinutes: Number(process.env.LOGIN_MAX_LOCKOUT_MINUTES ?? 24 * 60),
+  maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES ?? 50)
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emailKey = (email) => crypto
+  .createHash('sha256')
+  .update(String(email || '').trim().toLowerCase())
+  .digest('hex');
+
+const keysFor = (email) => {
+  const key = emailKey(email);
+  return {
+    failures: `login-failures:${key}`,
+    lock: `login-lock:${key}`,
+    lockouts: `login-lockouts:${key}`
+  };
+};
+
+const ipKey = (ip) => `login-ip-failures:${ip}`;
+
+const minutesUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 60000), 1);
+
+// Refuse the attempt while the address is locked or the IP has failed too often
+const assertLoginAllowed = async (email, ip) => {
+  const store = getRateLimitStore();
+  const { maxIpFailures } = getLoginProtectionConfig();
+
+  const ipFailures = await store.get(ipKey(ip));
+  if (ipFailures && ipFailures.count >= maxIpFailures) {
+    throw new AppError(
+      `Too many failed login attempts, try again in ${minutesUntil(ipFailures.resetAt)} minutes`,
+      429
+    );
+  }
+
+  const lock = await store.get(keysFor(email).lock);
+  if (lock) {
+    throw new AppError(
+      `Too many failed login attempts, try again in ${minutesUntil(lock.resetAt)} minutes`,
+      429
+    );
+  }
+};
+
+const recordLoginFailure = async (email, ip) => {
+  const store = getRateLimitStore();
+  const config = getLoginProtectionConfig();
+  const keys = keysFor(email);
+  const failureWindow = config.failureWindowMinutes * 60 * 1000;
+
+  await store.increment(ipKey(ip), failureWindow);
+  const { count } = await store.increment(keys.failures, failureWindow);
+
+  if (count < config.maxFailures) return;
+
+  const { count: lockouts } = await store.increment(keys.lockouts, DAY_MS);
+  const minutes = Math.min(
+    config.lockoutMinutes * 2 ** (lockouts - 1),
+    config.maxLockoutMinutes
+  );
+
+  await store.increment(keys.lock, minutes * 60 * 1000);
+  await store.reset(keys.failures);
+};
+
+const recordLoginSuccess = async (email) => {
+  const store = getRateLimitStore();
+  const keys = keysFor(email);
+
+  await store.reset(keys.failures);
+  await store.reset(keys.lockouts);
+};
+
+// Lift a lockout early and forget the address's failures
+const unlockLogin = async (email) => {
+  const store = getRateLimitStore();
+  const keys = keysFor(email);
+
+  await Promise.all([keys.failures, keys.lock, keys.lockouts].map((key) => store.reset(key)));
+};
+
+export {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockLogin
+};
@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import User from '../models/userModel.js';
+import { cancelPaymentIntent } from '../config/stripe.js';
+import { AppError } from './errorHandler.js';
+import { restoreStock } from './inventory.js';
+import { getRefundableAmount, refundOrder } from './refunds.js';
+import { releaseCouponRedemptions } from './promotions.js';
+import { sendOrderStatusUpdateEmail } from './sendEmail.js';
+import { hasPermission } from './permissions.js';
+import { checkProductAlerts } from './productAlerts.js';
+
+// Who can trigger a transition:
+//   customer - the order owner
+//   admin    - store staff
+//   payment  - Stripe confirmations (webhook or verified client confirmation)
+//   system   - background jobs such as the reservation sweeper
+const ACTORS = ['customer', 'admin', 'payment', 'system'];
+
+// Allowed transitions, keyed by current status then target status.
+//   actors          - who may trigger the transition
+//   requiresPayment - the order must be paid first
+//   viaRefund       - only reachable through the refund flow, which moves the money
+//   effects         - run by transitionOrder: 'restock' and 'releaseCoupons' (inside
+//                     the transaction), 'cancelPayment', 'refund' and 'notify' (after commit)
+const TRANSITIONS = {
+  Pending: {
+    Processing: { actors: ['payment', 'admin'], requiresPayment: true, effects: ['notify'] },
+    // The open payment intent is cancelled too, so the customer can no longer pay
+    Cancelled: {
+      actors: ['customer', 'admin', 'system'],
+      effects: ['restock', 'releaseCoupons', 'cancelPayment', 'notify']
+    }
+  },
+  Processing: {
+    // Set by utils/shipments.js when the first parcel leaves, which emails the
+    // customer the parcel's tracking instead of a status update
+    Shipped: { actors: ['system'], requiresPayment: true, effects: [] },
+    Delivered: { actors: ['admin', 'system'], requiresPayment: true, effects: ['notify'] },
+    Cancelled: {
+      actors: ['customer', 'admin'],
+      effects: ['restock', 'releaseCoupons', 'refund', 'notify']
+    },
+    Refunded: { actors: ['admin', 'payment'], viaRefund: true, effects: [] }
+  },
+  Shipped: {
+    Delivered: { actors: ['admin', 'system'], requiresPayment: true, effects: ['notify'] },
+    Refunded: { actors: ['admin', 'payment'], viaRefund: true, effects: [] }
+  },
+  Delivered: {
+    PartiallyRefunded: { actors: ['admin', 'payment'], viaRefund: true, effects: [] },
+    Refunded: { actors: ['admin', 'payment'], viaRefund: true, effects: [] }
+  },
+  PartiallyRefunded: {
+    Refunded: { actors: ['admin', 'payment'], viaRefund: true, effects: [] }
+  },
+  Cancelled: {},
+  Refunded: {}
+};
+
+const getTransition = (from, to) => (TRANSITIONS[from] || {})[to] || null;
+
+const canTransition = (from, to) => Boolean(getTransition(from, to));
+
+// Whether moving the order to `to` would refund money through the 'refund'
+// effect, which staff may only trigger with the orders:refund permission
+const transitionRefunds = (order, to) => {
+  const rule = getTransition(order.orderStatus, to);
+  return Boolean(rule && rule.effects.includes('refund') && getRefundableAmount(order) > 0);
+};
+
+// Map the requesting user onto an actor for an order they are acting on. Staff
+// act as 'admin' when their permissions (see utils/permissions.js) include
+// staffPermission; otherwise only the owner gets an actor.
+const getActorForUser = (user, order, { permissions = [], staffPermission = 'orders:write' } = {}) => {
+  if (hasPermission(permissions, staffPermission)) return 'admin';
+  if (order.user && (order.user._id || order.user).toString() === user._id.toString()) {
+    return 'customer';
+  }
+  return null;
+};
+
+const buildHistoryEntry = (from, to, { actor, user, note } = {}) => ({
+  from,
+  status: to,
+  actor,
+  user,
+  note,
+  at: new Date()
+});
+
+// Validate a transition and apply it to the in-memory order, recording it in the
+// status history. Returns the effects the caller is responsible for running.
+const applyTransition = (order, to, { actor, user, note } = {}) => {
+  const from = order.orderStatus;
+  const rule = getTransition(from, to);
+
+  if (!ACTORS.includes(actor)) {
+    throw new AppError(`Unknown order actor: ${actor}`, 500);
+  }
+
+  if (!rule) {
+    throw new AppError(`Cannot change order status from ${from} to ${to}`, 400);
+  }
+
+  if (!rule.actors.includes(actor)) {
+    throw new AppError(`Not authorized to change order status from ${from} to ${to}`, 403);
+  }
+
+  if (rule.requiresPayment && !order.isPaid) {
+    throw new AppError(`Order must be paid before it can be marked ${to}`, 400);
+  }
+
+  const now = new Date();
+  order.orderStatus = to;
+
+  if (to === 'Delivered') {
+    order.isDelivered = true;
+    order.deliveredAt = now;
+  }
+
+  if (to === 'Cancelled') {
+    order.cancelledAt = now;
+    order.reservationExpiresAt = undefined;
+  }
+
+  order.statusHistory.push(buildHistoryEntry(from, to, { actor, user, note }));
+
+  return rule.effects;
+};
+
+// Quantities still out of the warehouse, i.e. not already restocked by a refund
+const getUnrestockedItems = (order) => order.orderItems.map((item) => {
+  const restocked = order.refunds
+    .flatMap((refund) => refund.items)
+    .filter((refundItem) => refundItem.orderItem.toString() === item._id.toString())
+    .reduce((acc, refundItem) => acc + refundItem.restockedQuantity, 0);
+
+  return {
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    quantity: item.quantity - restocked
+  };
+}).filter((item) => item.quantity > 0);
+
+const notifyCustomer = async (order) => {
+  const customer = await User.findById(order.user);
+  if (customer) {
+    await sendOrderStatusUpdateEmail(order, customer);
+  }
+};
+
+// Move an order to a new status and run the transition's side effects. The status
+// change and any restock commit together; a concurrent change makes this fail
+// with 409 instead of applying twice. Refunds and emails follow the commit.
+const transitionOrder = async (order, to, { actor, user, note } = {}) => {
+  const from = order.orderStatus;
+  const rule = getTransition(from, to);
+
+  if (rule && rule.viaRefund) {
+    throw new AppError('Use the refund endpoint to refund an order', 400);
+  }
+
+  let effects = [];
+
+  const updatedOrder = await mongoose.connection.transaction(async (session) => {
+    const current = await Order.findOne({ _id: order._id, orderStatus: from }).session(session);
+
+    if (!current) {
+      throw new AppError('Order was updated by another request, please try again', 409);
+    }
+
+    effects = applyTransition(current, to, { actor, user, note });
+
+    if (effects.includes('restock')) {
+      await restoreStock(getUnrestockedItems(current), session);
+    }
+
+    if (effects.includes('releaseCoupons')) {
+      await releaseCouponRedemptions(current._id, session);
+    }
+
+    return current.save({ session });
+  });
+
+  let result = updatedOrder;
+
+  if (effects.includes('restock')) {
+    await checkProductAlerts(result.orderItems.map((item) => item.product));
+  }
+
+  // A payment that gets through anyway is refunded when it is confirmed (see
+  // refundLatePayment in utils/paymentEvents.js), so a failure here is only logged
+  if (effects.includes('cancelPayment') && result.paymentResult && result.paymentResult.id) {
+    try {
+      await cancelPaymentIntent(result.paymentResult.id);
+    } catch (error) {
+      console.error(`Could not cancel payment intent for order ${result._id}:`, error.message);
+    }
+  }
+
+  if (effects.includes('refund') && getRefundableAmount(result) > 0) {
+    result = await refundOrder(result, {
+      reason: note || `Order ${to.toLowerCase()}`,
+      restock: false,
+      actor,
+      user
+    });
+  }
+
+  if (effects.includes('notify')) {
+    await notifyCustomer(result);
+  }
+
+  return result;
+};
+
+export {
+  TRANSITIONS,
+  getTransition,
+  canTransition,
+  transitionRefunds,
+  getActorForUser,
+  buildHistoryEntry,
+  applyTransition,
+  transitionOrder
+};
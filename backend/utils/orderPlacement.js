@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import { createPaymentIntent } from '../config/stripe.js';
+import {
+  buildOrderQuote,
+  assertQuoteMatches,
+  assertTotalsMatch
+} from './pricing.js';
+import { getReservationExpiry, reserveStock, releaseReservation } from './inventory.js';
+import { buildHistoryEntry } from './orderLifecycle.js';
+import { redeemCoupons } from './promotions.js';
+import { assertCanPlaceOrders } from './emailVerification.js';
+import { resolveOrderAddresses } from './addresses.js';
+import { sendOrderConfirmationEmail } from './sendEmail.js';
+import { AppError } from './errorHandler.js';
+
+// Price, reserve and save a new order for a user, returning the order and the
+// Stripe client secret. Shared by POST /api/orders and cart checkout.
+//   orderItems     - [{ product, quantity }]; everything else is read from Product
+//   shippingAddressId, billingAddressId - saved addresses to copy onto the order,
+//                    instead of a typed shippingAddress (see utils/addresses.js)
+//   shippingMethod - code of the chosen shipping method; the cheapest when unset
+//   couponCodes    - codes the customer entered
+//   clientQuote    - signed quote the customer reviewed, if any
+//   clientTotals   - plain totals the customer saw, checked when there is no quote
+const placeOrder = async ({
+  user,
+  orderItems,
+  shippingAddress: typedShippingAddress,
+  shippingAddressId,
+  billingAddressId,
+  paymentMethod,
+  shippingMethod,
+  couponCodes,
+  clientQuote,
+  clientTotals = {}
+}) => {
+  assertCanPlaceOrders(user);
+
+  const { shippingAddress, billingAddress } = resolveOrderAddresses(user, {
+    shippingAddress: typedShippingAddress,
+    shippingAddressId,
+    billingAddressId
+  });
+
+  // Rebuild every line and total from the Product collection
+  const quote = await buildOrderQuote(orderItems, {
+    couponCodes,
+    user,
+    shippingAddress,
+    shippingMethod
+  });
+
+  // Refuse to place the order if the client saw different prices
+  if (clientQuote) {
+    assertQuoteMatches(clientQuote, quote);
+  } else {
+    assertTotalsMatch(clientTotals, quote);
+  }
+
+  const order = new Order({
+    orderItems: quote.orderItems,
+    user: user._id,
+    shippingAddress,
+    billingAddress,
+    paymentMethod,
+    shippingMethod: quote.shippingMethod,
+    itemsPrice: quote.itemsPrice,
+    discountPrice: quote.discountPrice,
+    discounts: quote.discounts,
+    taxPrice: quote.taxPrice,
+    shippingPrice: quote.shippingPrice,
+    totalPrice: quote.totalPrice,
+    reservationExpiresAt: getReservationExpiry(),
+    statusHistory: [
+      buildHistoryEntry(undefined, 'Pending', {
+        actor: 'customer',
+        user: user._id,
+        note: 'Order placed'
+      })
+    ]
+  });
+
+  // Reserve stock and save the order as one unit
+  await mongoose.connection.transaction(async (session) => {
+    await reserveStock(order.orderItems, session);
+    await redeemCoupons(order, session);
+    await order.save({ session });
+  });
+
+  // Stripe is called after the commit so no transaction stays open on the network
+  // call and a rolled back order never leaves an intent behind. Webhooks find the
+  // order through the orderId metadata even if recording the intent id below fails.
+  let paymentIntent;
+  try {
+    paymentIntent = await createPaymentIntent(order.totalPrice, quote.currency, {
+      metadata: { orderId: order._id.toString() },
+      idempotencyKey: `order-${order._id}`
+    });
+  } catch (error) {
+    await releaseReservation(order._id, {
+      expiredOnly: false,
+      note: 'Payment could not be set up'
+    });
+    throw new AppError(`Payment could not be set up: ${error.message}`, 502);
+  }
+
+  const createdOrder = await Order.findByIdAndUpdate(
+    order._id,
+    { $set: { paymentResult: { id: paymentIntent.id, status: 'pending' } } },
+    { new: true }
+  );
+
+  await sendOrderConfirmationEmail(createdOrder, user);
+
+  return {
+    order: createdOrder,
+    clientSecret: paymentIntent.client_secret
+  };
+};
+
+export {
+  placeOrder
+};
@@ -0,0 +1,308 @@
+import Order from '../models/orderModel.js';
+import User from '../models/userModel.js';
+import WebhookEvent from '../models/webhookEventModel.js';
+import { sendOrderStatusUpdateEmail } from './sendEmail.js';
+import { processRefund } from '../config/stripe.js';
+import { reconcileChargeRefunds } from './refunds.js';
+import { releaseCouponRedemptions } from './promotions.js';
+import { canTransition, buildHistoryEntry } from './orderLifecycle.js';
+import { assignInvoiceNumber, assignCreditNoteNumbers } from './invoices.js';
+import { renderInvoicePdf } from './invoicePdf.js';
+
+// Find the order a payment intent was created for
+const findOrderForPaymentIntent = async (paymentIntentId, metadata = {}) => {
+  if (metadata.orderId) {
+    const order = await Order.findById(metadata.orderId);
+    if (order) return order;
+  }
+
+  return Order.findOne({ 'paymentResult.id': paymentIntentId });
+};
+
+const getReceiptEmail = (paymentIntent) => {
+  if (paymentIntent.receipt_email) return paymentIntent.receipt_email;
+
+  const charge = paymentIntent.latest_charge;
+  return charge && charge.billing_details ? charge.billing_details.email : undefined;
+};
+
+// When the money was taken: the charge time if the charge is expanded, else now
+// (paymentIntent.created is when checkout started, not when the customer paid)
+const getPaidAt = (paymentIntent) => {
+  const charge = paymentIntent.latest_charge;
+  return charge && charge.created ? new Date(charge.created * 1000) : new Date();
+};
+
+// A payment that arrives after the order was cancelled (e.g. its reservation
+// expired while the customer was still on the payment page) is refunded in full
+// instead of reviving the order, and the refund is recorded on the order.
+const refundLatePayment = async (order, paymentIntent) => {
+  const amount = paymentIntent.amount_received / 100;
+  const reason = `Payment received after the order was ${order.orderStatus.toLowerCase()}`;
+
+  // The idempotency key makes a second confirmation of the same payment reuse this refund
+  const refund = await processRefund(paymentIntent.id, amount, {
+    metadata: { orderId: order._id.toString(), reason },
+    idempotencyKey: `late-payment-${paymentIntent.id}`
+  });
+
+  const now = new Date();
+  const refundedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, 'refunds.stripeRefundId': { $ne: refund.id } },
+    {
+      $set: {
+        paymentResult: {
+          id: paymentIntent.id,
+          status: 'refunded',
+          update_time: now.toISOString(),
+          email_address: getReceiptEmail(paymentIntent)
+        },
+        isRefunded: true,
+        refundedAt: now
+      },
+      $inc: { amountRefunded: amount },
+      $push: {
+        refunds: {
+          stripeRefundId: refund.id,
+          amount,
+          reason,
+          status: refund.status,
+          source: 'system'
+        }
+      }
+    },
+    { new: true }
+  );
+
+  console.warn(`Payment ${paymentIntent.id} for ${order.orderStatus} order ${order._id} was refunded`);
+
+  return refundedOrder || Order.findById(order._id);
+};
+
+// A payment for less than the order total leaves the order unpaid and flags it
+// for staff instead of failing, which would only make Stripe resend the event
+const recordUnderpayment = async (order, paymentIntent) => {
+  const amountReceived = paymentIntent.amount_received / 100;
+
+  console.error(
+    `Payment ${paymentIntent.id} of ${amountReceived} for order ${order._id} is less than the total of ${order.totalPrice}`
+  );
+
+  const flaggedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false },
+    {
+      $set: {
+        paymentMismatch: {
+          paymentIntentId: paymentIntent.id,
+          amountReceived,
+          amountDue: order.totalPrice,
+          detectedAt: new Date()
+        },
+        paymentResult: {
+          id: paymentIntent.id,
+          status: 'underpaid',
+          update_time: new Date().toISOString(),
+          email_address: getReceiptEmail(paymentIntent)
+        }
+      }
+    },
+    { new: true }
+  );
+
+  return flaggedOrder || Order.findById(order._id);
+};
+
+// Number the invoice of a freshly paid order and mail it to the customer.
+// Both steps are safe to repeat: the number is only assigned once and the
+// email's dedupe key stops a second copy.
+const invoicePaidOrder = async (orderId) => {
+  const invoicedOrder = await assignInvoiceNumber(orderId);
+
+  const user = await User.findById(invoicedOrder.user);
+  if (user) {
+    // The customer can download the invoice later, so a PDF error does not hold up the email
+    let invoicePdf;
+    try {
+      invoicePdf = await renderInvoicePdf(invoicedOrder);
+    } catch (error) {
+      console.error(`Could not render the invoice for order ${invoicedOrder._id}:`, error.message);
+    }
+
+    await sendOrderStatusUpdateEmail(invoicedOrder, user, { invoicePdf });
+  }
+
+  return invoicedOrder;
+};
+
+// Mark an order paid from a succeeded Stripe payment intent. Safe to call more
+// than once: an order that is already paid only gets the invoice and email a
+// failed earlier call left out. An order that can no longer be paid (only
+// Pending ones can) gets the payment refunded, and one paid short is flagged.
+const markOrderPaid = async (order, paymentIntent) => {
+  if (order.isPaid) {
+    // Once the order has moved past Processing its invoice went out long ago
+    return order.orderStatus === 'Processing' ? invoicePaidOrder(order._id) : order;
+  }
+
+  if (!canTransition(order.orderStatus, 'Processing')) {
+    return refundLatePayment(order, paymentIntent);
+  }
+
+  if (paymentIntent.amount_received < Math.round(order.totalPrice * 100)) {
+    return recordUnderpayment(order, paymentIntent);
+  }
+
+  // Only the first confirmation (webhook or client) flips the order
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false, orderStatus: order.orderStatus },
+    {
+      $set: {
+        isPaid: true,
+        paidAt: getPaidAt(paymentIntent),
+        orderStatus: 'Processing',
+        paymentResult: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          update_time: new Date().toISOString(),
+          email_address: getReceiptEmail(paymentIntent)
+        }
+      },
+      $unset: { reservationExpiresAt: 1 },
+      $push: {
+        statusHistory: buildHistoryEntry(order.orderStatus, 'Processing', {
+          actor: 'payment',
+          note: `Payment ${paymentIntent.id} succeeded`
+        })
+      }
+    },
+    { new: true }
+  );
+
+  // Another request paid or cancelled the order in the meantime; decide again
+  // from its current state
+  if (!updatedOrder) {
+    return markOrderPaid(await Order.findById(order._id), paymentIntent);
+  }
+
+  return invoicePaidOrder(updatedOrder._id);
+};
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+  if (!order) return;
+
+  await markOrderPaid(order, paymentIntent);
+};
+
+const handlePaymentFailed = async (paymentIntent) => {
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+  if (!order || order.isPaid) return;
+
+  // The customer can retry with the same intent until the reservation expires
+  order.paymentResult = {
+    id: paymentIntent.id,
+    status: 'failed',
+    update_time: new Date().toISOString(),
+    email_address: order.paymentResult && order.paymentResult.email_address
+  };
+
+  await order.save();
+};
+
+const handleChargeRefunded = async (charge) => {
+  const order = await findOrderForPaymentIntent(charge.payment_intent, charge.metadata);
+  if (!order) return;
+
+  const fullyRefunded = charge.amount_refunded >= charge.amount;
+
+  order.paymentResult.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  order.paymentResult.update_time = new Date().toISOString();
+
+  reconcileChargeRefunds(order, charge);
+
+  await order.save();
+  await assignCreditNoteNumbers(order._id);
+
+  if (order.isRefunded) {
+    await releaseCouponRedemptions(order._id);
+  }
+};
+
+const handleDisputeCreated = async (dispute) => {
+  const order = await findOrderForPaymentIntent(dispute.payment_intent, dispute.metadata);
+  if (!order) return;
+
+  order.paymentResult.status = 'disputed';
+  order.paymentResult.update_time = new Date().toISOString();
+  order.dispute = {
+    id: dispute.id,
+    amount: dispute.amount / 100,
+    reason: dispute.reason,
+    status: dispute.status,
+    createdAt: new Date(dispute.created * 1000)
+  };
+
+  await order.save();
+  console.warn(`Payment for order ${order._id} disputed: ${dispute.reason}`);
+};
+
+const eventHandlers = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated
+};
+
+// Minutes after which an event still marked processing is taken to be abandoned
+const getWebhookRetryMinutes = () => Number(process.env.WEBHOOK_PROCESSING_TIMEOUT_MINUTES ?? 5);
+
+// Record that this delivery handles the event. Returns false when the event was
+// already processed or another delivery is working on it right now.
+const claimWebhookEvent = async (event) => {
+  try {
+    await WebhookEvent.create({ eventId: event.id, type: event.type });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const staleBefore = new Date(Date.now() - getWebhookRetryMinutes() * 60 * 1000);
+  const reclaimed = await WebhookEvent.findOneAndUpdate(
+    { eventId: event.id, status: 'processing', claimedAt: { $lte: staleBefore } },
+    { $set: { claimedAt: new Date() }, $inc: { attempts: 1 } }
+  );
+
+  return Boolean(reclaimed);
+};
+
+// Apply a verified Stripe event to the matching order. Each event id is recorded
+// so redeliveries are ignored; if handling fails the record is removed again so
+// Stripe's retry gets another chance, and a record left behind by a crashed
+// process is taken over once it is older than WEBHOOK_PROCESSING_TIMEOUT_MINUTES.
+const handleStripeEvent = async (event) => {
+  const handler = eventHandlers[event.type];
+  if (!handler) return { handled: false };
+
+  if (!(await claimWebhookEvent(event))) {
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    await handler(event.data.object);
+  } catch (error) {
+    await WebhookEvent.deleteOne({ eventId: event.id });
+    throw error;
+  }
+
+  await WebhookEvent.updateOne(
+    { eventId: event.id },
+    { status: 'processed', processedAt: new Date() }
+  );
+
+  return { handled: true };
+};
+
+export {
+  markOrderPaid,
+  handleStripeEvent
+};
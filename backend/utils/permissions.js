@@ -0,0 +1,200 @@
+import Role from '../models/roleModel.js';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+
+// Every permission a role can grant, with the routes it opens up.
+// A role may also grant '*' (everything) or '<resource>:*'.
+const PERMISSIONS = {
+  'products:write': 'Create, update and delete products',
+  'categories:write': 'Manage the category tree',
+  'coupons:read': 'View coupons and their redemptions',
+  'coupons:write': 'Create, update and delete coupons',
+  'settings:write': 'Manage tax rules and shipping methods',
+  'reviews:moderate': 'Approve, reject and remove product reviews',
+  'orders:read': 'View any order and its history',
+  'orders:write': 'Change order status, mark delivered and cancel any order; cancelling a paid one also needs orders:refund',
+  'orders:refund': 'Refund orders',
+  'returns:write': 'Approve, reject and receive returns; refunding one also needs orders:refund',
+  'users:read': 'View customer and staff accounts',
+  'users:write': 'Update, deactivate, unlock and delete accounts',
+  'roles:write': 'Manage roles and assign them to accounts',
+  'emails:manage': 'View outgoing emails and resend failed ones'
+};
+
+// Roles that exist without being stored. Saving one through the role API
+// stores a copy that takes precedence; 'user' and 'admin' cannot be changed.
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    label: 'Customer',
+    description: 'Shopper account without staff access',
+    permissions: []
+  },
+  {
+    name: 'admin',
+    label: 'Super admin',
+    description: 'Full access to everything',
+    permissions: ['*']
+  },
+  {
+    name: 'catalog-manager',
+    label: 'Catalog manager',
+    description: 'Maintains products, categories and promotions',
+    permissions: ['products:write', 'categories:write', 'coupons:read', 'coupons:write']
+  },
+  {
+    name: 'order-fulfilment',
+    label: 'Order fulfilment',
+    description: 'Processes and ships orders',
+    permissions: ['orders:read', 'orders:write', 'returns:write']
+  },
+  {
+    name: 'customer-support',
+    label: 'Customer support',
+    description: 'Helps customers with their accounts and orders',
+    permissions: ['orders:read', 'orders:write', 'returns:write', 'users:read', 'reviews:moderate', 'emails:manage']
+  },
+  {
+    name: 'finance',
+    label: 'Finance',
+    description: 'Handles refunds, tax and shipping rates',
+    permissions: ['orders:read', 'orders:refund', 'coupons:read', 'settings:write']
+  }
+].map((role) => ({ ...role, isSystem: true }));
+
+const LOCKED_ROLES = ['user', 'admin'];
+
+const getDefaultRole = (name) => DEFAULT_ROLES.find((role) => role.name === name) || null;
+
+// Whether a list of granted permissions covers the one asked for
+const hasPermission = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return granted.includes('*')
+    || granted.includes(permission)
+    || granted.includes(`${resource}:*`);
+};
+
+const isKnownPermission = (permission) => permission === '*'
+  || Boolean(PERMISSIONS[permission])
+  || Object.keys(PERMISSIONS).some((name) => permission === `${name.split(':')[0]}:*`);
+
+// Role permissions are cached briefly so permission checks do not query the
+// database on every request; changes through the role API clear the cache.
+const CACHE_TTL_MS = 30 * 1000;
+const roleCache = new Map();
+
+const clearRoleCache = () => roleCache.clear();
+
+// A role by name: the stored copy if there is one, else the built-in definition
+const findRole = async (name) => {
+  const role = await Role.findOne({ name: String(name || '').toLowerCase() }).lean();
+  return role || getDefaultRole(name);
+};
+
+// Stored roles merged with the built-in ones they do not override
+const listRoles = async () => {
+  const stored = await Role.find({}).sort({ name: 1 }).lean();
+  const storedNames = new Set(stored.map((role) => role.name));
+
+  return [
+    ...DEFAULT_ROLES.filter((role) => !storedNames.has(role.name)),
+    ...stored
+  ].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const getRolePermissions = async (name) => {
+  const cached = roleCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await findRole(name);
+  const permissions = role ? role.permissions : [];
+
+  roleCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+const getUserPermissions = (user) => getRolePermissions(user.role);
+
+// Names of the roles granting every permission
+const getSuperAdminRoles = async () => (await listRoles())
+  .filter((role) => role.permissions.includes('*'))
+  .map((role) => role.name);
+
+// Refuse a change that would leave no active super admin: demoting,
+// deactivating or deleting the last one.
+const assertNotLastSuperAdmin = async (user, { role = user.role, isActive = user.isActive } = {}) => {
+  const superAdminRoles = await getSuperAdminRoles();
+
+  if (!superAdminRoles.includes(user.role) || !user.isActive) return;
+  if (superAdminRoles.includes(role) && isActive) return;
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: { $in: superAdminRoles },
+    isActive: true
+  });
+
+  if (others === 0) {
+    throw new AppError('Cannot remove the last super admin', 400);
+  }
+};
+
+// Staff can only hand out permissions they hold themselves
+const assertCanGrant = (granted, permissions) => {
+  const missing = permissions.filter((permission) => !hasPermission(granted, permission));
+
+  if (missing.length) {
+    throw new AppError(`You cannot grant permissions you do not have: ${missing.join(', ')}`, 403);
+  }
+};
+
+// Check a role exists and may be given out by someone holding `granted`
+const assertCanAssignRole = async (granted, name) => {
+  const role = await findRole(name);
+
+  if (!role) {
+    throw new AppError(`Unknown role: ${name}`, 400);
+  }
+
+  assertCanGrant(granted, role.permissions);
+  return role;
+};
+
+// Staff can only change accounts whose role grants nothing beyond their own
+const assertCanManageUser = async (granted, user) => {
+  const permissions = await getRolePermissions(user.role);
+
+  if (!permissions.every((permission) => hasPermission(granted, permission))) {
+    throw new AppError('Not authorized to change this account', 403);
+  }
+};
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new AppError('Permissions must be a list', 400);
+  }
+
+  const unknown = permissions.filter((permission) => !isKnownPermission(permission));
+
+  if (unknown.length) {
+    throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+  }
+};
+
+export {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  LOCKED_ROLES,
+  getDefaultRole,
+  hasPermission,
+  clearRoleCache,
+  findRole,
+  listRoles,
+  getRolePermissions,
+  getUserPermissions,
+  assertNotLastSuperAdmin,
+  assertCanGrant,
+  assertCanAssignRole,
+  assertCanManageUser,
+  validatePermissions
+};
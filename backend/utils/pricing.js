@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import Product from '../models/productModel.js';
+import { AppError } from './errorHandler.js';
+import { applyPromotions } from './promotions.js';
+import { getShippingOptions, selectShippingOption, calculateTax } from './checkoutRates.js';
+import { getItemKey, resolveVariant, describeItem } from './variants.js';
+import { getInactiveCategoryIds } from './categories.js';
+
+// Round a monetary amount to cents
+const roundMoney = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+// Pricing settings are read on every call so they pick up env changes after startup
+const getPricingConfig = () => ({
+  quoteTtlMinutes: Number(process.env.QUOTE_TTL_MINUTES ?? 15),
+  currency: process.env.CURRENCY || 'usd'
+});
+
+const getQuoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+
+// Collapse the requested items into one line per product or variant with a validated quantity
+const normalizeRequestedItems = (orderItems) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw new AppError('No order items', 400);
+  }
+
+  const requested = new Map();
+
+  for (const item of orderItems) {
+    const productId = item && item.product ? item.product.toString() : null;
+    const variantId = item && item.variant ? item.variant.toString() : undefined;
+    const quantity = Number(item && item.quantity);
+
+    if (!productId) {
+      throw new AppError('Each order item must reference a product', 400);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError(`Invalid quantity for product: ${productId}`, 400);
+    }
+
+    const key = getItemKey(productId, variantId);
+    const existing = requested.get(key);
+
+    requested.set(key, {
+      productId,
+      variantId,
+      quantity: (existing ? existing.quantity : 0) + quantity
+    });
+  }
+
+  return [...requested.values()];
+};
+
+// Rebuild every order line from the Product collection and compute the totals server-side.
+// Only product and variant ids, quantities, coupon codes, the destination and the
+// chosen shipping method code are taken from the client.
+const buildOrderQuote = async (orderItems, {
+  couponCodes = [],
+  user,
+  shippingAddress,
+  shippingMethod
+} = {}) => {
+  const requested = normalizeRequestedItems(orderItems);
+  const config = getPricingConfig();
+
+  // Categories come with their ancestors so promotions and tax rates can match parents
+  // Products in an inactive category cannot be bought
+  const products = await Product.find({
+    _id: { $in: requested.map((item) => item.productId) },
+    isActive: true,
+    category: { $nin: await getInactiveCategoryIds() }
+  }).populate('category', 'name ancestors');
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = [];
+
+  for (const { productId, variantId, quantity } of requested) {
+    const product = productsById.get(productId);
+
+    if (!product) {
+      throw new AppError(`Product not found: ${productId}`, 404);
+    }
+
+    const { countInStock, ...item } = describeItem(product, resolveVariant(product, variantId));
+
+    if (countInStock < quantity) {
+      throw new AppError(`Insufficient stock for product: ${item.name}`, 400);
+    }
+
+    lines.push({
+      product: product._id,
+      ...item,
+      price: roundMoney(item.price),
+      quantity
+    });
+  }
+
+  const itemsPrice = roundMoney(
+    lines.reduce((acc, line) => acc + line.price * line.quantity, 0)
+  );
+  const weight = lines.reduce(
+    (acc, line) => acc + (productsById.get(line.product.toString()).weight || 0) * line.quantity,
+    0
+  );
+
+  const shippingOptions = await getShippingOptions(shippingAddress, { itemsPrice, weight });
+  const selectedShipping = selectShippingOption(shippingOptions, shippingMethod);
+  const shippingPrice = selectedShipping.price;
+
+  const promotion = await applyPromotions({
+    lines,
+    productsById,
+    itemsPrice,
+    shippingPrice,
+    couponCodes,
+    user
+  });
+  lines.forEach((line, i) => {
+    line.discount = promotion.lineDiscounts[i];
+  });
+
+  // Tax is charged on what the customer pays after discounts
+  const itemsDiscount = roundMoney(promotion.lineDiscounts.reduce((acc, d) => acc + d, 0));
+  const discountPrice = roundMoney(itemsDiscount + promotion.shippingDiscount);
+  const taxPrice = await calculateTax(shippingAddress, {
+    lines,
+    productsById,
+    shippingAmount: shippingPrice - promotion.shippingDiscount
+  });
+  const totalPrice = roundMoney(itemsPrice + taxPrice + shippingPrice - discountPrice);
+
+  return {
+    orderItems: lines,
+    itemsPrice,
+    discountPrice,
+    discounts: promotion.discounts,
+    taxPrice,
+    shippingPrice,
+    shippingMethod: selectedShipping,
+    shippingOptions,
+    totalPrice,
+    currency: config.currency
+  };
+};
+
+// Stable string of the fields a signature covers, independent of line order
+const serializeQuote = (quote) => JSON.stringify({
+  orderItems: quote.orderItems
+    .map((line) => ({
+      product: line.product.toString(),
+      variant: line.variant ? line.variant.toString() : undefined,
+      price: line.price,
+      quantity: line.quantity,
+      discount: line.discount
+    }))
+    .sort((a, b) => getItemKey(a.product, a.variant)
+      .localeCompare(getItemKey(b.product, b.variant))),
+  itemsPrice: quote.itemsPrice,
+  discountPrice: quote.discountPrice,
+  discounts: (quote.discounts || []).map((discount) => ({
+    coupon: discount.coupon.toString(),
+    amount: discount.amount
+  })),
+  taxPrice: quote.taxPrice,
+  shippingPrice: quote.shippingPrice,
+  shippingMethod: quote.shippingMethod ? quote.shippingMethod.code : undefined,
+  totalPrice: quote.totalPrice,
+  currency: quote.currency,
+  expiresAt: quote.expiresAt
+});
+
+const computeSignature = (quote) => crypto
+  .createHmac('sha256', getQuoteSecret())
+  .update(serializeQuote(quote))
+  .digest('hex');
+
+// Attach an expiry and an HMAC so the client can hand the quote back at checkout
+const signQuote = (quote) => {
+  const { quoteTtlMinutes } = getPricingConfig();
+  const signed = {
+    ...quote,
+    expiresAt: new Date(Date.now() + quoteTtlMinutes * 60 * 1000).toISOString()
+  };
+
+  signed.signature = computeSignature(signed);
+  return signed;
+};
+
+// Compare only the totals the client actually sent
+const totalsMatch = (clientTotals, quote) => [
+  'itemsPrice',
+  'discountPrice',
+  'taxPrice',
+  'shippingPrice',
+  'totalPrice'
+]
+  .filter((field) => clientTotals[field] !== undefined)
+  .every((field) => roundMoney(clientTotals[field]) === quote[field]);
+
+const isObject = (value) => Boolean(value) && typeof value === 'object';
+
+// Whether a quote handed back by the client has the shape serializeQuote reads
+const isWellFormedQuote = (quote) => isObject(quote)
+  && typeof quote.signature === 'string'
+  && Array.isArray(quote.orderItems)
+  && quote.orderItems.every((line) => isObject(line) && line.product != null)
+  && (quote.discounts == null || (Array.isArray(quote.discounts)
+    && quote.discounts.every((discount) => isObject(discount) && discount.coupon != null)));
+
+// Reject a client-supplied quote that was tampered with, has expired or no longer
+// matches the prices computed right now
+const assertQuoteMatches = (clientQuote, currentQuote) => {
+  if (!isWellFormedQuote(clientQuote)) {
+    throw new AppError('Invalid quote', 400);
+  }
+
+  const expected = Buffer.from(computeSignature(clientQuote));
+  const received = Buffer.from(clientQuote.signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Invalid quote signature', 400);
+  }
+
+  if (new Date(clientQuote.expiresAt).getTime() < Date.now()) {
+    throw new AppError('Quote has expired, please review your order again', 409);
+  }
+
+  if (serializeQuote({ ...currentQuote, expiresAt: clientQuote.expiresAt }) !== serializeQuote(clientQuote)) {
+    throw new AppError('Prices have changed since your quote was issued', 409);
+  }
+};
+
+// Reject plain client totals that disagree with the server-side computation
+const assertTotalsMatch = (clientTotals, currentQuote) => {
+  if (!totalsMatch(clientTotals, currentQuote)) {
+    throw new AppError('Order totals do not match current prices', 409);
+  }
+};
+
+export {
+  roundMoney,
+  buildOrderQuote,
+  signQuote,
+  assertQuoteMatches,
+  assertTotalsMatch
+};
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import Product from '../models/productModel.js';
+import ProductAlert from '../models/productAlertModel.js';
+import { AppError } from './errorHandler.js';
+import { describeItem } from './variants.js';
+import { sendProductAlertEmail } from './sendEmail.js';
+
+const ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+// Alert settings are read on every call so they pick up env changes after startup
+const getAlertConfig = () => ({
+  batchSize: Number(process.env.PRODUCT_ALERT_BATCH_SIZE ?? 500)
+});
+
+// Price and stock the alert is watching: the variant's when it names one,
+// otherwise the product's (lowest variant price, total stock). Null when the
+// product or variant is gone or withdrawn from sale.
+const getWatchedOffer = (product, variantId) => {
+  if (!product || !product.isActive) return null;
+
+  if (!variantId) {
+    return { price: product.price, countInStock: product.countInStock };
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant || !variant.isActive) return null;
+
+  return { price: variant.price, countInStock: variant.countInStock };
+};
+
+const isTriggered = (alert, offer) => {
+  if (alert.type === 'back_in_stock') return offer.countInStock > 0;
+
+  if (alert.targetPrice !== undefined && alert.targetPrice !== null) {
+    return offer.price <= alert.targetPrice;
+  }
+  return offer.price < alert.referencePrice;
+};
+
+// Start watching a product for the user, or re-arm an alert that already fired
+const subscribeToAlert = async (userId, productId, { type, variant, targetPrice } = {}) => {
+  if (!ALERT_TYPES.includes(type)) {
+    throw new AppError(`Alert type must be one of: ${ALERT_TYPES.join(', ')}`, 400);
+  }
+
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isActive) {
+    throw new AppError('Product not found', 404);
+  }
+
+  if (variant && product.variants.length === 0) {
+    throw new AppError(`Product ${product.name} has no variants`, 400);
+  }
+
+  const offer = getWatchedOffer(product, variant);
+
+  if (!offer) {
+    throw new AppError(`Variant not found for product: ${product.name}`, 404);
+  }
+
+  if (type === 'back_in_stock' && offer.countInStock > 0) {
+    throw new AppError(`${product.name} is in stock`, 400);
+  }
+
+  if (type === 'price_drop' && targetPrice !== undefined
+    && !(Number(targetPrice) >= 0 && Number(targetPrice) < offer.price)) {
+    throw new AppError('Target price must be below the current price', 400);
+  }
+
+  const hasTarget = type === 'price_drop' && targetPrice !== undefined;
+
+  return ProductAlert.findOneAndUpdate(
+    { user: userId, product: product._id, variant: variant || null, type },
+    {
+      $set: {
+        status: 'active',
+        referencePrice: offer.price,
+        ...(hasTarget ? { targetPrice: Number(targetPrice) } : {})
+      },
+      $unset: {
+        triggeredAt: '',
+        triggeredPrice: '',
+        sentAt: '',
+        ...(hasTarget ? {} : { targetPrice: '' })
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const cancelAlert = async (userId, alertId) => {
+  const alert = await ProductAlert.findOneAndUpdate(
+    { _id: alertId, user: userId, status: { $ne: 'cancelled' } },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+
+  if (!alert) {
+    throw new AppError('Alert not found', 404);
+  }
+
+  return alert;
+};
+
+// Mark the active alerts on these products whose condition now holds; the
+// dispatcher mails them. Call after stock or prices change. Errors are logged,
+// not thrown, so a missed alert never fails the change that caused it.
+const checkProductAlerts = async (productIds) => {
+  try {
+    const ids = [...new Set(productIds.map((id) => id.toString()))];
+    const alerts = await ProductAlert.find({ product: { $in: ids }, status: 'active' });
+
+    if (alerts.length === 0) return 0;
+
+    const products = await Product.find({ _id: { $in: ids } });
+    const productById = new Map(products.map((product) => [product._id.toString(), product]));
+    const now = new Date();
+    const updates = [];
+
+    for (const alert of alerts) {
+      const offer = getWatchedOffer(productById.get(alert.product.toString()), alert.variant);
+
+      // Withdrawn products keep their alerts in case they come back; deleted ones do not
+      if (!offer) {
+        if (!productById.has(alert.product.toString())) {
+          updates.push({
+            updateOne: { filter: { _id: alert._id, status: 'active' }, update: { status: 'cancelled' } }
+          });
+        }
+        continue;
+      }
+
+      if (isTriggered(alert, offer)) {
+        updates.push({
+          updateOne: {
+            filter: { _id: alert._id, status: 'active' },
+            update: { status: 'triggered', triggeredAt: now, triggeredPrice: offer.price }
+          }
+        });
+      }
+    }
+
+    if (updates.length) await ProductAlert.bulkWrite(updates);
+    return updates.length;
+  } catch (error) {
+    console.error('Error checking product alerts:', error);
+    return 0;
+  }
+};
+
+// Unsubscribe links carry "<kind>.<id>.<signature>": kind 'a' for one alert,
+// 'u' for every alert of a user. The HMAC means nothing needs storing.
+const signUnsubscribe = (kind, id) => crypto
+  .createHmac('sha256', String(process.env.JWT_SECRET))
+  .update(`product-alert-unsubscribe:${kind}.${id}`)
+  .digest('base64url');
+
+const createUnsubscribeToken = (kind, id) => `${kind}.${id}.${signUnsubscribe(kind, id)}`;
+
+const getUnsubscribeUrl = (kind, id) => (
+  `${process.env.FRONTEND_URL}/alerts/unsubscribe/${createUnsubscribeToken(kind, id)}`
+);
+
+// Cancel the alert (or all of a user's alerts) named by an unsubscribe token
+const unsubscribeWithToken = async (token) => {
+  const [kind, id, signature] = String(token || '').split('.');
+  const expected = ['a', 'u'].includes(kind) && /^[a-f0-9]{24}$/.test(id || '')
+    ? Buffer.from(signUnsubscribe(kind, id))
+    : null;
+
+  if (!expected || !signature || Buffer.from(signature).length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), expected)) {
+    throw new AppError('Unsubscribe link is invalid', 400);
+  }
+
+  const { modifiedCount } = await ProductAlert.updateMany(
+    { [kind === 'a' ? '_id' : 'user']: id, status: { $in: ['active', 'triggered'] } },
+    { $set: { status: 'cancelled' } }
+  );
+
+  return modifiedCount;
+};
+
+// Mail triggered alerts, one email per user covering all of theirs. Each user's
+// alerts are claimed before sending, so concurrent runs do not mail twice, and
+// go back to triggered when the email cannot be queued so the next run retries.
+// The email is keyed by the alerts and when they triggered, so a retry after a
+// queued email that only looked like a failure does not send a second copy,
+// while an alert subscribed to again and triggered later still gets mailed.
+const dispatchProductAlerts = async () => {
+  const alerts = await ProductAlert.find({ status: 'triggered' })
+    .sort({ triggeredAt: 1 })
+    .limit(getAlertConfig().batchSize)
+    .populate('user', 'firstName email isActive')
+    .populate('product', 'name image price countInStock variants');
+
+  const byUser = new Map();
+  for (const alert of alerts) {
+    if (!alert.user || !alert.product) continue;
+    const key = alert.user._id.toString();
+    byUser.set(key, [...(byUser.get(key) || []), alert]);
+  }
+
+  let sentCount = 0;
+
+  for (const userAlerts of byUser.values()) {
+    const { user } = userAlerts[0];
+    const ids = userAlerts.map((alert) => alert._id);
+
+    const { modifiedCount } = await ProductAlert.updateMany(
+      { _id: { $in: ids }, status: 'triggered' },
+      { $set: { status: 'sent', sentAt: new Date() } }
+    );
+
+    if (modifiedCount === 0 || !user.isActive) continue;
+
+    const items = userAlerts.map((alert) => {
+      const variant = alert.variant ? alert.product.variants.id(alert.variant) : null;
+      const { name, image } = describeItem(alert.product, variant);
+
+      return {
+        type: alert.type,
+        name,
+        image,
+        price: alert.triggeredPrice,
+        previousPrice: alert.referencePrice,
+        url: `${process.env.FRONTEND_URL}/product/${alert.product._id}`,
+        unsubscribeUrl: getUnsubscribeUrl('a', alert._id)
+      };
+    });
+
+    const dedupeKey = `product-alert:${userAlerts
+      .map((alert) => `${alert._id}@${alert.triggeredAt.getTime()}`)
+      .sort()
+      .join(',')}`;
+
+    try {
+      await sendProductAlertEmail(user, items, getUnsubscribeUrl('u', user._id), { dedupeKey });
+    } catch (error) {
+      await ProductAlert.updateMany(
+        { _id: { $in: ids }, status: 'sent' },
+        { $set: { status: 'triggered' }, $unset: { sentAt: '' } }
+      );
+      console.error(`Product alert email for user ${user._id} could not be queued:`, error.message);
+      continue;
+    }
+
+    sentCount += items.length;
+  }
+
+  // Alerts whose user or product has been deleted can never be sent
+  const orphaned = alerts.filter((alert) => !alert.user || !alert.product);
+  if (orphaned.length) {
+    await ProductAlert.updateMany(
+      { _id: { $in: orphaned.map((alert) => alert._id) } },
+      { $set: { status: 'cancelled' } }
+    );
+  }
+
+  return sentCount;
+};
+
+// Periodically mail triggered alerts; started by startBackgroundJobs (utils/backgroundJobs.js)
+const startProductAlertDispatcher = (intervalMs = 5 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    dispatchProductAlerts().catch((error) => {
+      console.error('Product alert dispatch failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+export {
+  ALERT_TYPES,
+  subscribeToAlert,
+  cancelAlert,
+  checkProductAlerts,
+  unsubscribeWithToken,
+  dispatchProductAlerts,
+  startProductAlertDispatcher
+};
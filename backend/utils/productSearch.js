@@ -0,0 +1,247 @@
+import Product from '../models/productModel.js';
+import { AppError } from './errorHandler.js';
+import { getInactiveCategoryIds, getCategoryIdsWithDescendants } from './categories.js';
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000, 2000];
+
+const SORTS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { rating: -1, numReviews: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  // Most reviewed first, as the best signal of how much a product is bought
+  popularity: { numReviews: -1, rating: -1, _id: 1 }
+};
+
+// Accept a=1&a=2, a[]=1 and a=1,2 alike
+const toList = (value) => {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new AppError(`Invalid ${name}`, 400);
+  }
+  return number;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match on any of the values
+const anyOf = (values) => ({
+  $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i'))
+});
+
+const getPagination = (query) => {
+  const page = Math.max(Number.parseInt(query.pageNumber, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(Number.parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, pageSize };
+};
+
+// Filters grouped by facet, so each facet can be counted without its own filter.
+// Categories are given as ids or slugs and include their subcategories.
+// Specification filters come in as spec[key]=value.
+const buildFilters = async (query, inactiveCategoryIds) => {
+  const filters = {};
+
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    filters.category = {
+      category: { $in: await getCategoryIdsWithDescendants(categories, inactiveCategoryIds) }
+    };
+  }
+
+  const brands = toList(query.brand);
+  if (brands.length > 0) {
+    filters.brand = { brand: anyOf(brands) };
+  }
+
+  const minPrice = toNumber(query.minPrice, 'minPrice');
+  const maxPrice = toNumber(query.maxPrice, 'maxPrice');
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const range = {};
+    if (minPrice !== undefined) range.$gte = minPrice;
+    if (maxPrice !== undefined) range.$lte = maxPrice;
+
+    // A product with variants matches when any variant is in range
+    filters.price = {
+      $or: [
+        { price: range },
+        { variants: { $elemMatch: { isActive: true, price: range } } }
+      ]
+    };
+  }
+
+  const other = [];
+
+  const minRating = toNumber(query.minRating, 'minRating');
+  if (minRating !== undefined) {
+    other.push({ rating: { $gte: minRating } });
+  }
+
+  if (query.inStock === 'true') {
+    other.push({ countInStock: { $gt: 0 } });
+  }
+
+  if (query.spec && typeof query.spec === 'object') {
+    for (const [key, value] of Object.entries(query.spec)) {
+      if (!/^[\w -]+$/.test(key)) {
+        throw new AppError(`Invalid specification filter: ${key}`, 400);
+      }
+      other.push({ [`specifications.${key}`]: anyOf(toList(value)) });
+    }
+  }
+
+  if (other.length > 0) {
+    filters.other = { $and: other };
+  }
+
+  return filters;
+};
+
+// Combine every filter except the excluded facet's
+const combineFilters = (filters, exclude) => {
+  const parts = Object.entries(filters)
+    .filter(([name]) => name !== exclude)
+    .map(([, filter]) => filter);
+  return parts.length > 0 ? { $and: parts } : {};
+};
+
+const countBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+const countByCategory = [
+  ...countBy('category'),
+  {
+    $lookup: {
+      from: 'categories',
+      localField: 'value',
+      foreignField: '_id',
+      as: 'category'
+    }
+  },
+  { $unwind: '$category' },
+  {
+    $project: {
+      value: 1,
+      count: 1,
+      name: '$category.name',
+      slug: '$category.slug'
+    }
+  }
+];
+
+// Counts per brand, category and price bucket for the storefront's filter sidebar.
+// Each facet ignores its own filter so the other options stay visible.
+const getFacets = async (baseMatch, filters) => {
+  const [facets] = await Product.aggregate([
+    { $match: baseMatch },
+    {
+      $facet: {
+        brands: [{ $match: combineFilters(filters, 'brand') }, ...countBy('brand')],
+        categories: [{ $match: combineFilters(filters, 'category') }, ...countByCategory],
+        priceRanges: [
+          { $match: combineFilters(filters, 'price') },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    brands: facets.brands,
+    categories: facets.categories,
+    priceRanges: facets.priceRanges
+      .filter((bucket) => bucket._id !== 'other')
+      .map((bucket) => {
+        const index = PRICE_BUCKETS.indexOf(bucket._id);
+        return {
+          min: bucket._id,
+          max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+          count: bucket.count
+        };
+      })
+  };
+};
+
+// Search active products from the query string of GET /api/products.
+//   keyword                      - text search over name, brand, specifications, description
+//   category                     - one or more category ids or slugs, with subcategories
+//   brand                        - one or more brands
+//   minPrice, maxPrice           - price range
+//   minRating, inStock=true      - rating floor, only products in stock
+//   spec[key]=value              - specification values
+//   sort                         - relevance (default with a keyword), price_asc,
+//                                  price_desc, rating, newest (default), popularity
+//   pageNumber, pageSize         - pagination, pageSize up to MAX_PAGE_SIZE
+const searchProducts = async (query) => {
+  const { page, pageSize } = getPagination(query);
+  const keyword = typeof query.keyword === 'string' ? query.keyword.trim() : '';
+  const sortKey = query.sort || (keyword ? 'relevance' : 'newest');
+
+  if (sortKey === 'relevance' ? !keyword : !SORTS[sortKey]) {
+    throw new AppError(`Invalid sort: ${sortKey}`, 400);
+  }
+
+  // Products in an inactive category are hidden along with it
+  const inactiveCategoryIds = await getInactiveCategoryIds();
+  const baseMatch = { isActive: true, category: { $nin: inactiveCategoryIds } };
+  if (keyword) {
+    baseMatch.$text = { $search: keyword };
+  }
+
+  const filters = await buildFilters(query, inactiveCategoryIds);
+  const match = { ...baseMatch, ...combineFilters(filters) };
+
+  const sort = sortKey === 'relevance'
+    ? { score: { $meta: 'textScore' }, _id: 1 }
+    : SORTS[sortKey];
+
+  const [total, products, facets] = await Promise.all([
+    Product.countDocuments(match),
+    Product.find(match, keyword ? { score: { $meta: 'textScore' } } : {})
+      .select('-reviews')
+      .populate('category', 'name slug')
+      .sort(sort)
+      .limit(pageSize)
+      .skip(pageSize * (page - 1)),
+    getFacets(baseMatch, filters)
+  ]);
+
+  return {
+    products,
+    page,
+    pages: Math.ceil(total / pageSize),
+    pageSize,
+    total,
+    facets
+  };
+};
+
+export {
+  searchProducts
+};
@@ -0,0 +1,318 @@
+import Coupon from '../models/couponModel.js';
+import CouponRedemption from '../models/couponRedemptionModel.js';
+import { AppError } from './errorHandler.js';
+import { roundMoney } from './pricing.js';
+import { getCategoryLineage } from './categories.js';
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const isWithinWindow = (coupon, now) => (!coupon.startsAt || coupon.startsAt <= now)
+  && (!coupon.endsAt || coupon.endsAt >= now);
+
+// Whether a product falls under the coupon's product/brand/category restrictions.
+// The product's category must be populated with its ancestors to match subcategories.
+const matchesCoupon = (coupon, product) => {
+  const { products = [], brands = [], categories = [] } = coupon.appliesTo || {};
+
+  if (products.length === 0 && brands.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const lineage = getCategoryLineage(product.category);
+
+  return products.some((id) => id.toString() === product._id.toString())
+    || brands.some((brand) => sameText(brand, product.brand))
+    || categories.some((category) => lineage.includes(category.toString()));
+};
+
+// Why the coupon cannot be used on this order, or null when it can
+const getIneligibilityReason = async (coupon, { itemsPrice, user, now }) => {
+  if (!coupon.isActive || !isWithinWindow(coupon, now)) {
+    return 'is not active';
+  }
+
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return 'has reached its usage limit';
+  }
+
+  if (itemsPrice < coupon.minOrderValue) {
+    return `requires a minimum order of $${coupon.minOrderValue.toFixed(2)}`;
+  }
+
+  if (coupon.perUserLimit != null) {
+    if (!user) {
+      return 'requires you to log in';
+    }
+
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: user._id,
+      status: 'active'
+    });
+
+    if (used >= coupon.perUserLimit) {
+      return 'has already been used the maximum number of times';
+    }
+  }
+
+  return null;
+};
+
+// Spread an amount over lines in proportion to their remaining value, in whole
+// cents, never taking a line below zero. Returns Map(lineIndex -> amount).
+const allocate = (amount, indexes, remaining) => {
+  const allocation = new Map();
+  const available = indexes.map((i) => Math.round(remaining[i] * 100));
+  const base = available.reduce((acc, cents) => acc + cents, 0);
+
+  if (base <= 0) return allocation;
+
+  const total = Math.min(Math.round(amount * 100), base);
+  const shares = available.map((cents) => Math.floor((total * cents) / base));
+  let leftover = total - shares.reduce((acc, cents) => acc + cents, 0);
+
+  for (let n = 0; leftover > 0 && n < shares.length; n += 1) {
+    if (shares[n] < available[n]) {
+      shares[n] += 1;
+      leftover -= 1;
+    }
+  }
+
+  indexes.forEach((i, n) => {
+    if (shares[n] > 0) allocation.set(i, shares[n] / 100);
+  });
+
+  return allocation;
+};
+
+// Discount the cheapest eligible units: every buyQuantity + getQuantity units,
+// getQuantity of them are discounted by getDiscountPercent
+const allocateBuyXGetY = (coupon, indexes, lines, remaining) => {
+  const units = indexes.flatMap((i) => Array.from(
+    { length: lines[i].quantity },
+    () => ({ line: i, price: remaining[i] / lines[i].quantity })
+  ));
+  units.sort((a, b) => a.price - b.price);
+
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  const discountedUnits = Math.floor(units.length / groupSize) * coupon.getQuantity;
+
+  const allocation = new Map();
+  for (const unit of units.slice(0, discountedUnits)) {
+    const discount = (unit.price * coupon.getDiscountPercent) / 100;
+    allocation.set(unit.line, roundMoney((allocation.get(unit.line) || 0) + discount));
+  }
+
+  return allocation;
+};
+
+// Work out every discount for a set of priced lines. Codes the customer entered are
+// applied first and fail loudly when they cannot be used; automatic promotions are
+// then added where they are eligible and stacking allows.
+//   lines        - [{ product, price, quantity }] as built by buildOrderQuote
+//   productsById - Map of the lines' Product documents, categories populated with ancestors
+// Returns the applied discounts, each line's discount and the shipping discount.
+const applyPromotions = async ({
+  lines,
+  productsById,
+  itemsPrice,
+  shippingPrice,
+  couponCodes = [],
+  user
+}) => {
+  if (!Array.isArray(couponCodes)) {
+    throw new AppError('Coupon codes must be a list', 400);
+  }
+
+  const now = new Date();
+  const codes = [...new Set(couponCodes.filter(Boolean).map(normalizeCode))];
+
+  const entered = codes.length > 0 ? await Coupon.find({ code: { $in: codes } }) : [];
+  const missing = codes.find((code) => !entered.some((coupon) => coupon.code === code));
+
+  if (missing) {
+    throw new AppError(`Invalid coupon code: ${missing}`, 400);
+  }
+
+  const automatic = await Coupon.find({
+    autoApply: true,
+    isActive: true,
+    _id: { $nin: entered.map((coupon) => coupon._id) }
+  }).sort({ priority: -1 });
+
+  const candidates = [
+    ...entered.map((coupon) => ({ coupon, isEntered: true })),
+    ...automatic.map((coupon) => ({ coupon, isEntered: false }))
+  ];
+
+  const remaining = lines.map((line) => line.price * line.quantity);
+  let shippingRemaining = shippingPrice;
+  const applied = [];
+
+  for (const { coupon, isEntered } of candidates) {
+    const reject = (reason) => {
+      if (isEntered) {
+        throw new AppError(`Coupon ${coupon.code} ${reason}`, 400);
+      }
+    };
+
+    const reason = await getIneligibilityReason(coupon, { itemsPrice, user, now });
+    if (reason) {
+      reject(reason);
+      continue;
+    }
+
+    if (applied.length > 0 && (!coupon.stackable || applied.some((a) => !a.coupon.stackable))) {
+      reject('cannot be combined with other offers');
+      continue;
+    }
+
+    const eligible = lines
+      .map((line, i) => i)
+      .filter((i) => matchesCoupon(coupon, productsById.get(lines[i].product.toString())));
+
+    let lineAmounts = new Map();
+    let shippingAmount = 0;
+
+    if (coupon.type === 'percentage') {
+      const base = eligible.reduce((acc, i) => acc + remaining[i], 0);
+      lineAmounts = allocate((base * Math.min(coupon.value, 100)) / 100, eligible, remaining);
+    } else if (coupon.type === 'fixed') {
+      lineAmounts = allocate(coupon.value, eligible, remaining);
+    } else if (coupon.type === 'free_shipping') {
+      shippingAmount = eligible.length > 0 ? shippingRemaining : 0;
+    } else if (coupon.type === 'buy_x_get_y') {
+      lineAmounts = allocateBuyXGetY(coupon, eligible, lines, remaining);
+    }
+
+    const linesTotal = [...lineAmounts.values()].reduce((acc, amount) => acc + amount, 0);
+
+    if (linesTotal + shippingAmount <= 0) {
+      reject('does not apply to the items in your order');
+      continue;
+    }
+
+    for (const [i, amount] of lineAmounts) {
+      remaining[i] -= amount;
+    }
+    shippingRemaining -= shippingAmount;
+
+    applied.push({ coupon, amount: roundMoney(linesTotal + shippingAmount) });
+  }
+
+  return {
+    discounts: applied.map(({ coupon, amount }) => ({
+      coupon: coupon._id,
+      code: coupon.code,
+      name: coupon.name,
+      type: coupon.type,
+      amount
+    })),
+    lineDiscounts: lines.map((line, i) => roundMoney(line.price * line.quantity - remaining[i])),
+    shippingDiscount: roundMoney(shippingPrice - shippingRemaining)
+  };
+};
+
+// The first of the user's perUserLimit slots for the coupon that no active
+// redemption holds, or null when all of them are taken
+const findFreeSlot = async (coupon, userId, session) => {
+  const redemptions = await CouponRedemption.find({
+    coupon: coupon._id,
+    user: userId,
+    status: 'active'
+  }).select('slot').session(session);
+
+  // Redemptions saved before slots existed still count towards the limit
+  if (redemptions.length >= coupon.perUserLimit) return null;
+
+  const taken = new Set(redemptions.map((redemption) => redemption.slot));
+  let slot = 0;
+  while (taken.has(slot)) slot += 1;
+  return slot;
+};
+
+// Count the order's coupons against their limits. Runs inside the order placement
+// transaction; the conditional increment stops a coupon going over its global limit
+// and the unique slot index stops a user going over their own.
+const redeemCoupons = async (order, session) => {
+  for (const discount of order.discounts) {
+    const coupon = await Coupon.findById(discount.coupon).session(session);
+    const usedUp = () => new AppError(
+      `Coupon ${discount.code || discount.name} has already been used the maximum number of times`,
+      409
+    );
+
+    let slot;
+    if (coupon && coupon.perUserLimit != null) {
+      slot = await findFreeSlot(coupon, order.user, session);
+
+      if (slot === null) {
+        throw usedUp();
+      }
+    }
+
+    const { modifiedCount } = await Coupon.updateOne(
+      {
+        _id: discount.coupon,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { session }
+    );
+
+    if (modifiedCount === 0) {
+      throw new AppError(`Coupon ${discount.code || discount.name} has reached its usage limit`, 409);
+    }
+
+    try {
+      await CouponRedemption.create([{
+        coupon: discount.coupon,
+        user: order.user,
+        order: order._id,
+        code: discount.code,
+        amount: discount.amount,
+        slot
+      }], { session });
+    } catch (error) {
+      // Another order of the same user took the slot first
+      if (error.code === 11000) {
+        throw usedUp();
+      }
+      throw error;
+    }
+  }
+};
+
+// Give back the coupon uses of a cancelled or fully refunded order. Safe to call
+// more than once: only redemptions still active are reversed.
+const releaseCouponRedemptions = async (orderId, session) => {
+  const redemptions = await CouponRedemption.find({ order: orderId, status: 'active' })
+    .session(session);
+
+  for (const redemption of redemptions) {
+    const { modifiedCount } = await CouponRedemption.updateOne(
+      { _id: redemption._id, status: 'active' },
+      { status: 'reversed', reversedAt: new Date() },
+      { session }
+    );
+
+    if (modifiedCount > 0) {
+      await Coupon.updateOne(
+        { _id: redemption.coupon },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+    }
+  }
+};
+
+export {
+  matchesCoupon,
+  applyPromotions,
+  redeemCoupons,
+  releaseCouponRedemptions
+};
@@ -0,0 +1,97 @@
+import RateLimit from '../models/rateLimitModel.js';
+
+// Rate limit stores count hits per key in fixed windows. Every store offers:
+//   increment(key, windowMs) -> { count, resetAt }  count including this hit
+//   get(key)                 -> { count, resetAt } or null when no window is open
+//   reset(key)
+// The memory store suits a single process; use the MongoDB store when the API
+// runs on several instances so they share counters.
+
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const buckets = new Map();
+
+  const current = (key, now = Date.now()) => {
+    const bucket = buckets.get(key);
+    if (bucket && bucket.resetAt.getTime() <= now) {
+      buckets.delete(key);
+      return null;
+    }
+    return bucket || null;
+  };
+
+  // Drop expired windows now and then so idle keys do not pile up
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt.getTime() <= now) buckets.delete(key);
+    }
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const bucket = current(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+      bucket.count += 1;
+      buckets.set(key, bucket);
+      return { ...bucket };
+    },
+
+    async get(key) {
+      const bucket = current(key);
+      return bucket ? { ...bucket } : null;
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    }
+  };
+};
+
+const createMongoStore = () => ({
+  // One atomic upsert: a lapsed window restarts at 1, an open one counts up
+  async increment(key, windowMs) {
+    const now = new Date();
+    const isOpen = { $gt: ['$resetAt', now] };
+
+    const bucket = await RateLimit.collection.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          key,
+          count: { $cond: [isOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [isOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  },
+
+  async get(key) {
+    const bucket = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+    return bucket ? { count: bucket.count, resetAt: bucket.resetAt } : null;
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+});
+
+let defaultStore;
+
+// The store named by RATE_LIMIT_STORE ('memory' or 'mongo'), created on first use
+const getRateLimitStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'mongo'
+      ? createMongoStore()
+      : createMemoryStore();
+  }
+  return defaultStore;
+};
+
+export {
+  createMemoryStore,
+  createMongoStore,
+  getRateLimitStore
+};
@@ -0,0 +1,269 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import { processRefund } from '../config/stripe.js';
+import { AppError } from './errorHandler.js';
+import { roundMoney } from './pricing.js';
+import { restoreStock } from './inventory.js';
+import { checkProductAlerts } from './productAlerts.js';
+import { canTransition, applyTransition } from './orderLifecycle.js';
+import { releaseCouponRedemptions } from './promotions.js';
+import { nextCreditNoteNumber } from './invoices.js';
+
+// Half a cent of slack for float sums of refunded amounts
+const CENT_TOLERANCE = 0.005;
+
+// What is still available to refund from the captured payment
+const getRefundableAmount = (order) => {
+  if (!order.isPaid) return 0;
+  return Math.max(0, roundMoney(order.totalPrice - order.amountRefunded));
+};
+
+const getRemainingQuantity = (orderItem) => orderItem.quantity - (orderItem.refundedQuantity || 0);
+
+// Resolve [{ itemId, quantity }] against the order's lines. A missing quantity
+// means everything on that line not refunded yet.
+const resolveRefundItems = (order, items) => {
+  const quantities = new Map();
+
+  for (const { itemId, quantity } of items) {
+    const orderItem = order.orderItems.id(itemId);
+
+    if (!orderItem) {
+      throw new AppError(`Order item not found: ${itemId}`, 404);
+    }
+
+    const requested = quantity === undefined ? getRemainingQuantity(orderItem) : Number(quantity);
+
+    if (!Number.isInteger(requested) || requested < 1) {
+      throw new AppError(`Invalid refund quantity for ${orderItem.name}`, 400);
+    }
+
+    quantities.set(orderItem, (quantities.get(orderItem) || 0) + requested);
+  }
+
+  return [...quantities].map(([orderItem, quantity]) => {
+    if (quantity > getRemainingQuantity(orderItem)) {
+      throw new AppError(
+        `Cannot refund more than ${getRemainingQuantity(orderItem)} of ${orderItem.name}`,
+        400
+      );
+    }
+
+    return { orderItem, quantity };
+  });
+};
+
+// What the customer paid for the units: line price less their share of the line's
+// discount, plus their proportional share of the order's tax
+const calculateItemsRefundAmount = (order, lines) => {
+  const taxableBase = order.orderItems.reduce(
+    (acc, item) => acc + item.price * item.quantity - (item.discount || 0),
+    0
+  );
+
+  return roundMoney(lines.reduce((acc, { orderItem, quantity }) => {
+    const discount = ((orderItem.discount || 0) * quantity) / orderItem.quantity;
+    const subtotal = orderItem.price * quantity - discount;
+    const tax = taxableBase > 0 ? order.taxPrice * (subtotal / taxableBase) : 0;
+    return acc + subtotal + tax;
+  }, 0));
+};
+
+// Bring the refund flags and status in line with amountRefunded. The status only
+// moves where the lifecycle allows it: a partial refund before delivery leaves
+// fulfilment of the remaining items alone, and a cancelled order stays cancelled.
+const applyRefundStatus = (order, { actor, user } = {}) => {
+  const fullyRefunded = order.amountRefunded >= order.totalPrice - CENT_TOLERANCE;
+  const target = fullyRefunded ? 'Refunded' : 'PartiallyRefunded';
+
+  if (fullyRefunded) {
+    order.isRefunded = true;
+    order.refundedAt = order.refundedAt || new Date();
+  }
+
+  if (order.amountRefunded > 0 && canTransition(order.orderStatus, target)) {
+    applyTransition(order, target, {
+      actor,
+      user,
+      note: `$${order.amountRefunded.toFixed(2)} refunded in total`
+    });
+  }
+
+  return order;
+};
+
+// Refund an order in full, by amount or by selected items and quantities.
+// The amount and item quantities are claimed with one conditional update before
+// Stripe is called, so concurrent refunds can never add up to more than was captured.
+const refundOrder = async (order, {
+  amount,
+  items,
+  reason,
+  restock = true,
+  actor = 'admin',
+  user
+} = {}) => {
+  if (!order.isPaid) {
+    throw new AppError('Order has not been paid', 400);
+  }
+
+  const refundable = getRefundableAmount(order);
+
+  if (refundable <= 0) {
+    throw new AppError('Order has already been fully refunded', 400);
+  }
+
+  let lines = [];
+  if (items && items.length > 0) {
+    lines = resolveRefundItems(order, items);
+  } else if (amount === undefined) {
+    // Full refund of whatever is left
+    lines = order.orderItems
+      .filter((orderItem) => getRemainingQuantity(orderItem) > 0)
+      .map((orderItem) => ({ orderItem, quantity: getRemainingQuantity(orderItem) }));
+  }
+
+  let refundAmount;
+  if (amount !== undefined) {
+    refundAmount = roundMoney(amount);
+  } else if (items && items.length > 0) {
+    refundAmount = Math.min(calculateItemsRefundAmount(order, lines), refundable);
+  } else {
+    refundAmount = refundable;
+  }
+
+  if (!(refundAmount > 0)) {
+    throw new AppError('Refund amount must be greater than zero', 400);
+  }
+
+  if (refundAmount > refundable) {
+    throw new AppError(`Refund amount exceeds the refundable balance of $${refundable.toFixed(2)}`, 400);
+  }
+
+  const inc = { amountRefunded: refundAmount };
+  const arrayFilters = [];
+  lines.forEach(({ orderItem, quantity }, index) => {
+    inc[`orderItems.$[item${index}].refundedQuantity`] = quantity;
+    arrayFilters.push({ [`item${index}._id`]: orderItem._id });
+  });
+
+  const claimFilter = {
+    _id: order._id,
+    isPaid: true,
+    // $not/$gt so orders saved before these fields existed still match
+    amountRefunded: { $not: { $gt: order.totalPrice - refundAmount + CENT_TOLERANCE } }
+  };
+  if (lines.length > 0) {
+    claimFilter.$and = lines.map(({ orderItem, quantity }) => ({
+      orderItems: {
+        $elemMatch: {
+          _id: orderItem._id,
+          refundedQuantity: { $not: { $gt: orderItem.quantity - quantity } }
+        }
+      }
+    }));
+  }
+
+  const claimed = await Order.findOneAndUpdate(claimFilter, { $inc: inc }, { arrayFilters, new: true });
+
+  if (!claimed) {
+    throw new AppError('Order was refunded by another request, please review and try again', 409);
+  }
+
+  // Keyed on the claim, so a retry after Stripe refunded but timed out on us
+  // gets the same refund back instead of making a second one
+  const idempotencyKey = `refund-${order._id}-${claimed.refunds.length + 1}-${roundMoney(claimed.amountRefunded)}`;
+
+  let stripeRefund;
+  try {
+    stripeRefund = await processRefund(order.paymentResult.id, refundAmount, {
+      metadata: { orderId: order._id.toString(), reason: reason || '' },
+      idempotencyKey
+    });
+  } catch (error) {
+    // Give the claimed amount and quantities back
+    const undo = Object.fromEntries(Object.entries(inc).map(([path, value]) => [path, -value]));
+    await Order.updateOne({ _id: order._id }, { $inc: undo }, { arrayFilters });
+
+    throw new AppError(`Refund processing failed: ${error.message}`, 502);
+  }
+
+  let shouldRestock = false;
+
+  const refundedOrder = await mongoose.connection.transaction(async (session) => {
+    const current = await Order.findById(order._id).session(session);
+
+    // Stock of a cancelled order was already given back when it was cancelled
+    shouldRestock = restock && current.orderStatus !== 'Cancelled';
+
+    current.refunds.push({
+      stripeRefundId: stripeRefund.id,
+      creditNoteNumber: await nextCreditNoteNumber(session),
+      amount: refundAmount,
+      reason,
+      status: stripeRefund.status,
+      source: 'admin',
+      refundedBy: user,
+      items: lines.map(({ orderItem, quantity }) => ({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        variant: orderItem.variant,
+        quantity,
+        restockedQuantity: shouldRestock ? quantity : 0
+      }))
+    });
+
+    if (shouldRestock) {
+      await restoreStock(
+        lines.map(({ orderItem, quantity }) => ({
+          product: orderItem.product,
+          variant: orderItem.variant,
+          quantity
+        })),
+        session
+      );
+    }
+
+    applyRefundStatus(current, { actor, user });
+
+    // A fully refunded order no longer counts towards coupon limits
+    if (current.isRefunded) {
+      await releaseCouponRedemptions(current._id, session);
+    }
+
+    return current.save({ session });
+  });
+
+  if (shouldRestock) {
+    await checkProductAlerts(lines.map(({ orderItem }) => orderItem.product));
+  }
+
+  return refundedOrder;
+};
+
+// Record refunds made outside the API (e.g. on the Stripe dashboard) from a
+// charge.refunded event. Refunds issued by refundOrder are already counted.
+const reconcileChargeRefunds = (order, charge) => {
+  const missing = roundMoney(charge.amount_refunded / 100 - order.amountRefunded);
+
+  if (missing > 0) {
+    const latestRefund = charge.refunds && charge.refunds.data ? charge.refunds.data[0] : null;
+
+    order.amountRefunded = roundMoney(order.amountRefunded + missing);
+    order.refunds.push({
+      stripeRefundId: latestRefund ? latestRefund.id : undefined,
+      amount: missing,
+      reason: latestRefund ? latestRefund.reason : undefined,
+      status: 'succeeded',
+      source: 'stripe'
+    });
+  }
+
+  return applyRefundStatus(order, { actor: 'payment' });
+};
+
+export {
+  getRefundableAmount,
+  refundOrder,
+  reconcileChargeRefunds
+};
@@ -0,0 +1,610 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import ReturnRequest from '../models/returnRequestModel.js';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+import { getCarrier } from './carriers.js';
+import { getCategoryReturnWindow } from './categories.js';
+import { reserveStock, restoreStock } from './inventory.js';
+import { buildHistoryEntry } from './orderLifecycle.js';
+import { checkProductAlerts } from './productAlerts.js';
+import { getRefundableAmount, refundOrder } from './refunds.js';
+import { sendReturnStatusEmail } from './sendEmail.js';
+import { resolveVariant, describeItem } from './variants.js';
+
+// Return settings are read on every call so they pick up env changes after startup
+//   windowDays - days after delivery items can be returned, unless their category
+//                sets its own window
+//   carrier    - carrier that issues return labels (see utils/carriers.js)
+//   maxPhotos  - photos a customer can attach per item
+const getReturnConfig = () => ({
+  windowDays: Number(process.env.RETURN_WINDOW_DAYS ?? 30),
+  carrier: process.env.RETURNS_CARRIER || 'fake',
+  maxPhotos: Number(process.env.RETURN_MAX_PHOTOS ?? 5)
+});
+
+// Orders whose items can be returned
+const RETURNABLE_ORDER_STATUSES = ['Delivered', 'PartiallyRefunded'];
+
+// Returns still holding on to their items' quantities
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+const RETURN_REASONS = ReturnRequest.schema.path('items').schema.path('reason').enumValues;
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+const generateRmaNumber = () => `RMA-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const findReturn = async (returnId) => {
+  const returnRequest = await ReturnRequest.findById(returnId);
+
+  if (!returnRequest) {
+    throw new AppError('Return not found', 404);
+  }
+
+  return returnRequest;
+};
+
+const historyEntry = (status, { user, note } = {}) => ({ status, user, note, at: new Date() });
+
+// Email the customer about the return's current status
+const notifyCustomer = async (returnRequest) => {
+  const [order, customer] = await Promise.all([
+    Order.findById(returnRequest.order),
+    User.findById(returnRequest.user)
+  ]);
+
+  if (order && customer) {
+    await sendReturnStatusEmail(returnRequest, order, customer);
+  }
+};
+
+// Quantities of each order line taken by other returns: open ones, plus
+// exchanges (refunded returns already show in the line's refundedQuantity)
+const getClaimedQuantities = async (orderId, session) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    $or: [
+      { status: { $in: OPEN_RETURN_STATUSES } },
+      { status: 'completed', 'resolution.type': 'exchange' }
+    ]
+  }).session(session || null);
+
+  const claimed = new Map();
+
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      const quantity = returnRequest.status === 'completed' || returnRequest.status === 'received'
+        ? item.receivedQuantity || 0
+        : item.quantity;
+      const key = item.orderItem.toString();
+      claimed.set(key, (claimed.get(key) || 0) + quantity);
+    }
+  }
+
+  return claimed;
+};
+
+// Days each product can be returned for, from its category
+const getReturnWindows = async (order) => {
+  const { windowDays } = getReturnConfig();
+  const products = await Product.find({ _id: { $in: order.orderItems.map((item) => item.product) } })
+    .select('category');
+
+  const windowsByCategory = new Map();
+  const windows = new Map();
+
+  for (const product of products) {
+    const categoryKey = product.category ? product.category.toString() : null;
+
+    if (categoryKey && !windowsByCategory.has(categoryKey)) {
+      windowsByCategory.set(categoryKey, await getCategoryReturnWindow(product.category));
+    }
+
+    const days = categoryKey ? windowsByCategory.get(categoryKey) : null;
+    windows.set(product._id.toString(), days ?? windowDays);
+  }
+
+  return (productId) => windows.get(productId.toString()) ?? windowDays;
+};
+
+// What the customer can still return from an order, line by line. Unavailable
+// lines carry the reason in `unavailable`.
+const getReturnableItems = async (order, session) => {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.orderStatus) || !order.deliveredAt) {
+    return order.orderItems.map((item) => ({
+      orderItem: item._id,
+      name: item.name,
+      quantity: 0,
+      unavailable: 'Only delivered orders can be returned'
+    }));
+  }
+
+  const [claimed, getWindowDays] = await Promise.all([
+    getClaimedQuantities(order._id, session),
+    getReturnWindows(order)
+  ]);
+  const now = Date.now();
+
+  return order.orderItems.map((item) => {
+    const days = getWindowDays(item.product);
+    const returnBy = new Date(order.deliveredAt.getTime() + days * 24 * 60 * 60 * 1000);
+    const quantity = Math.max(
+      0,
+      item.quantity - (item.refundedQuantity || 0) - (claimed.get(item._id.toString()) || 0)
+    );
+
+    let unavailable;
+    if (days === 0) {
+      unavailable = 'This item cannot be returned';
+    } else if (returnBy.getTime() < now) {
+      unavailable = `The return window closed on ${returnBy.toISOString().slice(0, 10)}`;
+    } else if (quantity === 0) {
+      unavailable = 'Already returned or refunded';
+    }
+
+    return {
+      orderItem: item._id,
+      product: item.product,
+      variant: item.variant,
+      name: item.name,
+      quantity: unavailable ? 0 : quantity,
+      returnBy: days === 0 ? undefined : returnBy,
+      unavailable
+    };
+  });
+};
+
+const validatePhotos = (photos, name) => {
+  if (photos === undefined) return [];
+
+  const { maxPhotos } = getReturnConfig();
+
+  if (!Array.isArray(photos) || photos.length > maxPhotos) {
+    throw new AppError(`Attach at most ${maxPhotos} photos for ${name}`, 400);
+  }
+
+  return photos.map((photo) => {
+    let url;
+    try {
+      url = new URL(String(photo));
+    } catch (error) {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new AppError(`Invalid photo URL for ${name}`, 400);
+    }
+
+    return url.toString();
+  });
+};
+
+// Resolve the requested items against what is returnable into return lines
+const resolveReturnItems = (returnable, items) => {
+  const requested = new Map();
+
+  for (const { itemId, quantity, reason, comment, photos } of items) {
+    const line = returnable.find((entry) => sameId(entry.orderItem, itemId));
+
+    if (!line) {
+      throw new AppError(`Order item not found: ${itemId}`, 404);
+    }
+
+    if (line.unavailable) {
+      throw new AppError(`${line.name}: ${line.unavailable}`, 400);
+    }
+
+    if (!RETURN_REASONS.includes(reason)) {
+      throw new AppError(`Reason must be one of: ${RETURN_REASONS.join(', ')}`, 400);
+    }
+
+    const count = quantity === undefined ? line.quantity : Number(quantity);
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new AppError(`Invalid return quantity for ${line.name}`, 400);
+    }
+
+    if (count + (requested.get(line) || []).reduce((acc, entry) => acc + entry.quantity, 0) > line.quantity) {
+      throw new AppError(`Cannot return more than ${line.quantity} of ${line.name}`, 400);
+    }
+
+    requested.set(line, [...(requested.get(line) || []), {
+      orderItem: line.orderItem,
+      product: line.product,
+      variant: line.variant,
+      name: line.name,
+      quantity: count,
+      reason,
+      comment,
+      photos: validatePhotos(photos, line.name)
+    }]);
+  }
+
+  return [...requested.values()].flat();
+};
+
+// Open a return for items of the customer's delivered order.
+//   items - [{ itemId, quantity, reason, comment, photos }]; a missing quantity
+//           means everything returnable on that line
+const createReturnRequest = async (order, user, { items, preferredResolution = 'refund' }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Choose the items to return', 400);
+  }
+
+  if (!['refund', 'exchange'].includes(preferredResolution)) {
+    throw new AppError('Preferred resolution must be refund or exchange', 400);
+  }
+
+  const returnRequest = await mongoose.connection.transaction(async (session) => {
+    // Touching the order makes returns opened at the same time for it conflict,
+    // so together they cannot claim more than was delivered
+    const current = await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!current) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const lines = resolveReturnItems(await getReturnableItems(current, session), items);
+
+    return new ReturnRequest({
+      rmaNumber: generateRmaNumber(),
+      order: order._id,
+      user: user._id,
+      items: lines,
+      preferredResolution,
+      history: [historyEntry('requested', { user: user._id })]
+    }).save({ session });
+  });
+
+  await notifyCustomer(returnRequest);
+  return returnRequest;
+};
+
+// Move a return from one status to the next with a conditional update, so two
+// staff acting at once cannot both apply a step
+const claimStatus = async (returnId, from, to, { set = {}, user, note } = {}) => {
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: returnId, status: { $in: [].concat(from) } },
+    {
+      $set: { ...set, status: to },
+      $push: { history: historyEntry(to, { user, note }) }
+    },
+    { new: true }
+  );
+
+  if (!returnRequest) {
+    const existing = await findReturn(returnId);
+    throw new AppError(`Cannot change a return that is ${existing.status} to ${to}`, 400);
+  }
+
+  return returnRequest;
+};
+
+// The customer withdraws a return before the items arrive
+const cancelReturnRequest = async (returnId, user) => {
+  const existing = await findReturn(returnId);
+
+  if (!sameId(existing.user, user._id)) {
+    throw new AppError('Not authorized to cancel this return', 403);
+  }
+
+  return claimStatus(returnId, ['requested', 'approved'], 'cancelled', { user: user._id });
+};
+
+// Accept a return and, unless issueLabel is false, buy a prepaid label from
+// the returns carrier for the customer to print. The approval is claimed
+// first, so two staff approving at once do not both buy a label; if the label
+// cannot be bought the return goes back to requested.
+const approveReturn = async (returnId, staff, { carrier: carrierCode, issueLabel = true, note } = {}) => {
+  const carrier = issueLabel ? getCarrier(carrierCode || getReturnConfig().carrier) : null;
+
+  if (carrier && !carrier.createLabel) {
+    throw new AppError(`${carrier.name} cannot issue return labels`, 400);
+  }
+
+  let returnRequest = await claimStatus(returnId, 'requested', 'approved', {
+    user: staff._id,
+    note
+  });
+
+  if (carrier) {
+    try {
+      const order = await Order.findById(returnRequest.order);
+      const { trackingNumber, labelUrl } = await carrier.createLabel({
+        from: order.shippingAddress,
+        items: returnRequest.items.map(({ name, quantity }) => ({ name, quantity }))
+      });
+
+      returnRequest = await ReturnRequest.findByIdAndUpdate(
+        returnId,
+        {
+          $set: {
+            returnLabel: {
+              carrier: carrier.code,
+              trackingNumber,
+              trackingUrl: carrier.trackingUrl(trackingNumber),
+              labelUrl,
+              issuedAt: new Date()
+            }
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      // Undo the approval, dropping its history entry, unless the return moved on
+      await ReturnRequest.updateOne(
+        { _id: returnId, status: 'approved', 'returnLabel.trackingNumber': { $exists: false } },
+        { $set: { status: 'requested' }, $pop: { history: 1 } }
+      );
+      throw error;
+    }
+  }
+
+  await notifyCustomer(returnRequest);
+  return returnRequest;
+};
+
+const rejectReturn = async (returnId, staff, { reason } = {}) => {
+  if (!reason) {
+    throw new AppError('A reason is required to reject a return', 400);
+  }
+
+  const returnRequest = await claimStatus(returnId, 'requested', 'rejected', {
+    set: { rejectionReason: reason },
+    user: staff._id,
+    note: reason
+  });
+
+  await notifyCustomer(returnRequest);
+  return returnRequest;
+};
+
+// Record what arrived and how each item is dealt with. Restocked quantities go
+// back into stock in the same transaction as the status change.
+//   items - [{ itemId, receivedQuantity, disposition, note }] keyed by the
+//           return's item ids; lines left out were not received
+const receiveReturn = async (returnId, staff, { items = [], note } = {}) => {
+  let restocked = [];
+
+  const returnRequest = await mongoose.connection.transaction(async (session) => {
+    const current = await ReturnRequest.findOne({ _id: returnId, status: 'approved' }).session(session);
+
+    if (!current) {
+      const existing = await findReturn(returnId);
+      throw new AppError(`Cannot receive a return that is ${existing.status}`, 400);
+    }
+
+    for (const { itemId, receivedQuantity, disposition, note: inspectionNote } of items) {
+      const item = current.items.id(itemId);
+
+      if (!item) {
+        throw new AppError(`Return item not found: ${itemId}`, 404);
+      }
+
+      const quantity = receivedQuantity === undefined ? item.quantity : Number(receivedQuantity);
+
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.quantity) {
+        throw new AppError(`Received quantity for ${item.name} must be 0 to ${item.quantity}`, 400);
+      }
+
+      if (quantity > 0 && !['restock', 'write_off'].includes(disposition)) {
+        throw new AppError(`Choose restock or write_off for ${item.name}`, 400);
+      }
+
+      item.receivedQuantity = quantity;
+      item.disposition = quantity > 0 ? disposition : undefined;
+      item.inspectionNote = inspectionNote;
+    }
+
+    for (const item of current.items) {
+      if (item.receivedQuantity === undefined) item.receivedQuantity = 0;
+    }
+
+    if (current.items.every((item) => item.receivedQuantity === 0)) {
+      throw new AppError('No items were received', 400);
+    }
+
+    restocked = current.items
+      .filter((item) => item.disposition === 'restock')
+      .map(({ product, variant, name, receivedQuantity }) => ({
+        product,
+        variant,
+        name,
+        quantity: receivedQuantity
+      }));
+
+    await restoreStock(restocked, session);
+
+    current.status = 'received';
+    current.history.push(historyEntry('received', { user: staff._id, note }));
+    return current.save({ session });
+  });
+
+  if (restocked.length) {
+    await checkProductAlerts(restocked.map((item) => item.product));
+  }
+
+  await notifyCustomer(returnRequest);
+  return returnRequest;
+};
+
+// Refund the received items to the original payment method
+const refundReturn = async (returnRequest, order, staff) => {
+  if (getRefundableAmount(order) <= 0) {
+    throw new AppError('Nothing is left to refund on this order; resolve the return as an exchange', 400);
+  }
+
+  const refundedOrder = await refundOrder(order, {
+    items: returnRequest.items
+      .filter((item) => item.receivedQuantity > 0)
+      .map((item) => ({ itemId: item.orderItem, quantity: item.receivedQuantity })),
+    reason: `Return ${returnRequest.rmaNumber}`,
+    // Restocking was decided per item when the return was received
+    restock: false,
+    actor: 'admin',
+    user: staff._id
+  });
+
+  const refund = refundedOrder.refunds[refundedOrder.refunds.length - 1];
+
+  return { type: 'refund', refund: refund._id, amount: refund.amount };
+};
+
+// Send the received items again as a free replacement order, optionally as a
+// different variant of the same product.
+//   items - [{ itemId, variant }] keyed by the return's item ids
+const exchangeReturn = async (returnRequest, order, staff, items = []) => {
+  const lines = [];
+
+  for (const item of returnRequest.items.filter((entry) => entry.receivedQuantity > 0)) {
+    const orderItem = order.orderItems.id(item.orderItem);
+    const requested = items.find((entry) => sameId(entry.itemId, item._id));
+    let line = {
+      product: orderItem.product,
+      variant: orderItem.variant,
+      sku: orderItem.sku,
+      options: orderItem.options,
+      name: orderItem.name,
+      image: orderItem.image,
+      price: orderItem.price,
+      quantity: item.receivedQuantity
+    };
+
+    if (requested && requested.variant && !sameId(requested.variant, orderItem.variant || '')) {
+      const product = await Product.findById(orderItem.product);
+
+      if (!product) {
+        throw new AppError(`${orderItem.name} is no longer sold`, 400);
+      }
+
+      const { name, image, sku, options, variant } = describeItem(
+        product,
+        resolveVariant(product, requested.variant)
+      );
+      line = { ...line, name, image, sku, options, variant };
+    }
+
+    lines.push(line);
+  }
+
+  const itemsPrice = lines.reduce((acc, line) => acc + line.price * line.quantity, 0);
+
+  const exchangeOrder = await mongoose.connection.transaction(async (session) => {
+    await reserveStock(lines, session);
+
+    const replacement = new Order({
+      user: order.user,
+      orderItems: lines,
+      shippingAddress: order.shippingAddress,
+      billingAddress: order.billingAddress,
+      shippingMethod: order.shippingMethod,
+      paymentMethod: 'exchange',
+      itemsPrice,
+      // The customer already paid for these items on the original order
+      discountPrice: itemsPrice,
+      discounts: [{ name: `Exchange for ${returnRequest.rmaNumber}`, type: 'exchange', amount: itemsPrice }],
+      taxPrice: 0,
+      shippingPrice: 0,
+      totalPrice: 0,
+      isPaid: true,
+      paidAt: new Date(),
+      orderStatus: 'Processing',
+      returnRequest: returnRequest._id,
+      statusHistory: [
+        buildHistoryEntry(undefined, 'Processing', {
+          actor: 'admin',
+          user: staff._id,
+          note: `Replacement for return ${returnRequest.rmaNumber}`
+        })
+      ]
+    });
+
+    return replacement.save({ session });
+  });
+
+  return { type: 'exchange', exchangeOrder: exchangeOrder._id };
+};
+
+// Finish a received return with a refund or an exchange. The return is claimed
+// first so it cannot be resolved twice; the claim is released if that fails.
+const resolveReturn = async (returnId, staff, { type, items } = {}) => {
+  if (!['refund', 'exchange'].includes(type)) {
+    throw new AppError('Resolution must be refund or exchange', 400);
+  }
+
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnId, status: 'received', 'resolution.type': { $exists: false } },
+    { $set: { 'resolution.type': type } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const existing = await findReturn(returnId);
+    throw new AppError(
+      existing.status === 'received'
+        ? 'Return is already being resolved'
+        : `Cannot resolve a return that is ${existing.status}`,
+      400
+    );
+  }
+
+  let resolution;
+  try {
+    const order = await Order.findById(claimed.order);
+    resolution = type === 'refund'
+      ? await refundReturn(claimed, order, staff)
+      : await exchangeReturn(claimed, order, staff, items);
+  } catch (error) {
+    await ReturnRequest.updateOne({ _id: claimed._id }, { $unset: { resolution: '' } });
+    throw error;
+  }
+
+  const returnRequest = await claimStatus(returnId, 'received', 'completed', {
+    set: { resolution: { ...resolution, resolvedAt: new Date() } },
+    user: staff._id
+  });
+
+  await notifyCustomer(returnRequest);
+  return returnRequest;
+};
+
+// A page of returns for staff, oldest first (filter: status)
+const listReturns = async (query = {}) => {
+  const pageSize = 10;
+  const page = Number(query.pageNumber) || 1;
+  const filter = query.status ? { status: query.status } : {};
+
+  const count = await ReturnRequest.countDocuments(filter);
+  const returns = await ReturnRequest.find(filter)
+    .populate('user', 'firstName lastName email')
+    .populate('order', 'orderStatus totalPrice deliveredAt')
+    .limit(pageSize)
+    .skip(pageSize * (page - 1))
+    .sort({ createdAt: 1 });
+
+  return {
+    returns,
+    page,
+    pages: Math.ceil(count / pageSize)
+  };
+};
+
+export {
+  RETURN_REASONS,
+  findReturn,
+  getReturnableItems,
+  createReturnRequest,
+  cancelReturnRequest,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  resolveReturn,
+  listReturns
+};
@@ -0,0 +1,430 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import { AppError } from './errorHandler.js';
+
+// Review settings are read on every call so they pick up env changes after startup.
+//   requireApproval - hold every review for moderation; otherwise only reviews
+//                     without a verified purchase wait for a moderator
+//   reportThreshold - open reports that send an approved review back to the queue
+const getReviewConfig = () => ({
+  requireApproval: process.env.REVIEWS_REQUIRE_APPROVAL === 'true',
+  reportThreshold: Number(process.env.REVIEW_REPORT_THRESHOLD ?? 3)
+});
+
+const REVIEW_SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  rating_desc: (a, b) => b.rating - a.rating || b.createdAt - a.createdAt,
+  rating_asc: (a, b) => a.rating - b.rating || b.createdAt - a.createdAt,
+  helpful: (a, b) => b.helpfulCount - a.helpfulCount || b.createdAt - a.createdAt
+};
+
+// Orders in these statuses have reached the customer
+const DELIVERED_STATUSES = ['Delivered', 'PartiallyRefunded'];
+
+const sameUser = (a, b) => a.toString() === b.toString();
+
+// What the storefront shows of a review; votes and reports stay private
+const toPublicReview = (review) => ({
+  _id: review._id,
+  user: review.user,
+  name: review.name,
+  rating: review.rating,
+  comment: review.comment,
+  verifiedPurchase: review.verifiedPurchase,
+  helpfulCount: review.helpfulCount,
+  unhelpfulCount: review.unhelpfulCount,
+  createdAt: review.createdAt,
+  editedAt: review.editedAt
+});
+
+const findProduct = async (productId) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  return product;
+};
+
+const findReview = (product, reviewId) => {
+  const review = product.reviews.id(reviewId);
+
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+
+  return review;
+};
+
+const hasDeliveredOrder = async (userId, productId) => Boolean(await Order.exists({
+  user: userId,
+  'orderItems.product': productId,
+  orderStatus: { $in: DELIVERED_STATUSES }
+}));
+
+const refreshRating = (product) => {
+  product.numReviews = product.reviews.filter((review) => review.status === 'approved').length;
+  product.rating = product.calculateAverageRating();
+};
+
+// Matches a review in atomic updates through reviews.$[r]
+const reviewArrayFilters = (reviewId) => [{ 'r._id': new mongoose.Types.ObjectId(String(reviewId)) }];
+
+// Reviews without a status predate moderation and count as approved
+const APPROVED_STATUSES = { $nin: ['pending', 'rejected'] };
+
+const approvedReviewsExpression = {
+  $filter: {
+    input: '$reviews',
+    as: 'review',
+    cond: { $eq: [{ $ifNull: ['$$review.status', 'approved'] }, 'approved'] }
+  }
+};
+
+// Update pipeline stage doing what refreshRating does, for atomic updates
+const refreshRatingStage = {
+  $set: {
+    numReviews: { $size: approvedReviewsExpression },
+    rating: {
+      $round: [
+        { $ifNull: [{ $avg: { $map: { input: approvedReviewsExpression, as: 'review', in: '$$review.rating' } } }, 0] },
+        1
+      ]
+    }
+  }
+};
+
+const validateReviewInput = ({ rating, comment }) => {
+  const value = Number(rating);
+
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new AppError('Rating must be a whole number from 1 to 5', 400);
+  }
+
+  if (!comment || !String(comment).trim()) {
+    throw new AppError('Comment is required', 400);
+  }
+
+  return { rating: value, comment: String(comment).trim() };
+};
+
+// New and edited reviews go live at once only for verified purchases, unless
+// every review needs approval
+const getInitialStatus = (verifiedPurchase) => (
+  getReviewConfig().requireApproval || !verifiedPurchase ? 'pending' : 'approved'
+);
+
+const createReview = async (productId, user, input) => {
+  const { rating, comment } = validateReviewInput(input);
+  const product = await findProduct(productId);
+
+  if (product.reviews.some((review) => sameUser(review.user, user._id))) {
+    throw new AppError('Product already reviewed', 400);
+  }
+
+  const verifiedPurchase = await hasDeliveredOrder(user._id, product._id);
+
+  product.reviews.push({
+    user: user._id,
+    name: `${user.firstName} ${user.lastName}`,
+    rating,
+    comment,
+    verifiedPurchase,
+    status: getInitialStatus(verifiedPurchase)
+  });
+  refreshRating(product);
+  await product.save();
+
+  return product.reviews[product.reviews.length - 1];
+};
+
+// Authors may edit their own review; the edit is moderated like a new one
+const updateReview = async (productId, reviewId, user, input) => {
+  const product = await findProduct(productId);
+  const review = findReview(product, reviewId);
+
+  if (!sameUser(review.user, user._id)) {
+    throw new AppError('Not authorized to edit this review', 403);
+  }
+
+  const { rating, comment } = validateReviewInput({
+    rating: input.rating ?? review.rating,
+    comment: input.comment ?? review.comment
+  });
+
+  review.verifiedPurchase = await hasDeliveredOrder(user._id, product._id);
+  review.rating = rating;
+  review.comment = comment;
+  review.editedAt = new Date();
+  // A rejected review goes back to a moderator rather than straight to the page
+  review.status = review.status === 'rejected'
+    ? 'pending'
+    : getInitialStatus(review.verifiedPurchase);
+  review.moderation = undefined;
+
+  refreshRating(product);
+  await product.save();
+  return review;
+};
+
+// Authors delete their own review; moderators can delete any
+const deleteReview = async (productId, reviewId, user, { isModerator = false } = {}) => {
+  const product = await findProduct(productId);
+  const review = findReview(product, reviewId);
+
+  if (!isModerator && !sameUser(review.user, user._id)) {
+    throw new AppError('Not authorized to delete this review', 403);
+  }
+
+  review.deleteOne();
+  refreshRating(product);
+  await product.save();
+};
+
+// Approve or reject a review; rejections need a reason the author can be given.
+// Open reports are resolved either way.
+const moderateReview = async (productId, reviewId, moderator, { status, reason }) => {
+  if (!['approved', 'rejected'].includes(status)) {
+    throw new AppError('Status must be approved or rejected', 400);
+  }
+
+  if (status === 'rejected' && !reason) {
+    throw new AppError('A reason is required to reject a review', 400);
+  }
+
+  const product = await findProduct(productId);
+  const review = findReview(product, reviewId);
+
+  review.status = status;
+  review.moderation = {
+    moderatedBy: moderator._id,
+    moderatedAt: new Date(),
+    reason
+  };
+  review.reports.forEach((report) => {
+    report.resolved = true;
+  });
+
+  refreshRating(product);
+  await product.save();
+  return review;
+};
+
+// Flag a review as abusive. Enough open reports take an approved review down
+// until a moderator has looked at it. The report is pushed with a conditional
+// update, so the same user cannot add two open reports by racing requests.
+const reportReview = async (productId, reviewId, user, { reason, comment }) => {
+  const product = await findProduct(productId);
+  const review = findReview(product, reviewId);
+
+  if (sameUser(review.user, user._id)) {
+    throw new AppError('You cannot report your own review', 400);
+  }
+
+  const reported = await Product.findOneAndUpdate(
+    {
+      _id: product._id,
+      reviews: {
+        $elemMatch: {
+          _id: review._id,
+          reports: { $not: { $elemMatch: { user: user._id, resolved: false } } }
+        }
+      }
+    },
+    { $push: { 'reviews.$[r].reports': { user: user._id, reason, comment } } },
+    { arrayFilters: reviewArrayFilters(review._id), new: true, runValidators: true }
+  );
+
+  if (!reported) {
+    throw new AppError('You have already reported this review', 400);
+  }
+
+  const openReports = findReview(reported, review._id).reports
+    .filter((report) => !report.resolved).length;
+
+  if (openReports >= getReviewConfig().reportThreshold) {
+    await Product.updateOne(
+      { _id: product._id, reviews: { $elemMatch: { _id: review._id, status: APPROVED_STATUSES } } },
+      [
+        {
+          $set: {
+            reviews: {
+              $map: {
+                input: '$reviews',
+                as: 'review',
+                in: {
+                  $cond: [
+                    { $eq: ['$$review._id', review._id] },
+                    { $mergeObjects: ['$$review', { status: 'pending' }] },
+                    '$$review'
+                  ]
+                }
+              }
+            }
+          }
+        },
+        refreshRatingStage
+      ]
+    );
+  }
+};
+
+// Record the user's helpful / unhelpful vote, replacing an earlier one;
+// helpful: null withdraws it. Each step pulls or pushes the vote and moves the
+// matching count in one conditional update, so concurrent votes cannot double
+// count or leave the counts out of step with the votes.
+const voteReview = async (productId, reviewId, user, helpful) => {
+  if (helpful !== null && typeof helpful !== 'boolean') {
+    throw new AppError('helpful must be true, false or null', 400);
+  }
+
+  const product = await findProduct(productId);
+  const review = findReview(product, reviewId);
+
+  if (review.status !== 'approved') {
+    throw new AppError('Review not found', 404);
+  }
+
+  if (sameUser(review.user, user._id)) {
+    throw new AppError('You cannot vote on your own review', 400);
+  }
+
+  const arrayFilters = reviewArrayFilters(review._id);
+  const countField = (value) => `reviews.$[r].${value ? 'helpfulCount' : 'unhelpfulCount'}`;
+
+  for (const value of [true, false]) {
+    await Product.updateOne(
+      {
+        _id: product._id,
+        reviews: {
+          $elemMatch: { _id: review._id, votes: { $elemMatch: { user: user._id, helpful: value } } }
+        }
+      },
+      {
+        $pull: { 'reviews.$[r].votes': { user: user._id } },
+        $inc: { [countField(value)]: -1 }
+      },
+      { arrayFilters }
+    );
+  }
+
+  if (helpful !== null) {
+    await Product.updateOne(
+      {
+        _id: product._id,
+        reviews: {
+          $elemMatch: { _id: review._id, status: APPROVED_STATUSES, 'votes.user': { $ne: user._id } }
+        }
+      },
+      {
+        $push: { 'reviews.$[r].votes': { user: user._id, helpful } },
+        $inc: { [countField(helpful)]: 1 }
+      },
+      { arrayFilters }
+    );
+  }
+
+  return findReview(await findProduct(product._id), review._id);
+};
+
+// A page of a product's approved reviews with the star breakdown.
+//   sort   - newest (default), rating_desc, rating_asc, helpful
+//   rating - only reviews with this many stars
+//   verified=true - only verified purchases
+const listReviews = (product, query = {}) => {
+  const pageSize = 10;
+  const page = Number(query.pageNumber) || 1;
+  const sortKey = query.sort || 'newest';
+
+  if (!REVIEW_SORTS[sortKey]) {
+    throw new AppError(`Invalid sort: ${sortKey}`, 400);
+  }
+
+  const approved = product.reviews.filter((review) => review.status === 'approved');
+  const ratingBreakdown = Object.fromEntries(
+    [5, 4, 3, 2, 1].map((stars) => [stars, approved.filter((r) => r.rating === stars).length])
+  );
+
+  const reviews = approved
+    .filter((review) => !query.rating || review.rating === Number(query.rating))
+    .filter((review) => query.verified !== 'true' || review.verifiedPurchase)
+    .sort(REVIEW_SORTS[sortKey]);
+
+  return {
+    reviews: reviews
+      .slice(pageSize * (page - 1), pageSize * page)
+      .map(toPublicReview),
+    page,
+    pages: Math.ceil(reviews.length / pageSize),
+    total: reviews.length,
+    rating: product.rating,
+    ratingBreakdown
+  };
+};
+
+// Reviews waiting for a moderator, oldest first: status pending (the default)
+// or rejected, or status reported for any review with open reports
+const getModerationQueue = async (query = {}) => {
+  const pageSize = 10;
+  const page = Number(query.pageNumber) || 1;
+  const status = query.status || 'pending';
+
+  if (!['pending', 'rejected', 'reported'].includes(status)) {
+    throw new AppError('Status must be pending, rejected or reported', 400);
+  }
+
+  const match = status === 'reported'
+    ? { 'reviews.reports': { $elemMatch: { resolved: false } } }
+    : { 'reviews.status': status };
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $unwind: '$reviews' },
+    { $match: match },
+    { $sort: { 'reviews.createdAt': 1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        reviews: [
+          { $skip: pageSize * (page - 1) },
+          { $limit: pageSize },
+          {
+            $project: {
+              _id: 0,
+              product: { _id: '$_id', name: '$name', image: '$image' },
+              review: '$reviews'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+
+  return {
+    reviews: result.reviews.map(({ product, review }) => ({
+      ...review,
+      votes: undefined,
+      openReports: (review.reports || []).filter((report) => !report.resolved).length,
+      product
+    })),
+    page,
+    pages: Math.ceil(total / pageSize),
+    total
+  };
+};
+
+export {
+  toPublicReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  reportReview,
+  voteReview,
+  listReviews,
+  getModerationQueue
+};
@@ -1,87 +1,122 @@
-import nodemailer from 'nodemailer';
+import { enqueueEmail } from './emailOutbox.js';
+import { renderEmail } from './emailRenderer.js';
 
-// Create a transporter using SMTP
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    },
-    secure: process.env.SMTP_SECURE === 'true'
+// Each email is rendered in the user's language (see utils/emailRenderer.js),
+// queued in the outbox and delivered by the email worker, which retries failed
+// sends; queuing throws only if the outbox itself is unavailable.
+
+const sendTemplate = (template, user, data, { dedupeKey, attachments } = {}) => {
+  const { subject, html, text, headers } = renderEmail(template, { ...data, user });
+
+  return enqueueEmail({
+    template,
+    user: user._id,
+    dedupeKey,
+    to: user.email,
+    subject,
+    html,
+    text,
+    headers,
+    attachments
   });
 };
 
 // Send order confirmation email
-const sendOrderConfirmationEmail = async (order, user) => {
-  const transporter = createTransporter();
-
-  const mailOptions = {
-    from: process.env.EMAIL_FROM,
-    to: user.email,
-    subject: `Order Confirmation - Order #${order._id}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Thank you for your order!</h2>
-        <p>Order Number: <strong>${order._id}</strong></p>
-        <p>Total Amount: <strong>$${order.totalPrice.toFixed(2)}</strong></p>
-        <h3>Order Items:</h3>
-        <ul>
-          ${order.orderItems.map(item => `
-            <li>
-              ${item.name} - Quantity: ${item.quantity} - $${(item.price * item.quantity).toFixed(2)}
-            </li>
-          `).join('')}
-        </ul>
-        <p>Shipping Address:</p>
-        <address>
-          ${order.shippingAddress.street}<br>
-          ${order.shippingAddress.city}, ${order.shippingAddress.state} ${order.shippingAddress.postalCode}<br>
-          ${order.shippingAddress.country}
-        </address>
-      </div>
-    `
-  };
+const sendOrderConfirmationEmail = async (order, user) => sendTemplate(
+  'order_confirmation',
+  user,
+  { order },
+  { dedupeKey: `order-confirmation:${order._id}` }
+);
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log(`Order confirmation email sent to ${user.email}`);
-  } catch (error) {
-    console.error('Error sending order confirmation email:', error);
+// Tell the customer their order moved to its current status, attaching the
+// invoice PDF (a Buffer) when one is given
+const sendOrderStatusUpdateEmail = async (order, user, { invoicePdf } = {}) => sendTemplate(
+  'order_status_update',
+  user,
+  { order, invoiceNumber: invoicePdf ? order.invoiceNumber : undefined },
+  {
+    dedupeKey: `order-status:${order._id}:${order.orderStatus}`,
+    attachments: invoicePdf
+      ? [{ filename: `invoice-${order.invoiceNumber}.pdf`, contentType: 'application/pdf', content: invoicePdf }]
+      : undefined
   }
-};
+);
 
-// Send password reset email
-const sendPasswordResetEmail = async (user, resetToken) => {
-  const transporter = createTransporter();
+// Tell the customer a parcel is on its way.
+// shipment: { carrier, trackingNumber, trackingUrl, items: [{ name, quantity }] }
+const sendOrderShippedEmail = async (order, user, shipment) => sendTemplate(
+  'order_shipped',
+  user,
+  { order, shipment },
+  { dedupeKey: `order-shipped:${order._id}:${shipment.trackingNumber}` }
+);
 
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+// Confirm one refund on an order
+const sendRefundConfirmationEmail = async (order, user, refund) => sendTemplate(
+  'refund_confirmation',
+  user,
+  { order, refund },
+  { dedupeKey: `refund:${refund._id}` }
+);
 
-  const mailOptions = {
-    from: process.env.EMAIL_FROM,
-    to: user.email,
-    subject: 'Password Reset Request',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Password Reset Request</h2>
-        <p>You have requested a password reset. Click the link below to reset your password:</p>
-        <p><a href="${resetUrl}" style="color: #007bff;">Reset Password</a></p>
-        <p>If you did not request a password reset, please ignore this email.</p>
-        <p>This link will expire in 10 minutes.</p>
-      </div>
-    `
-  };
+// Tell the customer their return moved to its current status; a cancelled
+// return has no email since the customer cancelled it themselves
+const sendReturnStatusEmail = async (returnRequest, order, user) => {
+  if (returnRequest.status === 'cancelled') return null;
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log(`Password reset email sent to ${user.email}`);
-  } catch (error) {
-    console.error('Error sending password reset email:', error);
-  }
+  return sendTemplate(
+    `return_${returnRequest.status}`,
+    user,
+    { order, returnRequest },
+    { dedupeKey: `return:${returnRequest._id}:${returnRequest.status}` }
+  );
 };
 
-export { 
+// Greet a newly registered user
+const sendWelcomeEmail = async (user) => sendTemplate(
+  'welcome',
+  user,
+  {},
+  { dedupeKey: `welcome:${user._id}` }
+);
+
+// Send password reset email
+const sendPasswordResetEmail = async (user, resetToken, { expiresMinutes = 10 } = {}) => sendTemplate(
+  'password_reset',
+  user,
+  {
+    resetUrl: `${process.env.FRONTEND_URL}/reset-password/${resetToken}`,
+    expiresMinutes
+  }
+);
+
+// Send email address verification link
+const sendVerificationEmail = async (user, verificationToken, { expiresHours = 24 } = {}) => sendTemplate(
+  'email_verification',
+  user,
+  {
+    verifyUrl: `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`,
+    expiresHours
+  }
+);
+
+// Send back-in-stock and price-drop alerts, batched into one email per user
+const sendProductAlertEmail = async (user, items, unsubscribeAllUrl, { dedupeKey } = {}) => sendTemplate(
+  'product_alert',
+  user,
+  { items, unsubscribeAllUrl },
+  { dedupeKey }
+);
+
+export {
   sendOrderConfirmationEmail,
-  sendPasswordResetEmail
-};
\ No newline at end of file
+  sendOrderStatusUpdateEmail,
+  sendOrderShippedEmail,
+  sendRefundConfirmationEmail,
+  sendReturnStatusEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendProductAlertEmail
+};
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import Session from '../models/sessionModel.js';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+import { generateToken } from '../middleware/authMiddleware.js';
+
+const getRefreshTokenExpiry = () => new Date(
+  Date.now() + Number(process.env.REFRESH_TOKEN_DAYS ?? 30) * 24 * 60 * 60 * 1000
+);
+
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without
+// scanning, and a stale secret for a live session can be told apart from garbage
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken,
+  sessionId: session._id
+});
+
+// Start a session for a user who just authenticated
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...getClientInfo(req),
+    expiresAt: getRefreshTokenExpiry()
+  });
+
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return issueTokens(session, refreshToken);
+};
+
+const revokeSession = async (sessionId, reason, userId) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  return Session.findOneAndUpdate(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+// Revoke every live session of a user, optionally keeping the current one
+const revokeUserSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const { modifiedCount } = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return modifiedCount;
+};
+
+// Swap a refresh token for a new access and refresh token. The old refresh token
+// stops working; presenting it again means it was copied, so the session is
+// revoked and whoever holds either token has to log in again.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const { sessionId, secretHash } = parseRefreshToken(refreshToken);
+  const now = new Date();
+
+  const next = buildRefreshToken(sessionId);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: secretHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        lastUsedAt: now,
+        expiresAt: getRefreshTokenExpiry(),
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+
+    if (existing && !existing.revokedAt && existing.expiresAt > now) {
+      await revokeSession(sessionId, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for session ${sessionId}, session revoked`);
+    }
+
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+
+  if (!user || !user.isActive) {
+    await revokeSession(sessionId, 'deactivated');
+    throw new AppError('Account is disabled', 401);
+  }
+
+  return issueTokens(session, next.refreshToken);
+};
+
+// Live sessions of a user, most recently used first
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+export {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+};
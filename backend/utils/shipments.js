@@ -0,0 +1,596 @@
+import mongoose from 'mongoose';
+import Order from '../models/orderModel.js';
+import Shipment from '../models/shipmentModel.js';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+import { getCarrier, listCarriers } from './carriers.js';
+import { canTransition, transitionOrder } from './orderLifecycle.js';
+import { sendOrderShippedEmail } from './sendEmail.js';
+
+// Shipment settings are read on every call so they pick up env changes after startup
+//   syncMinutes - how often the tracker asks a carrier about an open parcel
+//   syncBatch   - parcels the tracker reads per run
+const getShipmentConfig = () => ({
+  syncMinutes: Number(process.env.SHIPMENT_SYNC_MINUTES ?? 60),
+  syncBatch: Number(process.env.SHIPMENT_SYNC_BATCH ?? 100)
+});
+
+// Statuses meaning the parcel has left the warehouse
+const SHIPPED_STATUSES = ['in_transit', 'out_for_delivery', 'delivered'];
+
+// Parcels the carrier may still report on
+const OPEN_STATUSES = ['label_created', 'in_transit', 'out_for_delivery', 'exception'];
+
+// Orders that can have parcels added
+const SHIPPABLE_ORDER_STATUSES = ['Processing', 'Shipped'];
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+// Per order line: what was ordered and refunded, how much is in parcels
+// (shipped, whether or not they have left yet) and how much was delivered
+const getFulfilment = (order, shipments) => order.orderItems.map((item) => {
+  const lines = shipments
+    .filter((shipment) => shipment.status !== 'cancelled')
+    .flatMap((shipment) => shipment.items
+      .filter((line) => sameId(line.orderItem, item._id))
+      .map((line) => ({ quantity: line.quantity, delivered: shipment.status === 'delivered' })));
+
+  const refunded = item.refundedQuantity || 0;
+  const shipped = lines.reduce((acc, line) => acc + line.quantity, 0);
+  const delivered = lines
+    .filter((line) => line.delivered)
+    .reduce((acc, line) => acc + line.quantity, 0);
+
+  return {
+    orderItem: item._id,
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    quantity: item.quantity,
+    refunded,
+    shipped,
+    delivered,
+    unshipped: Math.max(0, item.quantity - refunded - shipped)
+  };
+});
+
+// Resolve [{ itemId, quantity }] against what is left to ship. No items means
+// everything left; a missing quantity means all that is left of that line.
+const resolveShipmentItems = (fulfilment, items) => {
+  if (!items || items.length === 0) {
+    const lines = fulfilment
+      .filter((line) => line.unshipped > 0)
+      .map((line) => ({ ...line, quantity: line.unshipped }));
+
+    if (lines.length === 0) {
+      throw new AppError('Every item on this order has already shipped', 400);
+    }
+
+    return lines;
+  }
+
+  const quantities = new Map();
+
+  for (const { itemId, quantity } of items) {
+    const line = fulfilment.find((entry) => sameId(entry.orderItem, itemId));
+
+    if (!line) {
+      throw new AppError(`Order item not found: ${itemId}`, 404);
+    }
+
+    const requested = quantity === undefined ? line.unshipped : Number(quantity);
+
+    if (!Number.isInteger(requested) || requested < 1) {
+      throw new AppError(`Invalid shipment quantity for ${line.name}`, 400);
+    }
+
+    quantities.set(line, (quantities.get(line) || 0) + requested);
+  }
+
+  return [...quantities].map(([line, quantity]) => {
+    if (quantity > line.unshipped) {
+      throw new AppError(`Cannot ship more than ${line.unshipped} of ${line.name}`, 400);
+    }
+
+    return { ...line, quantity };
+  });
+};
+
+// Derive the status and dates from the events: the latest event wins, except
+// that a delivered parcel stays delivered
+const refreshShipmentStatus = (shipment) => {
+  const events = [...shipment.events].sort((a, b) => a.occurredAt - b.occurredAt);
+  const delivered = events.find((event) => event.status === 'delivered');
+  const shipped = events.find((event) => SHIPPED_STATUSES.includes(event.status));
+
+  if (shipment.status !== 'cancelled' && events.length) {
+    shipment.status = delivered ? 'delivered' : events[events.length - 1].status;
+  }
+  shipment.shippedAt = shipped ? shipped.occurredAt : undefined;
+  shipment.deliveredAt = delivered ? delivered.occurredAt : undefined;
+};
+
+// Move the order along as its parcels progress: Shipped once one has left,
+// Delivered once everything not refunded has arrived
+const syncOrderStatus = async (orderId) => {
+  let order = await Order.findById(orderId);
+  const shipments = await Shipment.find({ order: orderId, status: { $ne: 'cancelled' } });
+
+  if (order.orderStatus === 'Processing' && shipments.some((shipment) => shipment.shippedAt)) {
+    order = await transitionOrder(order, 'Shipped', {
+      actor: 'system',
+      note: 'First parcel shipped'
+    });
+  }
+
+  const allDelivered = shipments.some((shipment) => shipment.status === 'delivered')
+    && getFulfilment(order, shipments)
+      .every((line) => line.unshipped === 0 && line.delivered >= line.quantity - line.refunded);
+
+  if (allDelivered && canTransition(order.orderStatus, 'Delivered')) {
+    order = await transitionOrder(order, 'Delivered', {
+      actor: 'system',
+      note: 'All parcels delivered'
+    });
+  }
+
+  return order;
+};
+
+// Email the customer the first time a parcel leaves; the conditional update
+// makes sure two concurrent changes only send it once
+const notifyShipped = async (shipment) => {
+  if (!shipment.shippedAt || shipment.notifiedAt) return;
+
+  const { modifiedCount } = await Shipment.updateOne(
+    { _id: shipment._id, notifiedAt: { $exists: false } },
+    { $set: { notifiedAt: new Date() } }
+  );
+  if (modifiedCount === 0) return;
+
+  const order = await Order.findById(shipment.order);
+  const customer = order && await User.findById(order.user);
+  if (!customer) return;
+
+  await sendOrderShippedEmail(order, customer, {
+    carrier: getCarrier(shipment.carrier).name,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    items: shipment.items.map(({ name, quantity }) => ({ name, quantity }))
+  });
+};
+
+// Run after a parcel changes: update the order and tell the customer. The
+// email does not wait on the order update, so a failed status change neither
+// holds it back nor is hidden by it; syncOpenShipments retries the order later.
+const afterShipmentChange = async (shipment) => {
+  const [synced, notified] = await Promise.allSettled([
+    syncOrderStatus(shipment.order),
+    notifyShipped(shipment)
+  ]);
+
+  if (synced.status === 'rejected') throw synced.reason;
+  if (notified.status === 'rejected') throw notified.reason;
+  return synced.value;
+};
+
+// Put items of a paid order into a parcel. Without a tracking number one is
+// requested from the carrier along with a label. status is 'in_transit' when the
+// parcel is handed over now, or 'label_created' when it is only packed.
+const createShipment = async (order, {
+  carrier: carrierCode,
+  trackingNumber,
+  items,
+  status = 'in_transit',
+  note
+}, { user } = {}) => {
+  if (!order.isPaid) {
+    throw new AppError('Order must be paid before it can ship', 400);
+  }
+
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+    throw new AppError(`Cannot ship an order that is ${order.orderStatus}`, 400);
+  }
+
+  if (!['label_created', 'in_transit'].includes(status)) {
+    throw new AppError('Status must be label_created or in_transit', 400);
+  }
+
+  const carrier = getCarrier(carrierCode);
+
+  // Checked here so no label is bought for items that cannot ship, and again
+  // below in case another parcel took them in the meantime
+  const existing = await Shipment.find({ order: order._id });
+  const lines = resolveShipmentItems(getFulfilment(order, existing), items);
+
+  let tracking = trackingNumber ? String(trackingNumber).trim() : '';
+  let labelUrl;
+
+  if (!tracking) {
+    if (!carrier.createLabel) {
+      throw new AppError(`A tracking number is required for ${carrier.name}`, 400);
+    }
+
+    ({ trackingNumber: tracking, labelUrl } = await carrier.createLabel({
+      to: order.shippingAddress,
+      items: lines.map(({ name, quantity }) => ({ name, quantity }))
+    }));
+  }
+
+  let shipment;
+
+  try {
+    shipment = await mongoose.connection.transaction(async (session) => {
+      // Touching the order makes parcels created at the same time for it conflict,
+      // so together they cannot ship more than was ordered
+      const current = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: { $in: SHIPPABLE_ORDER_STATUSES } },
+        { $set: { updatedAt: new Date() } },
+        { new: true, session }
+      );
+
+      if (!current) {
+        throw new AppError('Order was updated by another request, please try again', 409);
+      }
+
+      const parcels = await Shipment.find({ order: order._id }).session(session);
+      const confirmed = resolveShipmentItems(
+        getFulfilment(current, parcels),
+        lines.map((line) => ({ itemId: line.orderItem, quantity: line.quantity }))
+      );
+
+      const created = new Shipment({
+        order: order._id,
+        carrier: carrier.code,
+        trackingNumber: tracking,
+        trackingUrl: carrier.trackingUrl(tracking),
+        labelUrl,
+        items: confirmed.map(({ orderItem, product, variant, name, quantity }) => ({
+          orderItem,
+          product,
+          variant,
+          name,
+          quantity
+        })),
+        events: [{
+          status,
+          description: note,
+          occurredAt: new Date(),
+          source: 'admin',
+          user
+        }],
+        createdBy: user
+      });
+      refreshShipmentStatus(created);
+
+      return created.save({ session });
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`Tracking number ${tracking} is already in use`, 409);
+    }
+    throw error;
+  }
+
+  await afterShipmentChange(shipment);
+  return shipment;
+};
+
+const findShipment = async (shipmentId) => {
+  const shipment = await Shipment.findById(shipmentId);
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404);
+  }
+
+  return shipment;
+};
+
+// Add a tracking event entered by staff, e.g. for carriers without a tracking API
+const recordShipmentEvent = async (shipmentId, {
+  status,
+  description,
+  location,
+  occurredAt
+}, { user } = {}) => {
+  const shipment = await findShipment(shipmentId);
+
+  if (shipment.status === 'cancelled') {
+    throw new AppError('Shipment was cancelled', 400);
+  }
+
+  if (!Shipment.schema.path('status').enumValues.includes(status) || status === 'cancelled') {
+    throw new AppError(`Invalid shipment status: ${status}`, 400);
+  }
+
+  const at = occurredAt ? new Date(occurredAt) : new Date();
+
+  if (Number.isNaN(at.getTime())) {
+    throw new AppError('Invalid event time', 400);
+  }
+
+  shipment.events.push({ status, description, location, occurredAt: at, source: 'admin', user });
+  refreshShipmentStatus(shipment);
+  await shipment.save();
+
+  await afterShipmentChange(shipment);
+  return shipment;
+};
+
+// Read new tracking events from the carrier. Events already recorded (same
+// status and time) are skipped, so this can run as often as needed.
+const syncShipmentTracking = async (shipment) => {
+  const carrier = getCarrier(shipment.carrier);
+  const tracking = carrier.getTracking ? await carrier.getTracking(shipment.trackingNumber) : null;
+
+  shipment.lastSyncedAt = new Date();
+
+  if (tracking && shipment.status !== 'cancelled') {
+    const seen = new Set(shipment.events
+      .map((event) => `${event.status}|${event.occurredAt.getTime()}`));
+
+    for (const event of tracking.events) {
+      const occurredAt = new Date(event.occurredAt);
+      if (seen.has(`${event.status}|${occurredAt.getTime()}`)) continue;
+
+      shipment.events.push({
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt,
+        source: 'carrier'
+      });
+    }
+
+    refreshShipmentStatus(shipment);
+  }
+
+  await shipment.save();
+
+  if (tracking) {
+    await afterShipmentChange(shipment);
+  }
+
+  return shipment;
+};
+
+// Cancel a parcel that has not left; its items can be shipped again
+const cancelShipment = async (shipmentId, { user, reason } = {}) => {
+  const shipment = await findShipment(shipmentId);
+
+  if (shipment.status === 'cancelled') {
+    return shipment;
+  }
+
+  if (shipment.shippedAt) {
+    throw new AppError('Only shipments that have not left can be cancelled', 400);
+  }
+
+  shipment.status = 'cancelled';
+  shipment.cancelledAt = new Date();
+  shipment.events.push({
+    status: 'cancelled',
+    description: reason,
+    occurredAt: shipment.cancelledAt,
+    source: 'admin',
+    user
+  });
+  await shipment.save();
+
+  return shipment;
+};
+
+// Staff confirming delivery. Orders with parcels have every parcel still on its
+// way marked delivered, which fails while items have not shipped; orders
+// without parcels (placed before shipments existed) move to Delivered directly.
+const markOrderDelivered = async (order, { user, note } = {}) => {
+  const shipments = await Shipment.find({ order: order._id, status: { $ne: 'cancelled' } });
+
+  if (shipments.length === 0) {
+    return transitionOrder(order, 'Delivered', { actor: 'admin', user, note });
+  }
+
+  const fulfilment = getFulfilment(order, shipments);
+
+  if (fulfilment.some((line) => line.unshipped > 0)
+    || shipments.some((shipment) => !shipment.shippedAt && shipment.status !== 'delivered')) {
+    throw new AppError('Some items have not shipped yet', 400);
+  }
+
+  for (const shipment of shipments.filter((parcel) => parcel.status !== 'delivered')) {
+    shipment.events.push({
+      status: 'delivered',
+      description: note || 'Marked delivered by staff',
+      occurredAt: new Date(),
+      source: 'admin',
+      user
+    });
+    refreshShipmentStatus(shipment);
+    await shipment.save();
+  }
+
+  return syncOrderStatus(order._id);
+};
+
+// What the customer sees of a parcel
+const toPublicShipment = (shipment) => {
+  let carrierName = shipment.carrier;
+  try {
+    carrierName = getCarrier(shipment.carrier).name;
+  } catch (error) {
+    // Carrier no longer configured; show its code
+  }
+
+  return {
+    _id: shipment._id,
+    carrier: shipment.carrier,
+    carrierName,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    status: shipment.status,
+    items: shipment.items.map(({ orderItem, name, quantity }) => ({ orderItem, name, quantity })),
+    events: [...shipment.events]
+      .sort((a, b) => b.occurredAt - a.occurredAt)
+      .map(({ status, description, location, occurredAt }) => ({
+        status,
+        description,
+        location,
+        occurredAt
+      })),
+    shippedAt: shipment.shippedAt,
+    deliveredAt: shipment.deliveredAt
+  };
+};
+
+// Parcels of an order with their tracking, plus anything not shipped yet
+const getOrderTracking = async (order) => {
+  const shipments = await Shipment.find({ order: order._id, status: { $ne: 'cancelled' } })
+    .sort({ createdAt: 1 });
+
+  return {
+    orderStatus: order.orderStatus,
+    shipments: shipments.map(toPublicShipment),
+    unshippedItems: getFulfilment(order, shipments)
+      .filter((line) => line.unshipped > 0)
+      .map(({ orderItem, name, unshipped }) => ({ orderItem, name, quantity: unshipped }))
+  };
+};
+
+// Orders whose status is behind their parcels: still Processing with a parcel
+// on its way, or not yet Delivered with every parcel delivered and nothing left
+// to ship. These are left behind when an order update fails after a parcel
+// changed. A split order still waiting on items is not behind, and matching it
+// would fill every batch with orders syncOrderStatus leaves as they are.
+const findOrdersOutOfSync = (limit) => Order.aggregate([
+  { $match: { orderStatus: { $in: SHIPPABLE_ORDER_STATUSES } } },
+  {
+    $lookup: {
+      from: Shipment.collection.name,
+      localField: '_id',
+      foreignField: 'order',
+      pipeline: [
+        { $match: { status: { $ne: 'cancelled' } } },
+        { $project: { status: 1, 'items.orderItem': 1, 'items.quantity': 1 } }
+      ],
+      as: 'shipments'
+    }
+  },
+  {
+    // Each line shipped in full apart from what was refunded, as getFulfilment counts it
+    $addFields: {
+      fullyShipped: {
+        $allElementsTrue: [{
+          $map: {
+            input: '$orderItems',
+            as: 'item',
+            in: {
+              $gte: [
+                {
+                  $sum: {
+                    $map: {
+                      input: {
+                        $filter: {
+                          input: {
+                            $reduce: {
+                              input: '$shipments.items',
+                              initialValue: [],
+                              in: { $concatArrays: ['$$value', '$$this'] }
+                            }
+                          },
+                          as: 'line',
+                          cond: { $eq: ['$$line.orderItem', '$$item._id'] }
+                        }
+                      },
+                      as: 'line',
+                      in: '$$line.quantity'
+                    }
+                  }
+                },
+                { $subtract: ['$$item.quantity', { $ifNull: ['$$item.refundedQuantity', 0] }] }
+              ]
+            }
+          }
+        }]
+      }
+    }
+  },
+  {
+    $match: {
+      $or: [
+        { orderStatus: 'Processing', 'shipments.status': { $in: SHIPPED_STATUSES } },
+        {
+          fullyShipped: true,
+          'shipments.status': 'delivered',
+          shipments: { $not: { $elemMatch: { status: { $ne: 'delivered' } } } }
+        }
+      ]
+    }
+  },
+  { $sort: { updatedAt: 1 } },
+  { $limit: limit },
+  { $project: { _id: 1 } }
+]);
+
+// Read tracking for open parcels, with carriers that report it, not checked
+// within syncMinutes, then bring orders left behind their parcels up to date
+const syncOpenShipments = async () => {
+  const { syncMinutes, syncBatch } = getShipmentConfig();
+  const cutoff = new Date(Date.now() - syncMinutes * 60 * 1000);
+  const trackedCarriers = listCarriers()
+    .filter((carrier) => carrier.tracksParcels)
+    .map((carrier) => carrier.code);
+
+  const shipments = await Shipment.find({
+    status: { $in: OPEN_STATUSES },
+    carrier: { $in: trackedCarriers },
+    $or: [{ lastSyncedAt: { $exists: false } }, { lastSyncedAt: { $lte: cutoff } }]
+  })
+    .sort({ lastSyncedAt: 1 })
+    .limit(syncBatch);
+
+  let syncedCount = 0;
+
+  for (const shipment of shipments) {
+    try {
+      await syncShipmentTracking(shipment);
+      syncedCount += 1;
+    } catch (error) {
+      console.error(`Tracking sync failed for shipment ${shipment._id}:`, error.message);
+    }
+  }
+
+  for (const { _id: orderId } of await findOrdersOutOfSync(syncBatch)) {
+    try {
+      await syncOrderStatus(orderId);
+    } catch (error) {
+      console.error(`Order status sync failed for order ${orderId}:`, error.message);
+    }
+  }
+
+  return syncedCount;
+};
+
+// Periodically read carrier tracking; started by startBackgroundJobs (utils/backgroundJobs.js)
+const startShipmentTracker = (intervalMs = 15 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    syncOpenShipments().catch((error) => {
+      console.error('Shipment tracking sync failed:', error);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+export {
+  getFulfilment,
+  createShipment,
+  recordShipmentEvent,
+  syncShipmentTracking,
+  cancelShipment,
+  markOrderDelivered,
+  toPublicShipment,
+  getOrderTracking,
+  syncOpenShipments,
+  startShipmentTracker
+};
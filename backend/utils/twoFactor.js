@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/userModel.js';
+import { AppError } from './errorHandler.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} from './loginProtection.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl
+} from './totp.js';
+
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.backupCodes',
+  '+twoFactor.lastUsedStep'
+].join(' ');
+
+const CHALLENGE_PURPOSE = 'two-factor-login';
+
+// Two-factor settings are read on every call so they pick up env changes after startup
+const getTwoFactorConfig = () => ({
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Online Store',
+  requiredForAdmins: process.env.REQUIRE_ADMIN_2FA === 'true',
+  backupCodeCount: Number(process.env.TWO_FACTOR_BACKUP_CODES ?? 10),
+  challengeMinutes: Number(process.env.TWO_FACTOR_CHALLENGE_MINUTES ?? 5)
+});
+
+// TOTP secrets are stored with AES-256-GCM so a database dump alone cannot mint codes
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET))
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Fresh one-time backup codes: the plain codes for the user, the hashes for storage
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: getTwoFactorConfig().backupCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const findUserWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+// Whether the role policy forces this user to use two-factor authentication;
+// REQUIRE_ADMIN_2FA covers every staff role, not just super admins
+const isTwoFactorRequired = (user) => getTwoFactorConfig().requiredForAdmins
+  && Boolean(user.role)
+  && user.role !== 'user';
+
+// Accept a TOTP code once: the step is recorded with a conditional update, so the
+// same code cannot be replayed within its validity window
+const consumeTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return modifiedCount === 1;
+};
+
+// Accept a backup code once by pulling its hash from the list
+const consumeBackupCode = async (user, code) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hashBackupCode(code) },
+    { $pull: { 'twoFactor.backupCodes': hashBackupCode(code) } }
+  );
+
+  return modifiedCount === 1;
+};
+
+// Check a second factor for a user with two-factor enabled: an authenticator
+// code, or failing that one of the backup codes
+const verifySecondFactor = async (user, code) => {
+  if (!code) return false;
+
+  const withSecrets = user.twoFactor.secret ? user : await findUserWithSecrets(user._id);
+
+  return (await consumeTotp(withSecrets, decryptSecret(withSecrets.twoFactor.secret), code))
+    || consumeBackupCode(withSecrets, code);
+};
+
+// Start enrolment: a new secret is kept pending until a code from it is confirmed
+const beginTwoFactorSetup = async (userId) => {
+  const user = await findUserWithSecrets(userId);
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({
+      secret,
+      accountName: user.email,
+      issuer: getTwoFactorConfig().issuer
+    })
+  };
+};
+
+// Finish enrolment with a code from the new secret; returns the backup codes,
+// which are only ever shown this once
+const confirmTwoFactorSetup = async (userId, code) => {
+  const user = await findUserWithSecrets(userId);
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return codes;
+};
+
+// Turn two-factor off; needs the password and a current code
+const disableTwoFactor = async (userId, { password, code }) => {
+  if (!password) {
+    throw new AppError('Password is required', 400);
+  }
+
+  const user = await findUserWithSecrets(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (isTwoFactorRequired(user)) {
+    throw new AppError('Two-factor authentication is required for staff accounts', 403);
+  }
+
+  if (!(await user.comparePassword(String(password))) || !(await verifySecondFactor(user, code))) {
+    throw new AppError('Invalid password or authentication code', 400);
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.backupCodes = undefined;
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+  await user.save();
+};
+
+// Replace all backup codes after checking a current code
+const regenerateBackupCodes = async (userId, code) => {
+  const user = await findUserWithSecrets(userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifySecondFactor(user, code))) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+  return codes;
+};
+
+// Short-lived token proving the password step of a login. It carries no session,
+// so protect() refuses it anywhere else.
+const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: `${getTwoFactorConfig().challengeMinutes}m` }
+);
+
+// The user behind a login challenge, once the second factor checks out. Wrong
+// codes count as failed logins for the account's address.
+const completeLoginChallenge = async (challengeToken, code, ip) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Login challenge is invalid or has expired', 401);
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new AppError('Login challenge is invalid or has expired', 401);
+  }
+
+  const user = await findUserWithSecrets(decoded.id);
+
+  if (!user.isActive || !user.twoFactor.enabled) {
+    throw new AppError('Login challenge is invalid or has expired', 401);
+  }
+
+  await assertLoginAllowed(user.email, ip);
+
+  if (!(await verifySecondFactor(user, code))) {
+    await recordLoginFailure(user.email, ip);
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  await recordLoginSuccess(user.email);
+  return user;
+};
+
+export {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  createLoginChallenge,
+  completeLoginChallenge
+};
@@ -0,0 +1,104 @@
+import { AppError } from './errorHandler.js';
+
+// Key identifying one purchasable item: a product, or one variant of it
+const getItemKey = (productId, variantId) => (
+  variantId ? `${productId}:${variantId}` : `${productId}`
+);
+
+// "128GB / Black" for a variant's option values
+const getVariantLabel = (variant) => (
+  variant.options ? [...variant.options.values()].join(' / ') : variant.sku
+);
+
+// Resolve the variant a customer asked for. Products with variants can only be
+// bought as one of them; products without variants take no variant.
+const resolveVariant = (product, variantId) => {
+  if (!product.variants || product.variants.length === 0) {
+    if (variantId) {
+      throw new AppError(`Product ${product.name} has no variants`, 400);
+    }
+    return null;
+  }
+
+  if (!variantId) {
+    throw new AppError(`Choose a variant of ${product.name}`, 400);
+  }
+
+  const variant = product.variants.id(variantId);
+
+  if (!variant || !variant.isActive) {
+    throw new AppError(`Variant not found for product: ${product.name}`, 404);
+  }
+
+  return variant;
+};
+
+// Name, price, image and stock of what is being bought, from the variant when there is one
+const describeItem = (product, variant) => {
+  if (!variant) {
+    return {
+      name: product.name,
+      price: product.price,
+      image: product.image,
+      countInStock: product.countInStock
+    };
+  }
+
+  return {
+    variant: variant._id,
+    sku: variant.sku,
+    options: variant.options ? Object.fromEntries(variant.options) : undefined,
+    name: `${product.name} (${getVariantLabel(variant)})`,
+    price: variant.price,
+    image: (variant.images && variant.images[0]) || product.image,
+    countInStock: variant.countInStock
+  };
+};
+
+// Apply the variant list of a product update to the stored variants, matching
+// each entry by _id, else by SKU, so that orders, carts, wishlists, alerts and
+// returns keep pointing at the same variant. Unmatched entries are added and
+// stored variants left out of the list are deactivated rather than removed.
+const mergeVariants = (product, variants) => {
+  if (!Array.isArray(variants) || variants.some((variant) => !variant || typeof variant !== 'object')) {
+    throw new AppError('Variants must be a list of variants', 400);
+  }
+
+  const listed = new Set();
+
+  for (const { _id, ...fields } of variants) {
+    const existing = _id
+      ? product.variants.id(_id)
+      : product.variants.find((variant) => variant.sku === fields.sku
+        && !listed.has(variant._id.toString()));
+
+    if (_id && !existing) {
+      throw new AppError(`Variant not found for product: ${product.name}`, 400);
+    }
+
+    // A variant in the list is on sale unless the update says otherwise
+    const update = { ...fields, isActive: fields.isActive ?? true };
+
+    if (existing) {
+      existing.set(update);
+      listed.add(existing._id.toString());
+    } else {
+      product.variants.push(update);
+      listed.add(product.variants[product.variants.length - 1]._id.toString());
+    }
+  }
+
+  for (const variant of product.variants) {
+    if (!listed.has(variant._id.toString())) {
+      variant.isActive = false;
+    }
+  }
+};
+
+export {
+  getItemKey,
+  getVariantLabel,
+  resolveVariant,
+  describeItem,
+  mergeVariants
+};